@@ -0,0 +1,717 @@
+// Computer players
+//
+// Every nation carries an AI profile, used whenever the AI plays it:
+//
+//     nation.ai = { difficulty: 'normal', personality: 'balanced' }
+//
+// The difficulty picks a strategy and how well it is played; the personality
+// tunes what the strategy values. `nation.ai.strategy` can name any
+// registered strategy directly (the tournament runner uses this to pit
+// custom strategies against each other).
+//
+// A strategy is a function `(state, nationId, ctx, settings)` that reads the
+// state and gives orders through `ctx.issue(command)` (the same commands a
+// player can give). `ctx.budget(nationId)` is a nation's income and upkeep
+// (see Engine.getBudget). Randomness must come from `ctx.random()` so games
+// stay reproducible.
+//
+// Diplomacy is the same whatever the strategy: before a strategy plays its
+// turn, the AI answers the proposals made to it and makes its own (see
+// `negotiate`). So is seafaring: after it, fleets ferry the armies the
+// strategy can't find a use for on land (see `seafare`). Strategies should
+// only attack nations they are at war with.
+//
+// The AI plays from what its nation can see (see Vision.view): armies out
+// of sight show up as stand-ins where they were last seen (`ghost: true`,
+// with a negative id), so orders must only name the nation's own armies.
+(function (global) {
+    'use strict';
+
+    const isNode = typeof module === 'object' && module.exports;
+    const Maps = isNode ? require('./maps.js') : global.Maps;
+    const Diplomacy = isNode ? require('./diplomacy.js') : global.Diplomacy;
+    const Indexes = isNode ? require('./indexes.js') : global.Indexes;
+    const Vision = isNode ? require('./vision.js') : global.Vision;
+
+    //   depth      - how many provinces away the planner looks for targets
+    //   hesitation - chance of letting an order slip each turn
+    const DIFFICULTIES = {
+        easy: { label: 'Easy', strategy: 'classic' },
+        normal: { label: 'Normal', strategy: 'planner', depth: 3, hesitation: 0.25 },
+        hard: { label: 'Hard', strategy: 'planner', depth: 6, hesitation: 0 }
+    };
+
+    //   attackRatio  - strength needed over the defenders before attacking
+    //   reserve      - share of a nearby enemy threat to keep at home
+    //   savings      - gold (in army costs) kept back unless a border is in danger
+    //   neutralValue / enemyValue / capitalValue - how much targets are worth
+    //   weakBonus    - extra value for land of the weakest nation
+    //   peaceful     - what peace itself is worth to it, in army costs
+    //   warChance    - chance each turn of picking a fight when at war with nobody
+    const PERSONALITIES = {
+        balanced: { label: 'Balanced', attackRatio: 1.2, reserve: 1.0, savings: 0.5, neutralValue: 10, enemyValue: 15, capitalValue: 20, weakBonus: 0, peaceful: 0, warChance: 0.1 },
+        aggressive: { label: 'Aggressive', attackRatio: 0.9, reserve: 0.5, savings: 0, neutralValue: 8, enemyValue: 22, capitalValue: 40, weakBonus: 0, peaceful: -2, warChance: 0.3 },
+        turtle: { label: 'Turtle', attackRatio: 1.8, reserve: 1.6, savings: 1.5, neutralValue: 12, enemyValue: 8, capitalValue: 10, weakBonus: 0, peaceful: 2, warChance: 0.03 },
+        opportunist: { label: 'Opportunist', attackRatio: 1.1, reserve: 0.8, savings: 0.5, neutralValue: 14, enemyValue: 12, capitalValue: 15, weakBonus: 15, peaceful: -1, warChance: 0.15 }
+    };
+
+    // How many ticks of a province's income the AI reckons it is worth in
+    // a peace treaty
+    const PROVINCE_TICKS = 60;
+
+    const DEFAULT_PROFILE = { difficulty: 'normal', personality: 'balanced' };
+
+    const STRATEGIES = {};
+
+    // Add a strategy under `name` (overwrites one with the same name)
+    function register(name, strategy) {
+        STRATEGIES[name] = strategy;
+    }
+
+    // Fill in a nation's AI profile, rejecting unknown names
+    function profile(config = {}) {
+        const result = { ...DEFAULT_PROFILE };
+        const given = config === null ? {} : config;
+        Object.keys(given).forEach(key => {
+            if (given[key] !== undefined) result[key] = given[key];
+        });
+        if (!DIFFICULTIES[result.difficulty]) throw new Error(`Unknown AI difficulty "${result.difficulty}"`);
+        if (!PERSONALITIES[result.personality]) throw new Error(`Unknown AI personality "${result.personality}"`);
+        if (result.strategy !== undefined && !STRATEGIES[result.strategy]) throw new Error(`Unknown AI strategy "${result.strategy}"`);
+        return result;
+    }
+
+    // Let the AI play one turn for `nationId`
+    function think(state, nationId, ctx) {
+        const ai = state.nations[nationId].ai || DEFAULT_PROFILE;
+        const difficulty = DIFFICULTIES[ai.difficulty] || DIFFICULTIES.normal;
+        const strategy = STRATEGIES[ai.strategy || difficulty.strategy];
+        const settings = { difficulty, personality: PERSONALITIES[ai.personality] || PERSONALITIES.balanced };
+        const view = Vision.view(state, nationId);
+        negotiate(view, nationId, ctx, settings);
+        strategy(view, nationId, ctx, settings);
+        seafare(view, nationId, ctx);
+    }
+
+    // Answer the proposals made to us, then sue for peace in wars we are
+    // losing, court nations that share our enemies and, with no war left
+    // to fight, start one with the weakest neighbor. Everything is weighed
+    // in gold: provinces by their income, armies by what they cost.
+    function negotiate(state, nationId, ctx, settings) {
+        const style = settings.personality;
+        const nation = state.nations[nationId];
+        const cost = state.rules.army.cost;
+        const troopValue = cost / state.rules.army.size;
+
+        const power = new Array(state.nations.length).fill(0);
+        state.armies.forEach(a => {
+            power[a.owner] += a.size * a.morale;
+        });
+        const alive = id => power[id] > 0 || Indexes.provincesOf(state, id).length > 0;
+        // A nation and its allies at war with `enemy`
+        const side = (id, enemy) => power[id] + Diplomacy.allies(state, id)
+            .filter(ally => Diplomacy.atWar(state, ally, enemy))
+            .reduce((sum, ally) => sum + power[ally], 0);
+        const worth = p => state.rules.economy.incomePerProvince * state.development[p] / 10 * PROVINCE_TICKS +
+            (p === nation.capital ? Infinity : 0);
+        const enemies = Diplomacy.enemies(state, nationId).filter(alive);
+        const shareEnemy = id => enemies.some(e => Diplomacy.atWar(state, id, e));
+        // What ending a war is worth: the gold value of the troops we are
+        // outmatched by, plus the peace itself
+        const peaceValue = enemy => (side(enemy, nationId) - side(nationId, enemy)) * troopValue +
+            (style.peaceful + enemies.length - 1) * cost;
+
+        const welcome = proposal => {
+            const from = proposal.from;
+            switch (proposal.kind) {
+                case 'peace': {
+                    // `give` comes to us, `take` is asked of us
+                    const gain = proposal.gold +
+                        proposal.give.reduce((sum, p) => sum + worth(p), 0) -
+                        proposal.take.reduce((sum, p) => sum + worth(p), 0);
+                    return gain + peaceValue(from) > 0;
+                }
+                case 'alliance':
+                    return shareEnemy(from) || enemies.some(e => power[e] > power[nationId]);
+                case 'access':
+                    return shareEnemy(from);
+                case 'call':
+                    return power[nationId] + side(from, proposal.against) > side(proposal.against, from) * style.attackRatio;
+                default:
+                    return false;
+            }
+        };
+
+        Diplomacy.pending(state, nationId).forEach(proposal => {
+            const accept = Diplomacy.check(state, proposal) === null && welcome(proposal);
+            ctx.issue({ type: 'respond', nation: nationId, proposal: proposal.id, accept });
+        });
+
+        const offered = (to, kind) => state.proposals.some(p => p.from === nationId && p.to === to && p.kind === kind);
+
+        // Buy our way out of wars that have gone badly for a while
+        enemies.forEach(enemy => {
+            const value = peaceValue(enemy);
+            if (value <= cost || offered(enemy, 'peace') || ctx.random() >= 0.25) return;
+            if (state.tick - state.relations[nationId][enemy].since < state.rules.diplomacy.truceTicks) return;
+            const gold = Math.max(0, Math.min(Math.floor(nation.treasury / 2), Math.round(value / 2)));
+            // Don't bother unless they might take it, by their own reckoning
+            const theirs = (side(nationId, enemy) - side(enemy, nationId)) * troopValue +
+                (Diplomacy.enemies(state, enemy).filter(alive).length - 1) * cost;
+            if (gold + theirs <= 0) return;
+            ctx.issue({ type: 'propose', nation: nationId, to: enemy, kind: 'peace', give: [], take: [], gold });
+        });
+
+        // Friends against a common enemy
+        state.nations.forEach(other => {
+            const relation = Diplomacy.status(state, nationId, other.id);
+            if ((relation !== 'peace' && relation !== 'truce') || !alive(other.id)) return;
+            if (!shareEnemy(other.id) || offered(other.id, 'alliance') || ctx.random() >= 0.1) return;
+            ctx.issue({ type: 'propose', nation: nationId, to: other.id, kind: 'alliance' });
+        });
+
+        // Nothing to fight: pick on the weakest neighbor at peace with us, if
+        // we outmatch it or have no unclaimed land left to take. With only
+        // allies around, an alliance has outlived its use.
+        if (enemies.length > 0 || ctx.random() >= style.warChance) return;
+        const neighbors = new Set();
+        let unclaimed = false;
+        Indexes.provincesOf(state, nationId).forEach(p => {
+            state.map.provinces[p].neighbors.forEach(n => {
+                if (state.provinces[n] === null) unclaimed = true;
+                else if (state.provinces[n] !== nationId) neighbors.add(state.provinces[n]);
+            });
+        });
+        const weakest = status => [...neighbors]
+            .filter(id => Diplomacy.status(state, nationId, id) === status)
+            .sort((a, b) => power[a] - power[b] || a - b)[0];
+
+        const target = weakest('peace');
+        if (target !== undefined && (!unclaimed || power[nationId] >= power[target] * style.attackRatio)) {
+            ctx.issue({ type: 'declare-war', nation: nationId, target });
+            return;
+        }
+        const ally = weakest('alliance');
+        if (target === undefined && !unclaimed && ally !== undefined && [...neighbors].every(id => Diplomacy.allied(state, nationId, id))) {
+            ctx.issue({ type: 'break-alliance', nation: nationId, target: ally });
+        }
+    }
+
+    // Classic: the original AI. Builds with a flat chance at its first
+    // province and scores only the provinces next to each army.
+    function classic(state, nationId, ctx) {
+        const nation = state.nations[nationId];
+
+        if (ctx.random() < state.rules.ai.buildChance && nation.treasury >= state.rules.army.cost && nation.manpower >= state.rules.army.size) {
+            const buildLocation = Indexes.provincesOf(state, nationId)[0];
+            if (buildLocation !== undefined) {
+                ctx.issue({ type: 'build', nation: nationId, province: buildLocation });
+            }
+        }
+
+        const myArmies = Indexes.armiesOf(state, nationId).filter(a => !a.moving);
+        myArmies.forEach(army => {
+            const target = classicTarget(state, nationId, army);
+            if (target !== null) {
+                ctx.issue({ type: 'move', nation: nationId, armyIds: [army.id], to: target });
+            }
+        });
+    }
+
+    function classicTarget(state, nationId, army) {
+        const neighbors = state.map.provinces[army.location].neighbors;
+
+        // Priority 1: Defend our provinces under attack
+        for (const neighborId of neighbors) {
+            if (state.provinces[neighborId] === nationId) {
+                const enemyArmies = Indexes.armiesAt(state, neighborId).filter(a => Diplomacy.atWar(state, a.owner, nationId));
+                if (enemyArmies.length > 0) {
+                    return neighborId; // Defend!
+                }
+            }
+        }
+
+        // Priority 2: Attack weak enemy targets
+        let bestTarget = null;
+        let bestScore = -999;
+
+        for (const neighborId of neighbors) {
+            if (state.provinces[neighborId] === nationId) {
+                continue; // Already ours
+            }
+            if (state.provinces[neighborId] !== null && !Diplomacy.atWar(state, state.provinces[neighborId], nationId)) {
+                continue; // Not at war with them
+            }
+
+            // Prefer enemy provinces over neutral
+            let score = state.provinces[neighborId] !== null ? 15 : 10;
+
+            const defenders = Indexes.armiesAt(state, neighborId).filter(a => Diplomacy.atWar(state, a.owner, nationId));
+            const defenderStrength = defenders.reduce((sum, a) => sum + (a.size * a.morale), 0);
+            const attackerStrength = army.size * army.morale;
+
+            // Prefer targets we can beat
+            if (defenderStrength === 0) {
+                score += 20; // Undefended!
+            } else if (attackerStrength > defenderStrength * 1.2) {
+                score += 10; // We're much stronger
+            } else if (attackerStrength > defenderStrength) {
+                score += 5; // We're slightly stronger
+            } else {
+                score -= 10; // They're stronger, avoid
+            }
+
+            // Prefer targets closer to enemy capitals (more strategic value)
+            for (const other of state.nations) {
+                const capital = other.capital;
+                if (state.provinces[capital] !== null && Diplomacy.atWar(state, state.provinces[capital], nationId)) {
+                    score += Math.max(0, 10 - Maps.distance(state.map, neighborId, capital));
+                }
+            }
+
+            if (score > bestScore) {
+                bestScore = score;
+                bestTarget = neighborId;
+            }
+        }
+
+        // Only move if we found a decent target
+        return bestScore > 5 ? bestTarget : null;
+    }
+
+    // All-pairs step counts over the adjacency graph, cached per map shape
+    const distanceCache = new Map();
+
+    function stepDistances(map) {
+        const signature = map.provinces.map(p => p.neighbors.join(',')).join(';');
+        if (distanceCache.has(signature)) return distanceCache.get(signature);
+
+        const count = map.provinces.length;
+        const table = map.provinces.map(origin => {
+            const row = new Array(count).fill(Infinity);
+            row[origin.id] = 0;
+            const queue = [origin.id];
+            for (let i = 0; i < queue.length; i++) {
+                const current = queue[i];
+                map.provinces[current].neighbors.forEach(next => {
+                    if (row[next] === Infinity) {
+                        row[next] = row[current] + 1;
+                        queue.push(next);
+                    }
+                });
+            }
+            return row;
+        });
+
+        if (distanceCache.size > 16) distanceCache.clear();
+        distanceCache.set(signature, table);
+        return table;
+    }
+
+    // Planner: looks several provinces ahead, keeps reserves where enemies
+    // gather, masses armies next to a target until they are strong enough,
+    // and saves gold unless a border needs troops.
+    function planner(state, nationId, ctx, settings) {
+        const { depth, hesitation } = settings.difficulty;
+        const style = settings.personality;
+        const nation = state.nations[nationId];
+        const dist = stepDistances(state.map);
+        const count = state.provinces.length;
+        const strength = army => army.size * army.morale;
+
+        // Where strength is (or will be, for armies on the move); only
+        // enemies count against us
+        const ours = new Array(count).fill(0);
+        const theirs = new Array(count).fill(0);
+        const nationStrength = new Array(state.nations.length).fill(0);
+        const atWar = id => Diplomacy.atWar(state, nationId, id);
+        const claimed = neutralClaims(state, nationId);
+        state.armies.forEach(army => {
+            const at = army.moving ? army.destination : army.location;
+            if (army.owner === nationId) {
+                ours[at] += strength(army);
+            } else if (atWar(army.owner)) {
+                theirs[at] += strength(army);
+            }
+            nationStrength[army.owner] += strength(army);
+        });
+        // Recruits in training will stand where they are raised
+        state.recruitment.forEach((queue, p) => {
+            queue.forEach(recruits => {
+                if (recruits.nation === nationId && recruits.kind === 'army') ours[p] += recruits.size;
+            });
+        });
+
+        // Enemy strength in or next to each of our provinces
+        const threat = new Array(count).fill(0);
+        for (let p = 0; p < count; p++) {
+            if (state.provinces[p] !== nationId) continue;
+            threat[p] = theirs[p];
+            state.map.provinces[p].neighbors.forEach(n => {
+                threat[p] += theirs[n];
+            });
+        }
+        const deficit = p => threat[p] * style.reserve - ours[p];
+
+        const idle = Indexes.armiesOf(state, nationId).filter(a => !a.moving);
+        const assigned = new Set();
+
+        const order = command => {
+            if (hesitation > 0 && ctx.random() < hesitation) return;
+            ctx.issue(command);
+        };
+
+        // First step on a shortest path, preferring our own land, then the
+        // least defended province, then the easiest terrain (null when the
+        // way is shut by land we may not enter)
+        const slowness = p => {
+            const terrain = state.map.provinces[p].terrain;
+            return terrain === 'plains' ? 0 : state.rules.terrain[`${terrain}Move`] - 1;
+        };
+        const nextHop = (from, to) => {
+            let best = null;
+            state.map.provinces[from].neighbors.forEach(n => {
+                if (dist[n][to] !== dist[from][to] - 1 || !Diplomacy.canEnter(state, nationId, n)) return;
+                const score = (state.provinces[n] === nationId ? 0 : 1) * 1e9 + theirs[n] + slowness(n);
+                if (best === null || score < best.score || (score === best.score && n < best.id)) {
+                    best = { id: n, score };
+                }
+            });
+            return best === null ? null : best.id;
+        };
+
+        // One hop at a time, or the long way round when the short one is shut
+        const march = (army, to) => {
+            assigned.add(army.id);
+            if (army.location === to) return;
+            const hop = nextHop(army.location, to);
+            order({ type: 'move', nation: nationId, armyIds: [army.id], to: hop !== null ? hop : to });
+        };
+
+        // Spend gold: reinforce the province in most danger, otherwise
+        // build at the front once the savings are in place, unless upkeep
+        // would eat more than half our income: then invest in the economy
+        const cost = state.rules.army.cost;
+        const armyUpkeep = state.rules.army.size / 1000 * state.rules.economy.upkeep;
+        const endangered = [];
+        for (let p = 0; p < count; p++) {
+            if (state.provinces[p] === nationId && threat[p] > 0) endangered.push(p);
+        }
+        endangered.sort((a, b) => deficit(b) - deficit(a) || a - b);
+
+        let builds = 0;
+        let treasury = nation.treasury;
+        let manpower = nation.manpower;
+        const budget = ctx.budget(nationId);
+        let upkeep = budget.upkeep;
+        while (treasury >= cost && manpower >= state.rules.army.size && builds < 3) {
+            const worst = endangered.find(p => deficit(p) > 0);
+            let where = worst !== undefined ? worst : null;
+            if (where === null) {
+                if (treasury < cost * (1 + style.savings) || builds > 0) break;
+                if (upkeep + armyUpkeep > (budget.provinces + budget.markets) / 2) {
+                    invest(state, nationId, ctx, treasury / (1 + style.savings), threat);
+                    break;
+                }
+                where = frontProvince(state, nationId, dist);
+                if (where === null) break;
+            }
+            ctx.issue({ type: 'build', nation: nationId, province: where });
+            ours[where] += state.rules.army.size;
+            treasury -= cost;
+            manpower -= state.rules.army.size;
+            upkeep += armyUpkeep;
+            builds++;
+        }
+        // Short of men to recruit: put spare gold into the economy instead
+        if (builds === 0 && manpower < state.rules.army.size && treasury >= cost * (1 + style.savings)) {
+            invest(state, nationId, ctx, treasury / (1 + style.savings), threat);
+        }
+
+        // Defense: hold or move reserves into threatened provinces, but
+        // never tie down more than the personality's share of our armies
+        const idleStrength = idle.reduce((sum, a) => sum + strength(a), 0);
+        let reserves = idleStrength * style.reserve / (1 + style.reserve);
+        endangered.forEach(p => {
+            if (deficit(p) <= 0) return;
+            const helpers = idle
+                .filter(a => !assigned.has(a.id) && dist[a.location][p] <= 1)
+                .sort((a, b) => dist[a.location][p] - dist[b.location][p] || a.id - b.id);
+            for (const army of helpers) {
+                if (deficit(p) <= 0 || reserves <= 0) break;
+                reserves -= strength(army);
+                if (army.location !== p) ours[p] += strength(army);
+                march(army, p);
+            }
+        });
+
+        // Attack: rank targets within reach by value over distance
+        const enemyCapitals = new Set(state.nations.filter(n => atWar(n.id)).map(n => n.capital));
+        const rivals = state.nations.filter(n => atWar(n.id) && state.provinces.includes(n.id));
+        const weakest = rivals.length > 0
+            ? rivals.reduce((a, b) => (nationStrength[b.id] < nationStrength[a.id] ? b : a)).id
+            : null;
+
+        const targets = [];
+        for (let t = 0; t < count; t++) {
+            const owner = state.provinces[t];
+            if (owner === nationId || (owner !== null && !atWar(owner)) || claimed[t]) continue;
+
+            const reach = idle.reduce((min, a) => Math.min(min, dist[a.location][t]), Infinity);
+            if (reach > depth) continue;
+
+            let value = owner === null ? style.neutralValue : style.enemyValue;
+            if (owner !== null && enemyCapitals.has(t)) value += style.capitalValue;
+            if (owner !== null && owner === weakest) value += style.weakBonus;
+            // Defenders fight harder at home, the more so in rough terrain
+            const terrain = state.map.provinces[t].terrain;
+            const home = owner === null ? 0 : state.rules.combat.defenderBonus + (terrain === 'plains' ? 0 : state.rules.terrain[`${terrain}Defense`]);
+            // Forts (capitals among them) take a siege as well as a march
+            const fort = state.forts[t] + (state.nations.some(n => n.capital === t) ? state.rules.siege.capitalLevel : 0);
+            targets.push({ id: t, need: theirs[t] * (1 + home) * style.attackRatio, score: value / (1 + reach + fort) });
+        }
+        targets.sort((a, b) => b.score - a.score || a.id - b.id);
+
+        targets.forEach(target => {
+            const free = idle
+                .filter(a => !assigned.has(a.id) && dist[a.location][target.id] <= depth)
+                .sort((a, b) => dist[a.location][target.id] - dist[b.location][target.id] || a.id - b.id);
+            if (free.length === 0) return;
+
+            // Undefended: the nearest army walks in
+            if (target.need === 0) {
+                march(free[0], target.id);
+                return;
+            }
+
+            // Defended: commit armies until they outmatch the defenders
+            const group = [];
+            let total = 0;
+            for (const army of free) {
+                if (total > target.need) break;
+                group.push(army);
+                total += strength(army);
+            }
+            if (total <= target.need) return;
+
+            // Attack together once everyone is next to the target,
+            // otherwise gather next to it first
+            if (group.every(a => dist[a.location][target.id] === 1)) {
+                group.forEach(a => assigned.add(a.id));
+                const byLocation = new Map();
+                group.forEach(a => {
+                    if (!byLocation.has(a.location)) byLocation.set(a.location, []);
+                    byLocation.get(a.location).push(a.id);
+                });
+                byLocation.forEach(armyIds => order({ type: 'move', nation: nationId, armyIds, to: target.id }));
+            } else {
+                group.forEach(army => {
+                    if (dist[army.location][target.id] === 1) {
+                        assigned.add(army.id); // Wait for the others
+                    } else {
+                        march(army, target.id);
+                    }
+                });
+            }
+        });
+
+        // Anyone left idle deep inside our land heads for the border
+        idle.forEach(army => {
+            if (assigned.has(army.id)) return;
+            const inland = state.map.provinces[army.location].neighbors.every(n => state.provinces[n] === nationId);
+            if (!inland) return;
+            const front = frontProvince(state, nationId, dist, army.location);
+            if (front !== null) march(army, front);
+        });
+    }
+
+    // Provinces where armies stand of a nation we are neither at war nor
+    // allied with: nobody can take land out from under the other there
+    // (see Engine.getBesiegers), so they aren't worth marching on
+    function neutralClaims(state, nationId) {
+        const claimed = new Array(state.provinces.length).fill(false);
+        state.armies.forEach(army => {
+            if (army.moving || army.owner === nationId) return;
+            if (!Diplomacy.atWar(state, nationId, army.owner) && !Diplomacy.allied(state, nationId, army.owner)) claimed[army.location] = true;
+        });
+        return claimed;
+    }
+
+    // Armies with nothing left to take by land (every province they can
+    // walk to is ours or at peace with us) are stranded: build a fleet if
+    // we have none, bring the stranded armies down to a coast, take them
+    // aboard, and sail them to the nearest coast worth landing on.
+    function seafare(state, nationId, ctx) {
+        if (state.map.seas.length === 0) return;
+        const nation = state.nations[nationId];
+        const dist = stepDistances(state.map);
+        const count = state.provinces.length;
+        const rules = state.rules;
+
+        const enemyTroops = new Array(count).fill(0);
+        state.armies.forEach(army => {
+            if (Diplomacy.atWar(state, nationId, army.owner)) enemyTroops[army.location] += army.size;
+        });
+        const claimed = neutralClaims(state, nationId);
+        const isTarget = p => {
+            const owner = state.provinces[p];
+            return (owner === null || Diplomacy.atWar(state, nationId, owner)) && !claimed[p];
+        };
+        const targets = [];
+        for (let p = 0; p < count; p++) {
+            if (isTarget(p)) targets.push(p);
+        }
+        const stranded = Indexes.armiesOf(state, nationId).filter(a =>
+            !a.moving && !targets.some(t => dist[a.location][t] < Infinity));
+
+        // One transport for every two armies waiting, launched near the
+        // first of them into a zone free of enemy ships
+        const fleets = state.fleets.filter(f => f.owner === nationId);
+        const queued = state.recruitment.reduce((sum, queue) => sum + queue.filter(r => r.nation === nationId && r.kind === 'fleet').length, 0);
+        if (fleets.length + queued < Math.ceil(stranded.length / 2) && nation.treasury >= rules.navy.cost) {
+            const from = stranded[0].location;
+            const safe = seaId => !state.fleets.some(f => f.location === seaId && Diplomacy.atWar(state, nationId, f.owner));
+            let yard = null;
+            Indexes.provincesOf(state, nationId).forEach(p => {
+                const sea = state.map.provinces[p].seas.find(safe);
+                if (sea === undefined) return;
+                if (yard === null || dist[from][p] < dist[from][yard.province]) yard = { province: p, sea };
+            });
+            if (yard !== null) ctx.issue({ type: 'build-fleet', nation: nationId, ...yard });
+        }
+        if (fleets.length === 0) return;
+
+        // Stranded armies inland walk to the nearest coast of ours
+        stranded.forEach(army => {
+            if (state.map.provinces[army.location].seas.length > 0) return;
+            let coast = null;
+            Indexes.provincesOf(state, nationId).forEach(p => {
+                if (state.map.provinces[p].seas.length === 0) return;
+                if (coast === null || dist[army.location][p] < dist[army.location][coast]) coast = p;
+            });
+            if (coast !== null && dist[army.location][coast] < Infinity) {
+                ctx.issue({ type: 'move', nation: nationId, armyIds: [army.id], to: coast });
+            }
+        });
+
+        // Where a landing party of `troops` could go ashore from a sea
+        // zone: a target coast with fewer defenders than half of them
+        const landing = (seaId, troops) => {
+            let best = null;
+            state.map.seas[seaId].coasts.forEach(p => {
+                if (!isTarget(p) || enemyTroops[p] * 2 > troops || !Diplomacy.canEnter(state, nationId, p)) return;
+                const score = enemyTroops[p] * 10 + (state.provinces[p] === null ? 1 : 0);
+                if (best === null || score < best.score) best = { id: p, score };
+            });
+            return best === null ? null : best.id;
+        };
+        const nearestSea = (from, wanted) => {
+            let best = null;
+            state.map.seas.forEach(sea => {
+                if (!wanted(sea.id)) return;
+                const route = Maps.findSeaRoute(state.map, from, sea.id);
+                if (route !== null && (best === null || route.length < best.hops)) best = { id: sea.id, hops: route.length };
+            });
+            return best === null ? null : best.id;
+        };
+
+        fleets.forEach(fleet => {
+            if (fleet.moving) return;
+            const aboard = fleet.cargo.reduce((sum, a) => sum + a.size, 0);
+
+            if (aboard > 0) {
+                const shore = landing(fleet.location, aboard);
+                if (shore !== null) {
+                    ctx.issue({ type: 'disembark', nation: nationId, fleet: fleet.id, to: shore });
+                    return;
+                }
+                const sea = nearestSea(fleet.location, id => landing(id, aboard) !== null);
+                if (sea !== null) ctx.issue({ type: 'sail', nation: nationId, fleet: fleet.id, to: sea });
+                return;
+            }
+
+            // (leaving out those another fleet just took aboard)
+            const waiting = stranded.filter(a => a.location !== null && state.map.provinces[a.location].seas.length > 0);
+            const here = waiting.filter(a => state.map.seas[fleet.location].coasts.includes(a.location));
+            if (here.length > 0) {
+                ctx.issue({ type: 'embark', nation: nationId, fleet: fleet.id, armyIds: here.map(a => a.id) });
+                return;
+            }
+            if (waiting.length > 0) {
+                const sea = nearestSea(fleet.location, id => state.map.seas[id].coasts.includes(waiting[0].location));
+                if (sea !== null) ctx.issue({ type: 'sail', nation: nationId, fleet: fleet.id, to: sea });
+            }
+        });
+    }
+
+    // Spend up to `budget` on the safe province improvement that adds the
+    // most income per gold: a market, or another point of development
+    function invest(state, nationId, ctx, budget, threat) {
+        const rules = state.rules;
+        let best = null;
+        Indexes.provincesOf(state, nationId).forEach(p => {
+            if (threat[p] > 0) return;
+            const buildings = state.buildings[p];
+            const market = buildings.includes('market') ? rules.buildings.marketIncome : 0;
+            const income = rules.economy.incomePerProvince * state.development[p] / 10;
+
+            const options = [];
+            if (!market) {
+                options.push({ command: { type: 'construct', building: 'market' }, cost: rules.buildings.marketCost, gain: income * rules.buildings.marketIncome });
+            }
+            if (state.development[p] < rules.economy.maxDevelopment) {
+                const cost = Math.ceil(rules.economy.developCost * state.development[p] / 10);
+                options.push({ command: { type: 'develop' }, cost, gain: rules.economy.incomePerProvince / 10 * (1 + market) });
+            }
+            options.forEach(option => {
+                if (option.cost > budget) return;
+                const score = option.gain / Math.max(1, option.cost);
+                if (best === null || score > best.score) {
+                    best = { command: { ...option.command, nation: nationId, province: p }, score };
+                }
+            });
+        });
+        if (best !== null) ctx.issue(best.command);
+    }
+
+    // Our border province nearest to `from` (or to an enemy, without `from`)
+    function frontProvince(state, nationId, dist, from = null) {
+        let best = null;
+        Indexes.provincesOf(state, nationId).forEach(p => {
+            const border = state.map.provinces[p].neighbors.some(n => state.provinces[n] !== nationId);
+            if (!border) return;
+
+            let score;
+            if (from !== null) {
+                score = dist[from][p];
+            } else {
+                score = 0;
+                state.map.provinces[p].neighbors.forEach(n => {
+                    if (state.provinces[n] !== null && Diplomacy.atWar(state, nationId, state.provinces[n])) score -= 1;
+                });
+            }
+            if (best === null || score < best.score) best = { id: p, score };
+        });
+        return best === null ? null : best.id;
+    }
+
+    register('classic', classic);
+    register('planner', planner);
+
+    const AI = {
+        DIFFICULTIES,
+        PERSONALITIES,
+        DEFAULT_PROFILE,
+        STRATEGIES,
+        register,
+        profile,
+        think,
+        stepDistances
+    };
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = AI;
+    } else {
+        global.AI = AI;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
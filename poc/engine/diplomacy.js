@@ -0,0 +1,133 @@
+// Relations between nations
+//
+// Every pair of nations has a relation, kept in both directions in
+// `state.relations[a][b] = { status, since, until }`:
+//   war      - their armies fight and each can take the other's land
+//   peace    - their armies leave each other alone; one may only enter the
+//              other's land with military access (`state.access[host][guest]`)
+//   truce    - peace that can't be broken until tick `until`, after which
+//              it becomes plain peace
+//   alliance - peace with access both ways, and each side is called to arms
+//              when someone declares war on the other
+// Games start with everyone at war. Offers wait in `state.proposals` until
+// they are answered or expire:
+//
+//     { id, from, to, kind, tick, give, take, gold, against }
+//
+//   peace    - end a war; `give` provinces go from `from` to `to`, `take`
+//              provinces from `to` to `from`, and `gold` is paid by `from`
+//              (a negative amount is asked of `to`)
+//   alliance - become allies
+//   access   - ask `to` for military access through its land
+//   call     - ask an ally to join the war against `against`
+//
+// This module only reads and writes the relation tables; the commands that
+// change them (and what that does to armies) live in the engine.
+(function (global) {
+    'use strict';
+
+    const STATUSES = ['war', 'peace', 'truce', 'alliance'];
+    const KINDS = ['peace', 'alliance', 'access', 'call'];
+
+    // Fill in the tables for a new game: everyone at war, nobody with access
+    function init(state) {
+        const count = state.nations.length;
+        state.relations = state.nations.map(a => state.nations.map(b => (a.id === b.id ? null : { status: 'war', since: 0, until: null })));
+        state.access = state.nations.map(() => new Array(count).fill(false));
+        state.proposals = [];
+        state.nextProposalId = 1;
+        return state;
+    }
+
+    // 'war', 'peace', 'truce' or 'alliance' between two nations, 'self' for
+    // a nation and itself, and null when either side is nobody
+    function status(state, a, b) {
+        if (a === null || b === null) return null;
+        if (a === b) return 'self';
+        return state.relations[a][b].status;
+    }
+
+    function set(state, a, b, value, until = null) {
+        state.relations[a][b] = { status: value, since: state.tick, until };
+        state.relations[b][a] = { status: value, since: state.tick, until };
+    }
+
+    function atWar(state, a, b) {
+        return status(state, a, b) === 'war';
+    }
+
+    function allied(state, a, b) {
+        return status(state, a, b) === 'alliance';
+    }
+
+    // Whether the armies of `nation` may stand in a province: their own,
+    // nobody's, an enemy's or an ally's, or a nation granting them access
+    function canEnter(state, nation, provinceId) {
+        const owner = state.provinces[provinceId];
+        if (owner === null || owner === nation) return true;
+        const relation = status(state, owner, nation);
+        return relation === 'war' || relation === 'alliance' || state.access[owner][nation];
+    }
+
+    // Nations at war with `nation`
+    function enemies(state, nation) {
+        return state.nations.filter(n => atWar(state, nation, n.id)).map(n => n.id);
+    }
+
+    function allies(state, nation) {
+        return state.nations.filter(n => allied(state, nation, n.id)).map(n => n.id);
+    }
+
+    // Why a proposal can't be carried out right now, or null if it can
+    function check(state, proposal) {
+        const { from, to } = proposal;
+        const relation = status(state, from, to);
+        switch (proposal.kind) {
+            case 'peace': {
+                if (relation !== 'war') return 'not at war';
+                if (proposal.give.some(p => state.provinces[p] !== from)) return `${state.nations[from].name} no longer holds the provinces it offered`;
+                if (proposal.take.some(p => state.provinces[p] !== to)) return `${state.nations[to].name} no longer holds the provinces asked for`;
+                if (proposal.gold > 0 && state.nations[from].treasury < proposal.gold) return `${state.nations[from].name} can't pay`;
+                if (proposal.gold < 0 && state.nations[to].treasury < -proposal.gold) return `${state.nations[to].name} can't pay`;
+                return null;
+            }
+            case 'alliance':
+                return relation === 'peace' || relation === 'truce' ? null : 'not at peace';
+            case 'access':
+                if (relation !== 'peace' && relation !== 'truce') return 'not at peace';
+                return state.access[to][from] ? 'access already granted' : null;
+            case 'call':
+                if (relation !== 'alliance') return 'not allies';
+                if (!atWar(state, from, proposal.against)) return `no longer at war with ${state.nations[proposal.against].name}`;
+                return status(state, to, proposal.against) === 'peace' ? null : `can't declare war on ${state.nations[proposal.against].name}`;
+            default:
+                return 'unknown proposal';
+        }
+    }
+
+    // Proposals waiting for `nation` to answer
+    function pending(state, nation) {
+        return state.proposals.filter(p => p.to === nation);
+    }
+
+    const Diplomacy = {
+        STATUSES,
+        KINDS,
+        init,
+        status,
+        set,
+        atWar,
+        allied,
+        canEnter,
+        enemies,
+        allies,
+        check,
+        pending
+    };
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = Diplomacy;
+    } else {
+        global.Diplomacy = Diplomacy;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,2188 @@
+// Headless game engine
+//
+// Everything the simulation needs lives in a plain, JSON-serializable state
+// object. The engine never touches the DOM, timers or `Math.random()`:
+//
+//     const state = Engine.createGame({ seed: 42 });
+//     const { state: next, events } = Engine.step(state, commands);
+//
+// `step` is pure (it clones the state first). `runTick` and `applyCommand`
+// mutate in place, which is what the Alpine component uses so its reactive
+// proxy sees every change. Armies are added, removed and moved and provinces
+// handed over through indexes.js, which keeps the state's lookups current.
+(function (global) {
+    'use strict';
+
+    const isNode = typeof module === 'object' && module.exports;
+    const Rng = isNode ? require('./rng.js') : global.Rng;
+    const Maps = isNode ? require('./maps.js') : global.Maps;
+    const Rules = isNode ? require('./rules.js') : global.Rules;
+    const Scripts = isNode ? require('./scripts.js') : global.Scripts;
+    const Diplomacy = isNode ? require('./diplomacy.js') : global.Diplomacy;
+    const Indexes = isNode ? require('./indexes.js') : global.Indexes;
+    const Stats = isNode ? require('./stats.js') : global.Stats;
+    const Vision = isNode ? require('./vision.js') : global.Vision;
+    const AI = isNode ? require('./ai.js') : global.AI;
+    const Scenarios = isNode ? require('./scenarios.js') : global.Scenarios;
+
+    const MIN_NATIONS = 2;
+    const MAX_NATIONS = 8;
+
+    // Finished battle reports kept on the state (oldest are dropped)
+    const BATTLE_LOG_SIZE = 50;
+
+    // What a province can have built in it, at most one of each (forts
+    // have levels and are raised with the 'fortify' command instead):
+    //   market   - raises the province's income by buildings.marketIncome
+    //   barracks - armies built there cost buildings.barracksDiscount less
+    const BUILDINGS = ['market', 'barracks'];
+
+    // Standing orders an army can be given (see processStandingOrders):
+    //   hold   - stays where it is and fights on when its side breaks
+    //   defend - guards the provinces within movement.defendRange of its post
+    const STANDING_ORDERS = ['hold', 'defend'];
+
+    // Names and colors offered for each seat, in seat order
+    const NATION_PRESETS = [
+        { name: "Blue Empire", color: "#4169E1", treasury: 200 },
+        { name: "Red Kingdom", color: "#DC143C", treasury: 200 },
+        { name: "Green Republic", color: "#228B22", treasury: 200 },
+        { name: "Golden Sultanate", color: "#DAA520", treasury: 200 },
+        { name: "Violet Dominion", color: "#8A2BE2", treasury: 200 },
+        { name: "Teal Confederacy", color: "#008B8B", treasury: 200 },
+        { name: "Orange Khanate", color: "#FF8C00", treasury: 200 },
+        { name: "Black Order", color: "#2F2F2F", treasury: 200 }
+    ];
+
+    // The classic setup: the first three seats (or fewer on small maps),
+    // a human in seat 0 and the AI everywhere else
+    function defaultSeats(map) {
+        return map.start.slice(0, 3).map((_, seat) => ({
+            ...NATION_PRESETS[seat],
+            control: seat === 0 ? 'human' : 'ai'
+        }));
+    }
+
+    // Create a fresh game state
+    //   options.map     - map definition (see maps.js), defaults to the classic 7x7
+    //   options.nations - one entry per map seat, in seat order:
+    //                     { name, color, treasury, control: 'human' | 'ai' | 'empty',
+    //                       ai: { difficulty, personality } }
+    //                     Empty seats, and seats past the end of the list,
+    //                     start out neutral.
+    //   options.rules   - ruleset overrides (see rules.js), e.g. the result
+    //                     of Rules.load(mods).rules
+    //   options.scripts - mod scripts, { id, name, source } (see scripts.js)
+    //   options.seed    - RNG seed (number or string), defaults to the clock
+    //   options.allAI   - let the AI play every nation (headless simulation)
+    //   options.scenario, options.campaign
+    //                   - the scenario being played and its campaign stage,
+    //                     as Scenarios.gameOptions sets them up
+    function createGame(options = {}) {
+        const map = options.map ? Maps.normalize(options.map) : Maps.classic();
+        const rules = Rules.create(options.rules);
+        const seats = options.nations || defaultSeats(map);
+        if (seats.length > map.start.length) {
+            throw new Error(`Map "${map.name}" only has ${map.start.length} starting positions`);
+        }
+
+        // Nation ids are handed out in seat order, skipping empty seats
+        const nations = [];
+        seats.forEach((config, seat) => {
+            if (!config || config.control === 'empty') return;
+
+            const preset = NATION_PRESETS[seat % NATION_PRESETS.length];
+            const control = options.allAI ? 'ai' : config.control;
+            nations.push({
+                id: nations.length,
+                name: config.name || preset.name,
+                color: config.color || preset.color,
+                treasury: config.treasury !== undefined ? config.treasury : preset.treasury,
+                isPlayer: control === 'human',
+                isAI: control !== 'human',
+                ai: AI.profile(config.ai),
+                capital: map.start[seat].capital,
+                eliminated: null
+            });
+        });
+
+        if (nations.length < MIN_NATIONS || nations.length > MAX_NATIONS) {
+            throw new Error(`A game needs ${MIN_NATIONS} to ${MAX_NATIONS} nations, got ${nations.length}`);
+        }
+
+        const state = {
+            tick: 0,
+            map,
+            rules,
+            scripts: (options.scripts || []).map(script => ({
+                id: script.id,
+                name: script.name || script.id,
+                source: script.source,
+                disabled: false,
+                error: null,
+                memory: {}
+            })),
+            provinces: Array(map.provinces.length).fill(null),
+            development: map.provinces.map(p => p.development),
+            buildings: map.provinces.map(() => []),
+            forts: map.provinces.map(p => p.fort),
+            garrisons: [],
+            recruitment: map.provinces.map(() => []),
+            rallyPoints: map.provinces.map(() => null),
+            armies: [],
+            fleets: [],
+            battles: [],
+            battleReports: [],
+            nations,
+            nextArmyId: 100,
+            nextFleetId: 1,
+            keyHold: null,
+            scenario: options.scenario ? Scenarios.init(options.scenario, options.campaign) : null,
+            winner: null,
+            gameOver: false,
+            result: null,
+            seed: Rng.seed(options.seed),
+            rng: 0
+        };
+        state.rng = state.seed;
+        state.garrisons = map.provinces.map(p => getMaxGarrison(state, p.id));
+        Diplomacy.init(state);
+
+        // Set initial province ownership and armies from each nation's seat
+        let armyId = 1;
+        nations.forEach(nation => {
+            const seat = map.start.find(s => s.capital === nation.capital);
+            seat.provinces.forEach(provinceId => {
+                Indexes.setOwner(state, provinceId, nation.id);
+            });
+            seat.armies.forEach(army => {
+                Indexes.addArmy(state, createArmy(state, armyId++, nation.id, army.province, army.size));
+            });
+        });
+        nations.forEach(nation => {
+            nation.manpower = getManpower(state, nation.id).max;
+        });
+        Vision.init(state);
+        Stats.init(state);
+
+        return state;
+    }
+
+    // `full` is the army's size at full strength: losses leave it below
+    // that until reinforcements arrive (see processRecruitment). `standing`
+    // is the army's standing order, 'hold' or 'defend' (with `post`, the
+    // province whose region it defends), or null (see
+    // processStandingOrders).
+    function createArmy(state, id, owner, location, size = null) {
+        return {
+            id,
+            owner,
+            size: size || state.rules.army.size,
+            full: size || state.rules.army.size,
+            location,
+            moving: false,
+            destination: null,
+            movementProgress: 0,
+            route: [],
+            crossing: false,
+            morale: 1.0,
+            conquestProgress: 0,
+            standing: null,
+            post: null
+        };
+    }
+
+    // A fleet sails the sea zones (`location`, `destination` and `route` are
+    // sea ids, moving one hop at a time like an army) and carries armies in
+    // `cargo`: embarked armies leave state.armies until they land
+    function createFleet(state, owner, location, ships) {
+        return {
+            id: state.nextFleetId++,
+            owner,
+            ships,
+            location,
+            moving: false,
+            destination: null,
+            movementProgress: 0,
+            route: [],
+            cargo: []
+        };
+    }
+
+    // Deep copy of a state (works on Alpine proxies too)
+    function cloneState(state) {
+        return JSON.parse(JSON.stringify(state));
+    }
+
+    // Get neighbors of a province
+    function getNeighbors(state, provinceId) {
+        return state.map.provinces[provinceId].neighbors;
+    }
+
+    function countProvinces(state, nationId) {
+        return Indexes.provincesOf(state, nationId).length;
+    }
+
+    // Gold a province yields per tick before its market
+    function getProvinceIncome(state, provinceId) {
+        return state.rules.economy.incomePerProvince * state.development[provinceId] / 10;
+    }
+
+    // A nation's gold per tick, item by item:
+    //   provinces - what its land yields at its development
+    //   markets   - what its markets add on top
+    //   capital   - what it loses while an enemy holds its capital
+    //   blockade  - what enemy fleets off its coasts cost it
+    //   upkeep    - what its armies and fleets cost to keep
+    //   net       - the change to the treasury each tick
+    function getBudget(state, nationId) {
+        let provinces = 0;
+        let markets = 0;
+        let blockaded = 0;
+        Indexes.provincesOf(state, nationId).forEach(provinceId => {
+            let income = getProvinceIncome(state, provinceId);
+            provinces += income;
+            if (state.buildings[provinceId].includes('market')) {
+                const market = income * state.rules.buildings.marketIncome;
+                markets += market;
+                income += market;
+            }
+            if (isBlockaded(state, provinceId)) blockaded += income;
+        });
+
+        const nation = state.nations[nationId];
+        const occupied = state.provinces[nation.capital] !== nationId;
+        const lossShare = occupied ? state.rules.siege.capitalIncomeLoss : 0;
+        const capital = (provinces + markets) * lossShare;
+        // Income the capital already costs isn't lost twice
+        const blockade = blockaded * (1 - lossShare) * state.rules.navy.blockade;
+
+        const fleets = state.fleets.filter(f => f.owner === nationId);
+        const troops = Indexes.armiesOf(state, nationId).reduce((sum, a) => sum + a.size, 0) +
+            fleets.reduce((sum, f) => sum + cargoTroops(f), 0);
+        const ships = fleets.reduce((sum, f) => sum + f.ships, 0);
+        const upkeep = troops / 1000 * state.rules.economy.upkeep + ships * state.rules.navy.upkeep;
+
+        return { provinces, markets, capital, blockade, upkeep, net: provinces + markets - capital - blockade - upkeep };
+    }
+
+    // A nation's manpower: the men in its pool, and how many its land adds
+    // per tick up to the most the pool can hold (both scale with
+    // development like income does)
+    function getManpower(state, nationId) {
+        const rules = state.rules.manpower;
+        let growth = 0;
+        let max = 0;
+        Indexes.provincesOf(state, nationId).forEach(provinceId => {
+            const scale = state.development[provinceId] / 10;
+            growth += rules.perProvince * scale;
+            max += rules.maxPerProvince * scale;
+        });
+        return { pool: state.nations[nationId].manpower || 0, growth, max };
+    }
+
+    // Gold coming in per tick, before upkeep
+    function getIncome(state, nationId) {
+        const budget = getBudget(state, nationId);
+        return budget.provinces + budget.markets - budget.capital - budget.blockade;
+    }
+
+    // What an army costs to build in a province (less at barracks)
+    function getArmyCost(state, provinceId) {
+        const cost = state.rules.army.cost;
+        if (!state.buildings[provinceId].includes('barracks')) return cost;
+        return Math.round(cost * (1 - state.rules.buildings.barracksDiscount));
+    }
+
+    function getFleetCost(state) {
+        return state.rules.navy.cost;
+    }
+
+    // Troops aboard a fleet, and how many it has room for
+    function cargoTroops(fleet) {
+        return fleet.cargo.reduce((sum, a) => sum + a.size, 0);
+    }
+
+    function getFleetCapacity(state, fleet) {
+        return fleet.ships * state.rules.navy.capacity;
+    }
+
+    // Whether ships of nations at war share a sea zone
+    function contested(state, seaId) {
+        const here = state.fleets.filter(f => f.location === seaId);
+        return here.some(a => here.some(b => Diplomacy.atWar(state, a.owner, b.owner)));
+    }
+
+    // A coastal province is blockaded while a fleet at war with its owner
+    // lies off one of its coasts with no fleet of the owner or its allies
+    // there to contest it
+    function isBlockaded(state, provinceId) {
+        const owner = state.provinces[provinceId];
+        if (owner === null) return false;
+        return state.map.provinces[provinceId].seas.some(seaId => {
+            const here = state.fleets.filter(f => f.location === seaId);
+            return here.some(f => Diplomacy.atWar(state, f.owner, owner)) &&
+                !here.some(f => f.owner === owner || Diplomacy.allied(state, f.owner, owner));
+        });
+    }
+
+    function getBuildingCost(state, building) {
+        return state.rules.buildings[`${building}Cost`];
+    }
+
+    // What raising a province's development by one costs; richer
+    // provinces cost more to improve
+    function getDevelopCost(state, provinceId) {
+        return Math.ceil(state.rules.economy.developCost * state.development[provinceId] / 10);
+    }
+
+    // Provinces a nation needs to win: the ruleset's share if it sets one,
+    // otherwise the map's own target
+    function getVictoryTarget(state) {
+        const share = state.rules.victory.share;
+        return share === null ? state.map.victoryProvinces : Math.ceil(state.provinces.length * share);
+    }
+
+    // The provinces to hold for victory.holdTicks: the map's key provinces,
+    // or every nation's capital on a map that names none
+    function getKeyProvinces(state) {
+        if (state.map.keyProvinces.length > 0) return state.map.keyProvinces;
+        return state.nations.map(n => n.capital).sort((a, b) => a - b);
+    }
+
+    // Whether a nation still has provinces, armies or fleets
+    function hasForces(state, nationId) {
+        return Indexes.provincesOf(state, nationId).length > 0 ||
+            Indexes.armiesOf(state, nationId).length > 0 ||
+            state.fleets.some(f => f.owner === nationId);
+    }
+
+    // How a province's terrain scales a plains value. `kind` is 'Move',
+    // 'Conquest' or 'Supply' (a factor, 1 on plains) or 'Defense' (a bonus
+    // added to the defender's, 0 on plains).
+    function terrainEffect(state, provinceId, kind) {
+        const terrain = state.map.provinces[provinceId].terrain;
+        if (terrain === 'plains') return kind === 'Defense' ? 0 : 1;
+        return state.rules.terrain[`${terrain}${kind}`];
+    }
+
+    // Ticks an army needs to move from province `from` to its neighbor `to`:
+    // the terrain it moves into, plus any river in between
+    function moveCost(state, from, to) {
+        const ticks = Math.max(1, Math.round(state.rules.movement.ticks * terrainEffect(state, to, 'Move')));
+        return Maps.hasRiver(state.map, from, to) ? ticks + state.rules.movement.riverTicks : ticks;
+    }
+
+    // Ticks a lone army needs to take a province
+    function getConquestTicks(state, provinceId) {
+        return Math.max(1, Math.round(state.rules.conquest.ticks * terrainEffect(state, provinceId, 'Conquest')));
+    }
+
+    // Whether a province is some nation's capital
+    function isCapital(state, provinceId) {
+        return state.nations.some(n => n.capital === provinceId);
+    }
+
+    // A province's fort level; capitals count a few levels higher
+    function getFortLevel(state, provinceId) {
+        const level = state.forts[provinceId];
+        return isCapital(state, provinceId) ? level + state.rules.siege.capitalLevel : level;
+    }
+
+    function getMaxGarrison(state, provinceId) {
+        return getFortLevel(state, provinceId) * state.rules.siege.garrison;
+    }
+
+    // What raising a province's fort by one level costs
+    function getFortifyCost(state, provinceId) {
+        return state.rules.siege.fortCost * (state.forts[provinceId] + 1);
+    }
+
+    // The siege of a fortified province, or null if nobody is besieging it:
+    //   nation   - the besieger
+    //   troops   - its troops in the province
+    //   progress - how far the garrison is worn down (0..1)
+    //   eta      - ticks until it falls at the current rate (null if never)
+    function getSiege(state, provinceId) {
+        const level = getFortLevel(state, provinceId);
+        if (level === 0) return null;
+
+        const besiegers = getBesiegers(state, provinceId);
+        if (besiegers.length === 0) return null;
+
+        const troops = besiegers.reduce((sum, a) => sum + a.size, 0);
+        const max = getMaxGarrison(state, provinceId);
+        const rate = troops * state.rules.siege.rate / level;
+        return {
+            nation: leadingNation(besiegers),
+            troops,
+            progress: max > 0 ? 1 - state.garrisons[provinceId] / max : 1,
+            eta: rate > 0 ? Math.ceil(state.garrisons[provinceId] / rate) : null
+        };
+    }
+
+    // Idle armies taking a province: those of nations at war with its owner
+    // (anyone's, for unowned land), as long as nobody fights there, the
+    // owner has no troops there and the attackers are all allies. Allies
+    // besiege together; the province goes to the one with the most troops.
+    function getBesiegers(state, provinceId) {
+        if (inBattle(state, provinceId)) return [];
+        const owner = state.provinces[provinceId];
+        const here = Indexes.armiesAt(state, provinceId);
+        if (here.some(a => a.owner === owner)) return [];
+        const attackers = here.filter(a => owner === null || Diplomacy.atWar(state, a.owner, owner));
+        if (attackers.some(a => attackers.some(b => a.owner !== b.owner && !Diplomacy.allied(state, a.owner, b.owner)))) return [];
+        return attackers.filter(a => !a.moving);
+    }
+
+    // Troops of one nation a province can feed without attrition
+    function getSupplyLimit(state, provinceId) {
+        const limit = state.rules.supply.limit * state.development[provinceId] / 10;
+        return Math.floor(limit * terrainEffect(state, provinceId, 'Supply'));
+    }
+
+    // Fastest route between two provinces (the provinces after `from`,
+    // ending with `to`), or null if there is none. Given a nation, the
+    // route keeps out of land its armies may not enter.
+    function findRoute(state, from, to, nation = null) {
+        return Maps.findPath(state.map, from, to, (a, b) => {
+            if (nation !== null && !Diplomacy.canEnter(state, nation, b)) return Infinity;
+            return moveCost(state, a, b);
+        });
+    }
+
+    // Every province a route from `from` can reach (a Set of ids, without
+    // `from` itself): the same rules as findRoute, in one search rather
+    // than a route to each
+    function findReachable(state, from, nation = null) {
+        const reached = new Set([from]);
+        const frontier = [from];
+        while (frontier.length > 0) {
+            const current = frontier.pop();
+            state.map.provinces[current].neighbors.forEach(next => {
+                if (reached.has(next)) return;
+                if (nation !== null && !Diplomacy.canEnter(state, nation, next)) return;
+                if (!Number.isFinite(moveCost(state, current, next))) return;
+                reached.add(next);
+                frontier.push(next);
+            });
+        }
+        reached.delete(from);
+        return reached;
+    }
+
+    // Idle armies of a nation at a province
+    function getIdleArmiesAt(state, provinceId, nationId) {
+        return Indexes.armiesAt(state, provinceId).filter(a => a.owner === nationId && !a.moving);
+    }
+
+    // Apply a single command. Returns the events it produced, or null if the
+    // command was rejected. Commands:
+    //   { type: 'move',  nation, armyIds: [id, ...], to, queue }
+    //     (to can be any reachable province; with `queue` the route is
+    //     added after the armies' current one instead of replacing it)
+    //   { type: 'halt',  nation, armyIds: [id, ...] }
+    //   { type: 'split', nation, army, size }
+    //     (size troops leave the army as a new army on the same province)
+    //   { type: 'merge', nation, armyIds: [id, ...] }
+    //     (idle armies on one province join the first of them)
+    //   { type: 'build', nation, province }
+    //     (queues an army for recruitment there; see processRecruitment)
+    //   { type: 'build-fleet', nation, province, sea }
+    //     (queues a fleet in a coastal province, to be launched into `sea`,
+    //     one of its sea zones (the first if left out))
+    //   { type: 'cancel-recruitment', nation, province, index }
+    //     (drops the index-th recruits of the province's queue, refunded)
+    //   { type: 'rally', nation, province, to }
+    //     (armies raised in the province march to `to` when they are
+    //     ready; null clears the rally point)
+    //   { type: 'standing', nation, armyIds: [id, ...], order }
+    //     (order is 'hold', 'defend' (the region around where the armies
+    //     stand) or null; a move or halt order clears it)
+    //   { type: 'sail', nation, fleet, to }
+    //     (to is a sea zone; the fleet's own zone stops it)
+    //   { type: 'embark', nation, fleet, armyIds: [id, ...] }
+    //     (idle armies on a coast of the fleet's sea zone go aboard)
+    //   { type: 'disembark', nation, fleet, to }
+    //     (everyone aboard lands in `to`, a coast of the fleet's sea zone)
+    //   { type: 'construct', nation, province, building }
+    //     (building is one of BUILDINGS)
+    //   { type: 'develop', nation, province }
+    //   { type: 'fortify', nation, province }
+    //     (raises the province's fort by one level)
+    //   { type: 'declare-war', nation, target }
+    //   { type: 'propose', nation, to, kind, give, take, gold, against }
+    //     (kind is one of Diplomacy.KINDS; see diplomacy.js for the terms)
+    //   { type: 'respond', nation, proposal, accept }
+    //   { type: 'break-alliance', nation, target }
+    //   { type: 'grant-access', nation, target }
+    //   { type: 'revoke-access', nation, target }
+    //   { type: 'set-control', nation, control: 'human' | 'ai' }
+    //     (multiplayer: the AI takes over a nation whose player left)
+    function applyCommand(state, command, events = []) {
+        if (state.gameOver) return null;
+        const issuer = state.nations[command.nation];
+        if (issuer && issuer.eliminated !== null) return null;
+
+        switch (command.type) {
+            case 'move':
+                return moveArmies(state, command, events);
+            case 'halt':
+                return haltArmies(state, command, events);
+            case 'split':
+                return splitArmy(state, command, events);
+            case 'merge':
+                return mergeArmies(state, command, events);
+            case 'build':
+                return buildArmy(state, command, events);
+            case 'build-fleet':
+                return buildFleet(state, command, events);
+            case 'cancel-recruitment':
+                return cancelRecruitment(state, command, events);
+            case 'rally':
+                return setRally(state, command, events);
+            case 'standing':
+                return setStanding(state, command, events);
+            case 'sail':
+                return sail(state, command, events);
+            case 'embark':
+                return embark(state, command, events);
+            case 'disembark':
+                return disembark(state, command, events);
+            case 'construct':
+                return construct(state, command, events);
+            case 'develop':
+                return develop(state, command, events);
+            case 'fortify':
+                return fortify(state, command, events);
+            case 'declare-war':
+                return declareWar(state, command, events);
+            case 'propose':
+                return propose(state, command, events);
+            case 'respond':
+                return respond(state, command, events);
+            case 'break-alliance':
+                return breakAlliance(state, command, events);
+            case 'grant-access':
+                return grantAccess(state, command, events);
+            case 'revoke-access':
+                return revokeAccess(state, command, events);
+            case 'set-control':
+                return setControl(state, command, events);
+            default:
+                return null;
+        }
+    }
+
+    function setControl(state, command, events) {
+        const nation = state.nations[command.nation];
+        if (!nation || (command.control !== 'human' && command.control !== 'ai')) return null;
+
+        nation.isPlayer = command.control === 'human';
+        nation.isAI = !nation.isPlayer;
+
+        events.push({ type: 'control-changed', tick: state.tick, nation: nation.id, control: command.control });
+        return events;
+    }
+
+    // Armies move one hop at a time: `destination` is the neighbor they are
+    // walking to, `movementProgress` the ticks left on that hop and `route`
+    // the hops still to come. An army stays at `location` until a hop ends.
+    function moveArmies(state, command, events) {
+        if (!Array.isArray(command.armyIds)) return null;
+        if (!Number.isInteger(command.to) || !state.map.provinces[command.to]) return null;
+        const moved = [];
+
+        command.armyIds.forEach(id => {
+            const army = Indexes.army(state, id);
+            if (!army || army.owner !== command.nation) return;
+
+            if (command.queue && army.moving) {
+                const end = army.route.length > 0 ? army.route[army.route.length - 1] : army.destination;
+                const path = findRoute(state, end, command.to, command.nation);
+                if (!path || path.length === 0) return;
+                army.route = army.route.concat(path);
+                moved.push(army);
+                return;
+            }
+
+            if (!march(state, army, command.to)) return;
+            moved.push(army);
+        });
+
+        if (moved.length === 0) return null;
+        moved.forEach(army => {
+            army.standing = null;
+            army.post = null;
+        });
+
+        events.push({
+            type: 'armies-moved',
+            tick: state.tick,
+            nation: command.nation,
+            armyIds: moved.map(a => a.id),
+            to: command.to,
+            queued: !!command.queue
+        });
+        return events;
+    }
+
+    // Send an army along the fastest route to `to`, replacing its orders.
+    // Returns false if it can't get there.
+    function march(state, army, to) {
+        const path = findRoute(state, army.location, to, army.owner);
+        if (!path || path.length === 0) return false;
+
+        // Redirecting along the hop already under way keeps its progress
+        if (!army.moving || army.destination !== path[0]) {
+            army.moving = true;
+            army.destination = path[0];
+            army.movementProgress = moveCost(state, army.location, path[0]);
+        }
+        army.route = path.slice(1);
+        return true;
+    }
+
+    // Cancel the orders of moving armies; they stay where they are
+    function haltArmies(state, command, events) {
+        if (!Array.isArray(command.armyIds)) return null;
+        const armies = command.armyIds
+            .map(id => Indexes.army(state, id))
+            .filter(a => a && a.owner === command.nation && a.moving);
+
+        if (armies.length === 0) return null;
+
+        armies.forEach(army => {
+            army.moving = false;
+            army.destination = null;
+            army.movementProgress = 0;
+            army.route = [];
+            army.standing = null;
+            army.post = null;
+        });
+
+        events.push({ type: 'armies-halted', tick: state.tick, nation: command.nation, armyIds: armies.map(a => a.id) });
+        return events;
+    }
+
+    // Detach `size` troops from an idle army. The new army keeps the
+    // original's morale (and river crossing) and starts without orders;
+    // whatever the original is short of full strength stays with it.
+    function splitArmy(state, command, events) {
+        const army = Indexes.army(state, command.army);
+        if (!army || army.owner !== command.nation || army.moving) return null;
+        if (!Number.isInteger(command.size) || command.size < 1 || command.size >= army.size) return null;
+
+        const part = createArmy(state, state.nextArmyId++, army.owner, army.location, command.size);
+        part.morale = army.morale;
+        part.crossing = army.crossing;
+        army.size -= command.size;
+        army.full -= command.size;
+        Indexes.addArmy(state, part);
+
+        events.push({
+            type: 'army-split',
+            tick: state.tick,
+            nation: command.nation,
+            army: army.id,
+            newArmy: part.id,
+            size: command.size,
+            province: army.location
+        });
+        return events;
+    }
+
+    // Fold idle armies on the same province into the first one listed.
+    // Morale is averaged by size.
+    function mergeArmies(state, command, events) {
+        if (!Array.isArray(command.armyIds)) return null;
+        const armies = [...new Set(command.armyIds)]
+            .map(id => Indexes.army(state, id))
+            .filter(a => a && a.owner === command.nation && !a.moving);
+        if (armies.length < 2) return null;
+
+        const [target, ...rest] = armies;
+        if (rest.some(a => a.location !== target.location)) return null;
+
+        const size = armies.reduce((sum, a) => sum + a.size, 0);
+        target.morale = armies.reduce((sum, a) => sum + a.morale * a.size, 0) / size;
+        target.size = size;
+        target.full = armies.reduce((sum, a) => sum + a.full, 0);
+        rest.forEach(army => Indexes.removeArmy(state, army));
+
+        events.push({
+            type: 'armies-merged',
+            tick: state.tick,
+            nation: command.nation,
+            army: target.id,
+            merged: rest.map(a => a.id),
+            province: target.location
+        });
+        return events;
+    }
+
+    // Recruit an army in one of our provinces. The gold and the men are
+    // paid up front; the recruits join the province's queue, which trains
+    // one army at a time for `recruitment.ticks` each.
+    function buildArmy(state, command, events) {
+        const nation = state.nations[command.nation];
+        if (!nation || state.provinces[command.province] !== command.nation) return null; // Must be owned
+        const cost = getArmyCost(state, command.province);
+        const size = state.rules.army.size;
+        if (nation.treasury < cost || nation.manpower < size) return null;
+
+        const queue = state.recruitment[command.province];
+        queue.push({ kind: 'army', nation: command.nation, size, cost, ticks: state.rules.recruitment.ticks });
+        nation.treasury -= cost;
+        nation.manpower -= size;
+
+        events.push({
+            type: 'recruitment-started',
+            tick: state.tick,
+            nation: command.nation,
+            province: command.province,
+            size,
+            ready: state.tick + queue.reduce((sum, r) => sum + r.ticks, 0)
+        });
+        return events;
+    }
+
+    // Lay down a fleet in one of our coastal provinces. It takes its place
+    // in the province's recruitment queue and, once built, puts to sea in
+    // the zone chosen. Ships cost gold only.
+    function buildFleet(state, command, events) {
+        const nation = state.nations[command.nation];
+        if (!nation || state.provinces[command.province] !== command.nation) return null;
+        const seas = state.map.provinces[command.province].seas;
+        const sea = command.sea !== undefined ? command.sea : seas[0];
+        if (!seas.includes(sea)) return null;
+        const cost = getFleetCost(state);
+        if (nation.treasury < cost) return null;
+
+        const queue = state.recruitment[command.province];
+        const ships = state.rules.navy.ships;
+        queue.push({ kind: 'fleet', nation: command.nation, ships, sea, cost, ticks: state.rules.navy.ticks });
+        nation.treasury -= cost;
+
+        events.push({
+            type: 'recruitment-started',
+            tick: state.tick,
+            nation: command.nation,
+            province: command.province,
+            ships,
+            sea,
+            ready: state.tick + queue.reduce((sum, r) => sum + r.ticks, 0)
+        });
+        return events;
+    }
+
+    // Call off recruits still in a queue, getting their gold and men back
+    function cancelRecruitment(state, command, events) {
+        const queue = state.recruitment[command.province];
+        const recruits = queue && queue[command.index];
+        if (!recruits || recruits.nation !== command.nation) return null;
+
+        queue.splice(command.index, 1);
+        const nation = state.nations[command.nation];
+        nation.treasury += recruits.cost;
+        if (recruits.kind === 'army') nation.manpower += recruits.size;
+
+        events.push({
+            type: 'recruitment-cancelled',
+            tick: state.tick,
+            nation: command.nation,
+            province: command.province,
+            kind: recruits.kind,
+            size: recruits.kind === 'army' ? recruits.size : recruits.ships
+        });
+        return events;
+    }
+
+    // Point a province's new armies somewhere. The point goes with the
+    // province if it changes hands.
+    function setRally(state, command, events) {
+        if (state.provinces[command.province] !== command.nation) return null;
+        const to = command.to === undefined ? null : command.to;
+        if (to !== null && !state.map.provinces[to]) return null;
+
+        state.rallyPoints[command.province] = to === command.province ? null : to;
+        events.push({ type: 'rally-set', tick: state.tick, nation: command.nation, province: command.province, to: state.rallyPoints[command.province] });
+        return events;
+    }
+
+    function setStanding(state, command, events) {
+        const order = command.order === undefined ? null : command.order;
+        if (order !== null && !STANDING_ORDERS.includes(order)) return null;
+        if (!Array.isArray(command.armyIds)) return null;
+        const armies = command.armyIds
+            .map(id => Indexes.army(state, id))
+            .filter(a => a && a.owner === command.nation);
+        if (armies.length === 0) return null;
+
+        armies.forEach(army => {
+            army.standing = order;
+            army.post = order === 'defend' ? army.location : null;
+        });
+
+        events.push({ type: 'standing-order', tick: state.tick, nation: command.nation, armyIds: armies.map(a => a.id), order });
+        return events;
+    }
+
+    // Send a fleet to a sea zone, or stop it by sending it where it is.
+    // Ships locked in battle can't slip away until it is over.
+    function sail(state, command, events) {
+        const fleet = state.fleets.find(f => f.id === command.fleet);
+        if (!fleet || fleet.owner !== command.nation || !state.map.seas[command.to]) return null;
+
+        if (command.to === fleet.location) {
+            if (!fleet.moving) return null;
+            fleet.moving = false;
+            fleet.destination = null;
+            fleet.movementProgress = 0;
+            fleet.route = [];
+            events.push({ type: 'fleet-halted', tick: state.tick, nation: command.nation, fleet: fleet.id, sea: fleet.location });
+            return events;
+        }
+
+        const route = Maps.findSeaRoute(state.map, fleet.location, command.to);
+        if (!route) return null;
+        if (!fleet.moving || fleet.destination !== route[0]) {
+            fleet.moving = true;
+            fleet.destination = route[0];
+            fleet.movementProgress = state.rules.navy.moveTicks;
+        }
+        fleet.route = route.slice(1);
+
+        events.push({ type: 'fleet-sailed', tick: state.tick, nation: command.nation, fleet: fleet.id, to: command.to });
+        return events;
+    }
+
+    // Take idle armies aboard a fleet lying still off their coast, as many
+    // as fit; the rest stay ashore
+    function embark(state, command, events) {
+        const fleet = state.fleets.find(f => f.id === command.fleet);
+        if (!fleet || fleet.owner !== command.nation || fleet.moving || contested(state, fleet.location)) return null;
+        if (!Array.isArray(command.armyIds)) return null;
+
+        const coasts = state.map.seas[fleet.location].coasts;
+        let room = getFleetCapacity(state, fleet) - cargoTroops(fleet);
+        const boarded = [];
+        [...new Set(command.armyIds)].forEach(id => {
+            const army = Indexes.army(state, id);
+            if (!army || army.owner !== command.nation || army.moving) return;
+            if (!coasts.includes(army.location) || inBattle(state, army.location) || army.size > room) return;
+
+            room -= army.size;
+            Indexes.removeArmy(state, army);
+            army.location = null;
+            army.crossing = false;
+            army.conquestProgress = 0;
+            fleet.cargo.push(army);
+            boarded.push(army.id);
+        });
+        if (boarded.length === 0) return null;
+
+        events.push({ type: 'armies-embarked', tick: state.tick, nation: command.nation, fleet: fleet.id, armyIds: boarded, sea: fleet.location });
+        return events;
+    }
+
+    // Put everyone aboard ashore on one of the fleet's coasts. Landing
+    // against an enemy counts as attacking across a river.
+    function disembark(state, command, events) {
+        const fleet = state.fleets.find(f => f.id === command.fleet);
+        if (!fleet || fleet.owner !== command.nation || fleet.moving || fleet.cargo.length === 0) return null;
+        if (contested(state, fleet.location) || !state.map.seas[fleet.location].coasts.includes(command.to)) return null;
+        if (!Diplomacy.canEnter(state, command.nation, command.to)) return null;
+
+        const landed = fleet.cargo.map(army => army.id);
+        fleet.cargo.forEach(army => {
+            army.location = command.to;
+            army.crossing = true;
+            Indexes.addArmy(state, army);
+        });
+        fleet.cargo = [];
+
+        events.push({ type: 'armies-landed', tick: state.tick, nation: command.nation, fleet: fleet.id, armyIds: landed, province: command.to });
+        return events;
+    }
+
+    // Put up a building in one of our provinces
+    function construct(state, command, events) {
+        const nation = state.nations[command.nation];
+        if (!nation || state.provinces[command.province] !== command.nation) return null;
+        if (!BUILDINGS.includes(command.building)) return null;
+
+        const buildings = state.buildings[command.province];
+        const cost = getBuildingCost(state, command.building);
+        if (buildings.includes(command.building) || nation.treasury < cost) return null;
+
+        buildings.push(command.building);
+        nation.treasury -= cost;
+
+        events.push({
+            type: 'building-constructed',
+            tick: state.tick,
+            nation: command.nation,
+            province: command.province,
+            building: command.building
+        });
+        return events;
+    }
+
+    // Raise the development of one of our provinces by one
+    function develop(state, command, events) {
+        const nation = state.nations[command.nation];
+        if (!nation || state.provinces[command.province] !== command.nation) return null;
+        if (state.development[command.province] >= state.rules.economy.maxDevelopment) return null;
+
+        const cost = getDevelopCost(state, command.province);
+        if (nation.treasury < cost) return null;
+
+        state.development[command.province]++;
+        nation.treasury -= cost;
+
+        events.push({
+            type: 'province-developed',
+            tick: state.tick,
+            nation: command.nation,
+            province: command.province,
+            development: state.development[command.province]
+        });
+        return events;
+    }
+
+    // Raise the fort of one of our provinces by one level. The garrison
+    // grows with it over the following ticks.
+    function fortify(state, command, events) {
+        const nation = state.nations[command.nation];
+        if (!nation || state.provinces[command.province] !== command.nation) return null;
+        if (state.forts[command.province] >= state.rules.siege.maxLevel) return null;
+
+        const cost = getFortifyCost(state, command.province);
+        if (nation.treasury < cost) return null;
+
+        state.forts[command.province]++;
+        nation.treasury -= cost;
+
+        events.push({
+            type: 'fort-raised',
+            tick: state.tick,
+            nation: command.nation,
+            province: command.province,
+            level: state.forts[command.province]
+        });
+        return events;
+    }
+
+    // Whether every id is a nation in the game. Diplomacy commands check
+    // this before looking anything up by nation.
+    function nationsExist(state, ...ids) {
+        return ids.every(id => Number.isInteger(id) && state.nations[id] !== undefined);
+    }
+
+    // Declaring war needs peace between the two (not a truce or an
+    // alliance)
+    function declareWar(state, command, events) {
+        if (!nationsExist(state, command.nation, command.target)) return null;
+        if (Diplomacy.status(state, command.nation, command.target) !== 'peace') return null;
+        startWar(state, command.nation, command.target, events, {});
+        return events;
+    }
+
+    // Put two nations at war. Allies of the target at peace with the
+    // aggressor join in at once; the aggressor's allies are asked to.
+    // Nations dragged in by an alliance don't drag in anyone else.
+    function startWar(state, nation, target, events, details) {
+        Diplomacy.set(state, nation, target, 'war');
+        state.access[nation][target] = false;
+        state.access[target][nation] = false;
+        state.proposals = state.proposals.filter(p => !(p.from === nation && p.to === target) && !(p.from === target && p.to === nation));
+        events.push({ type: 'war-declared', tick: state.tick, nation, target, ...details });
+        if (details.ally !== undefined) return;
+
+        Diplomacy.allies(state, target).forEach(ally => {
+            if (Diplomacy.status(state, ally, nation) === 'peace') startWar(state, ally, nation, events, { ally: target });
+        });
+        Diplomacy.allies(state, nation).forEach(ally => {
+            if (Diplomacy.status(state, ally, target) === 'peace') addProposal(state, { from: nation, to: ally, kind: 'call', against: target }, events);
+        });
+    }
+
+    function propose(state, command, events) {
+        const { nation, to, kind } = command;
+        if (!nationsExist(state, nation, to) || to === nation || !Diplomacy.KINDS.includes(kind)) return null;
+
+        const provinces = list => [...new Set(Array.isArray(list) ? list : [])];
+        const terms = { from: nation, to, kind };
+        if (kind === 'peace') {
+            terms.give = provinces(command.give);
+            terms.take = provinces(command.take);
+            terms.gold = Number.isFinite(command.gold) ? command.gold : 0;
+        }
+        if (kind === 'call') {
+            if (!nationsExist(state, command.against)) return null;
+            terms.against = command.against;
+        }
+        if (Diplomacy.check(state, { give: [], take: [], gold: 0, ...terms }) !== null) return null;
+
+        addProposal(state, terms, events);
+        return events;
+    }
+
+    // A new offer replaces any older one of the same kind between the two
+    function addProposal(state, terms, events) {
+        const proposal = {
+            id: state.nextProposalId++,
+            from: terms.from,
+            to: terms.to,
+            kind: terms.kind,
+            tick: state.tick,
+            give: terms.give || [],
+            take: terms.take || [],
+            gold: terms.gold || 0,
+            against: terms.against !== undefined ? terms.against : null
+        };
+        state.proposals = state.proposals.filter(p =>
+            !(p.from === proposal.from && p.to === proposal.to && p.kind === proposal.kind && p.against === proposal.against));
+        state.proposals.push(proposal);
+        events.push({ type: 'proposal-made', tick: state.tick, proposal: { ...proposal } });
+    }
+
+    // Accept or decline a proposal made to us. Accepting one whose terms
+    // can no longer be met is rejected (it stays open until it expires).
+    function respond(state, command, events) {
+        const proposal = state.proposals.find(p => p.id === command.proposal);
+        if (!proposal || proposal.to !== command.nation) return null;
+        if (command.accept && Diplomacy.check(state, proposal) !== null) return null;
+
+        state.proposals.splice(state.proposals.indexOf(proposal), 1);
+        if (!command.accept) {
+            events.push({ type: 'proposal-declined', tick: state.tick, proposal });
+            return events;
+        }
+
+        events.push({ type: 'proposal-accepted', tick: state.tick, proposal });
+        const { from, to } = proposal;
+        switch (proposal.kind) {
+            case 'peace':
+                makePeace(state, proposal, events);
+                break;
+            case 'alliance':
+                Diplomacy.set(state, from, to, 'alliance');
+                break;
+            case 'access':
+                state.access[to][from] = true;
+                break;
+            case 'call':
+                startWar(state, to, proposal.against, events, { call: from });
+                break;
+        }
+        return events;
+    }
+
+    // Hand over the provinces and gold of a peace treaty, start the truce
+    // and send each side's armies out of the other's land
+    function makePeace(state, proposal, events) {
+        const { from, to } = proposal;
+        proposal.give.forEach(p => captureProvince(state, p, to, events, { cause: 'treaty' }));
+        proposal.take.forEach(p => captureProvince(state, p, from, events, { cause: 'treaty' }));
+        state.nations[from].treasury -= proposal.gold;
+        state.nations[to].treasury += proposal.gold;
+
+        const truce = state.rules.diplomacy.truceTicks;
+        Diplomacy.set(state, from, to, truce > 0 ? 'truce' : 'peace', truce > 0 ? state.tick + truce : null);
+        state.proposals = state.proposals.filter(p => !(p.kind === 'peace' && (p.from === from || p.from === to) && (p.to === from || p.to === to)));
+        expel(state, from, to, events);
+        expel(state, to, from, events);
+    }
+
+    function breakAlliance(state, command, events) {
+        const { nation, target } = command;
+        if (!nationsExist(state, nation, target) || !Diplomacy.allied(state, nation, target)) return null;
+
+        Diplomacy.set(state, nation, target, 'peace');
+        state.access[nation][target] = false;
+        state.access[target][nation] = false;
+        events.push({ type: 'alliance-broken', tick: state.tick, nation, target });
+        expel(state, nation, target, events);
+        expel(state, target, nation, events);
+        return events;
+    }
+
+    // Let another nation's armies through our land (allies need no access)
+    function grantAccess(state, command, events) {
+        const { nation, target } = command;
+        if (!nationsExist(state, nation, target)) return null;
+        const relation = Diplomacy.status(state, nation, target);
+        if ((relation !== 'peace' && relation !== 'truce') || state.access[nation][target]) return null;
+
+        state.access[nation][target] = true;
+        events.push({ type: 'access-changed', tick: state.tick, nation, target, granted: true });
+        return events;
+    }
+
+    function revokeAccess(state, command, events) {
+        const { nation, target } = command;
+        if (!nationsExist(state, nation, target) || !state.access[nation][target]) return null;
+
+        state.access[nation][target] = false;
+        events.push({ type: 'access-changed', tick: state.tick, nation, target, granted: false });
+        expel(state, target, nation, events);
+        return events;
+    }
+
+    // Armies of `guest` standing in `host`'s land without the right to
+    // be there go back to the nearest province of their own; an army with
+    // nowhere to go is disbanded
+    function expel(state, guest, host, events) {
+        Indexes.armiesOf(state, guest).slice().forEach(army => {
+            if (state.provinces[army.location] !== host) return;
+            if (Diplomacy.canEnter(state, guest, army.location)) return;
+
+            const from = army.location;
+            const home = nearestOwned(state, from, guest);
+            if (home === null) {
+                Indexes.removeArmy(state, army);
+            } else {
+                Indexes.moveArmy(state, army, home);
+                army.moving = false;
+                army.destination = null;
+                army.movementProgress = 0;
+                army.route = [];
+                army.crossing = false;
+                army.conquestProgress = 0;
+            }
+            events.push({ type: 'army-expelled', tick: state.tick, army: army.id, nation: guest, from, to: home });
+        });
+    }
+
+    // The province of `nation` fewest steps from `from`, or null
+    function nearestOwned(state, from, nation) {
+        const seen = new Set([from]);
+        const queue = [from];
+        for (let i = 0; i < queue.length; i++) {
+            if (state.provinces[queue[i]] === nation) return queue[i];
+            getNeighbors(state, queue[i]).forEach(n => {
+                if (!seen.has(n)) {
+                    seen.add(n);
+                    queue.push(n);
+                }
+            });
+        }
+        return null;
+    }
+
+    // Advance the state one tick in place. `commands` are applied before the
+    // tick phases run. Returns the list of events produced.
+    function runTick(state, commands = []) {
+        const events = [];
+        if (state.gameOver) return events;
+
+        commands.forEach(command => applyCommand(state, command, events));
+
+        state.tick++;
+        processDiplomacy(state, events);
+
+        // Script hooks see the builds from the commands above
+        let dispatched = dispatchHooks(state, events, 0);
+        runScripts(state, 'onTickStart', [], events);
+
+        // Phase 1: Process army movement
+        processMovement(state, events);
+
+        // Phase 2: Process combat, on land and then at sea
+        processCombat(state, events);
+        processNavy(state, events);
+
+        // Phase 2.5: Process conquest (after combat, so battles resolve first)
+        processConquest(state, events);
+        processAttrition(state, events);
+        processRecovery(state);
+        processRecruitment(state, events);
+        dispatched = dispatchHooks(state, events, dispatched);
+
+        // Phase 3: Process income and upkeep
+        processIncome(state, events);
+
+        // Everyone takes note of what they can see before the AI plays
+        Vision.observe(state);
+        processStandingOrders(state, events);
+
+        // Phase 4: Process AI every few ticks
+        if (state.tick % state.rules.ai.thinkEvery === 0) {
+            processAI(state, events);
+        }
+        dispatchHooks(state, events, dispatched);
+
+        // Phase 5: Play out the scenario and check for victory
+        processScenario(state, events);
+        if (!state.gameOver) checkVictory(state, events);
+
+        // Phase 6: Note down how everyone is doing
+        Stats.record(state, events);
+
+        return events;
+    }
+
+    // Script hooks that react to events of a given type
+    const EVENT_HOOKS = {
+        'battle': 'onBattle',
+        'province-captured': 'onProvinceCaptured',
+        'army-built': 'onArmyBuilt'
+    };
+
+    function runScripts(state, hook, args, events) {
+        if (!state.scripts || state.scripts.length === 0) return [];
+        return Scripts.run(state, hook, script => scriptApi(state, script, events), args, events);
+    }
+
+    // Call the event hooks for events[from..] and return the index to
+    // continue from next time. Events the hooks themselves cause are picked
+    // up by the next call.
+    function dispatchHooks(state, events, from) {
+        const to = events.length;
+        if (!state.scripts || state.scripts.length === 0) return to;
+
+        for (let i = from; i < to; i++) {
+            const hook = EVENT_HOOKS[events[i].type];
+            if (hook) runScripts(state, hook, [events[i]], events);
+        }
+        return to;
+    }
+
+    // The `game` object handed to a script's hooks. Scripts can read the
+    // state, give the same orders a player can, and apply a few effects
+    // (enough for plagues, rebellions and the like). Bad arguments throw,
+    // which disables the script.
+    function scriptApi(state, script, events) {
+        const announce = event => events.push({ ...event, tick: state.tick, script: script.id });
+        const checkNation = id => {
+            if (!Number.isInteger(id) || !state.nations[id]) throw new Error(`Unknown nation ${id}`);
+        };
+        const checkProvince = id => {
+            if (!Number.isInteger(id) || id < 0 || id >= state.provinces.length) throw new Error(`Unknown province ${id}`);
+        };
+
+        return Object.freeze({
+            tick: state.tick,
+            state: Scripts.readOnly(state),
+            memory: script.memory,
+            random: () => Rng.random(state),
+
+            // Give a player command ({ type: 'move' | 'build', nation, ... }).
+            // Returns whether it was accepted.
+            issue(command) {
+                const copy = JSON.parse(JSON.stringify(command));
+                checkNation(copy.nation);
+                if (applyCommand(state, copy, events) === null) return false;
+                announce({ type: 'script-command', command: copy });
+                return true;
+            },
+
+            // Hand a province to a nation, or to nobody with null
+            setOwner(province, nation) {
+                checkProvince(province);
+                if (nation !== null) checkNation(nation);
+                if (state.provinces[province] === nation) return;
+
+                const previous = state.provinces[province];
+                if (nation === null) announce({ type: 'province-released', province, previous });
+                captureProvince(state, province, nation, events, { cause: 'script', script: script.id });
+            },
+
+            // Kill a fraction (0..1) of an army's troops; an army with no
+            // troops left is removed
+            damageArmy(armyId, fraction) {
+                const army = Indexes.army(state, armyId);
+                if (!army) throw new Error(`Unknown army ${armyId}`);
+                if (typeof fraction !== 'number' || !(fraction >= 0 && fraction <= 1)) {
+                    throw new Error(`Damage must be between 0 and 1, got ${fraction}`);
+                }
+
+                const losses = Math.round(army.size * fraction);
+                army.size -= losses;
+                const destroyed = army.size <= 0;
+                if (destroyed) Indexes.removeArmy(state, army);
+                announce({ type: 'army-damaged', army: army.id, nation: army.owner, losses, destroyed });
+            },
+
+            addGold(nation, amount) {
+                checkNation(nation);
+                if (!Number.isFinite(amount)) throw new Error(`Gold must be a number, got ${amount}`);
+                state.nations[nation].treasury += amount;
+                announce({ type: 'treasury-changed', nation, amount });
+            },
+
+            // Show a message to the players
+            notify(message) {
+                announce({ type: 'script-message', message: String(message) });
+            }
+        });
+    }
+
+    // Pure version of runTick: returns a new state and the events produced
+    function step(state, commands = []) {
+        const next = cloneState(state);
+        const events = runTick(next, commands);
+        return { state: next, events };
+    }
+
+    // Truces run out into peace and unanswered proposals expire
+    function processDiplomacy(state, events) {
+        state.nations.forEach(a => state.nations.forEach(b => {
+            if (a.id >= b.id) return;
+            const relation = state.relations[a.id][b.id];
+            if (relation.status === 'truce' && state.tick >= relation.until) {
+                Diplomacy.set(state, a.id, b.id, 'peace');
+                events.push({ type: 'truce-ended', tick: state.tick, nation: a.id, target: b.id });
+            }
+        }));
+
+        const open = state.rules.diplomacy.proposalTicks;
+        state.proposals = state.proposals.filter(proposal => {
+            if (state.tick - proposal.tick < open) return true;
+            events.push({ type: 'proposal-expired', tick: state.tick, proposal });
+            return false;
+        });
+    }
+
+    // Process army movement. An army whose next province has been closed
+    // to it (peace was made, access revoked) stops where it is.
+    function processMovement(state, events) {
+        state.armies.forEach(army => {
+            if (army.moving && !Diplomacy.canEnter(state, army.owner, army.destination)) {
+                events.push({ type: 'army-blocked', tick: state.tick, army: army.id, nation: army.owner, province: army.destination });
+                army.moving = false;
+                army.destination = null;
+                army.movementProgress = 0;
+                army.route = [];
+                return;
+            }
+
+            // Armies caught in a battle can't march off until it is over
+            if (army.moving && army.destination !== null && !inBattle(state, army.location)) {
+                army.movementProgress--;
+
+                if (army.movementProgress <= 0) {
+                    // Army arrives at destination
+                    army.crossing = Maps.hasRiver(state.map, army.location, army.destination);
+                    Indexes.moveArmy(state, army, army.destination);
+                    army.moving = false;
+                    army.destination = null;
+                    army.movementProgress = 0;
+
+                    events.push({ type: 'army-arrived', tick: state.tick, army: army.id, nation: army.owner, province: army.location });
+
+                    // Set off on the next hop of the route
+                    if (army.route.length > 0) {
+                        const next = army.route.shift();
+                        army.moving = true;
+                        army.destination = next;
+                        army.movementProgress = moveCost(state, army.location, next);
+                    }
+                }
+            }
+        });
+    }
+
+    function inBattle(state, provinceId) {
+        return state.battles.some(b => b.province === provinceId);
+    }
+
+    // Whether any two of these armies belong to nations at war
+    function hostile(state, armies) {
+        return armies.some(a => armies.some(b => Diplomacy.atWar(state, a.owner, b.owner)));
+    }
+
+    // Process combat. Nations at war fight wherever their armies meet.
+    // Battles last several ticks, one round per tick, and stay in
+    // state.battles until nobody left on the field is at war with anyone
+    // else there (allies can hold it together):
+    //   - a side's strength is troops x morale, plus the defender bonus
+    //     (and the fort's and terrain's) in its own province; armies that
+    //     attacked straight across a river fight weaker
+    //   - every round each side kills roundLosses x its strength, spread
+    //     over the enemies it faces by troop count (so three-way battles
+    //     and allies fighting side by side work)
+    //   - a side loses morale in proportion to the share of troops it lost,
+    //     and once it drops to breakMorale it retreats to a neighboring
+    //     province of its own; armies with nowhere to go are destroyed
+    // The winner takes the province if it is at war with the owner, unless
+    // it is fortified: then it has to besiege it. Finished battles produce a 'battle' event
+    // with a report, also kept in state.battleReports.
+    function processCombat(state, events) {
+        // Group armies by location
+        const locations = new Map();
+        state.armies.forEach(army => {
+            if (!locations.has(army.location)) {
+                locations.set(army.location, []);
+            }
+            locations.get(army.location).push(army);
+        });
+
+        // Battles left with no armies at all (a mod script can do that)
+        state.battles.slice().forEach(battle => {
+            if (!locations.has(battle.province)) finishBattle(state, battle, events);
+        });
+
+        locations.forEach((armiesHere, provinceId) => {
+            let battle = state.battles.find(b => b.province === provinceId);
+            if (!battle) {
+                if (!hostile(state, armiesHere)) return;
+                battle = startBattle(state, provinceId, events);
+            }
+
+            // Bystanders at war with nobody here stay out of it
+            joinBattle(battle, armiesHere.filter(a => armiesHere.some(b => Diplomacy.atWar(state, a.owner, b.owner))));
+            fightRound(state, battle, events);
+
+            if (!hostile(state, Indexes.armiesAt(state, provinceId))) finishBattle(state, battle, events);
+        });
+    }
+
+    function startBattle(state, provinceId, events) {
+        const battle = {
+            province: provinceId,
+            started: state.tick,
+            rounds: 0,
+            sides: [],
+            retreats: [],
+            destroyed: []
+        };
+        state.battles.push(battle);
+        events.push({ type: 'battle-started', tick: state.tick, province: provinceId });
+        return battle;
+    }
+
+    // Add armies that arrived (or were built) on the field to their side
+    function joinBattle(battle, armiesHere) {
+        armiesHere.forEach(army => {
+            let side = battle.sides.find(s => s.nation === army.owner);
+            if (!side) {
+                side = { nation: army.owner, armies: [], troops: 0, losses: 0, moraleBefore: 0, moraleAfter: null, outcome: null };
+                battle.sides.push(side);
+            }
+            if (side.armies.includes(army.id)) return;
+
+            // Morale going in, averaged by troops
+            side.moraleBefore = (side.moraleBefore * side.troops + army.morale * army.size) / (side.troops + army.size);
+            side.armies.push(army.id);
+            side.troops += army.size;
+            side.outcome = null;
+        });
+    }
+
+    function fightRound(state, battle, events) {
+        const combat = state.rules.combat;
+        const provinceId = battle.province;
+        const here = nation => Indexes.armiesAt(state, provinceId).filter(a => a.owner === nation);
+        const fighting = battle.sides.filter(side => here(side.nation).length > 0);
+        const enemies = (i, j) => Diplomacy.atWar(state, fighting[i].nation, fighting[j].nation);
+        if (!fighting.some((_, i) => fighting.some((__, j) => enemies(i, j)))) return;
+
+        battle.rounds++;
+
+        const troops = fighting.map(side => here(side.nation).reduce((sum, a) => sum + a.size, 0));
+        const fort = getFortLevel(state, provinceId) * state.rules.siege.fortDefense;
+        const defense = 1 + combat.defenderBonus + fort + terrainEffect(state, provinceId, 'Defense');
+        const strength = fighting.map(side => {
+            if (state.provinces[provinceId] === side.nation) {
+                return here(side.nation).reduce((sum, a) => sum + a.size * a.morale, 0) * defense;
+            }
+            return here(side.nation).reduce((sum, a) => sum + a.size * a.morale * (a.crossing ? 1 - combat.riverPenalty : 1), 0);
+        });
+        // Troops each side faces, and the damage each side takes from its
+        // enemies
+        const facing = fighting.map((_, j) => fighting.reduce((sum, __, i) => sum + (enemies(i, j) ? troops[i] : 0), 0));
+        const damage = fighting.map((_, i) => fighting.reduce((sum, __, j) => {
+            if (!enemies(i, j)) return sum;
+            return sum + combat.roundLosses * strength[j] * troops[i] / facing[j];
+        }, 0));
+
+        const round = { type: 'battle-round', tick: state.tick, province: provinceId, round: battle.rounds, sides: [] };
+        fighting.forEach((side, i) => {
+            const armies = here(side.nation).sort((a, b) => b.size - a.size || a.id - b.id);
+            const losses = damage[i] > 0 ? Math.min(troops[i], Math.ceil(damage[i])) : 0;
+
+            // Spread losses over the armies by size, the rest to the largest
+            let remaining = losses;
+            armies.forEach(army => {
+                const share = Math.floor(losses * army.size / troops[i]);
+                army.size -= share;
+                remaining -= share;
+            });
+            for (let k = 0; remaining > 0; k = (k + 1) % armies.length) {
+                if (armies[k].size > 0) {
+                    armies[k].size--;
+                    remaining--;
+                }
+            }
+
+            const shock = combat.moraleShock * losses / troops[i];
+            armies.forEach(army => {
+                army.morale = Math.max(0, army.morale - shock);
+                if (army.size <= 0) {
+                    Indexes.removeArmy(state, army);
+                    battle.destroyed.push({ army: army.id, nation: army.owner });
+                }
+            });
+
+            side.losses += losses;
+            round.sides.push({ nation: side.nation, losses, morale: averageMorale(here(side.nation)) });
+        });
+        events.push(round);
+
+        // Sides whose morale broke fall back, except armies holding
+        // position, which only give way once their morale is gone. If every
+        // side breaks, they all do and nobody holds the field.
+        const broken = fighting.filter(side => {
+            const armies = here(side.nation);
+            return armies.length > 0 && averageMorale(armies) <= combat.breakMorale;
+        });
+        broken.forEach(side => {
+            here(side.nation)
+                .filter(army => army.standing !== 'hold' || army.morale <= 0)
+                .forEach(army => retreat(state, battle, army, events));
+        });
+    }
+
+    // Pull a broken army back to the neighboring province of its own with
+    // the most of its troops (and no enemies); destroy it if there is none
+    function retreat(state, battle, army, events) {
+        let best = null;
+        let bestTroops = -1;
+        getNeighbors(state, army.location).forEach(n => {
+            if (state.provinces[n] !== army.owner) return;
+            const there = Indexes.armiesAt(state, n);
+            if (there.some(a => Diplomacy.atWar(state, a.owner, army.owner))) return;
+            const troops = there.filter(a => a.owner === army.owner).reduce((sum, a) => sum + a.size, 0);
+            if (troops > bestTroops || (troops === bestTroops && n < best)) {
+                best = n;
+                bestTroops = troops;
+            }
+        });
+
+        if (best === null) {
+            Indexes.removeArmy(state, army);
+            battle.destroyed.push({ army: army.id, nation: army.owner, surrounded: true });
+            return;
+        }
+
+        const from = army.location;
+        Indexes.moveArmy(state, army, best);
+        army.moving = false;
+        army.destination = null;
+        army.movementProgress = 0;
+        army.route = [];
+        army.crossing = false;
+        army.conquestProgress = 0;
+        battle.retreats.push({ army: army.id, nation: army.owner, to: best });
+        events.push({ type: 'army-retreated', tick: state.tick, army: army.id, nation: army.owner, from, to: best });
+    }
+
+    function averageMorale(armies) {
+        const troops = armies.reduce((sum, a) => sum + a.size, 0);
+        return troops > 0 ? armies.reduce((sum, a) => sum + a.morale * a.size, 0) / troops : 0;
+    }
+
+    // Close a battle: reward the sides left holding the field, file the
+    // report and hand over an unfortified province to the winner (the one
+    // with the most troops there, if allies hold it together)
+    function finishBattle(state, battle, events) {
+        const combat = state.rules.combat;
+        const holding = Indexes.armiesAt(state, battle.province).filter(a => battle.sides.some(s => s.nation === a.owner));
+        const holders = [...new Set(holding.map(a => a.owner))];
+        const winner = leadingNation(holding);
+
+        battle.sides.forEach(side => {
+            const survivors = side.armies.map(id => Indexes.army(state, id)).filter(a => a).sort((a, b) => a.id - b.id);
+            if (holders.includes(side.nation)) {
+                survivors.forEach(army => {
+                    army.morale = Math.min(combat.maxMorale, army.morale + combat.victoryMoraleGain);
+                });
+                side.outcome = 'won';
+            } else {
+                side.outcome = survivors.length > 0 ? 'retreated' : 'destroyed';
+            }
+            side.moraleAfter = survivors.length > 0 ? averageMorale(survivors) : 0;
+        });
+
+        const report = {
+            province: battle.province,
+            started: battle.started,
+            ended: state.tick,
+            rounds: battle.rounds,
+            winner,
+            sides: battle.sides,
+            retreats: battle.retreats,
+            destroyed: battle.destroyed
+        };
+        state.battles.splice(state.battles.indexOf(battle), 1);
+        state.battleReports.push(report);
+        if (state.battleReports.length > BATTLE_LOG_SIZE) state.battleReports.shift();
+
+        events.push({ type: 'battle', tick: state.tick, province: battle.province, winner, report });
+
+        const owner = state.provinces[battle.province];
+        if (winner !== null && (owner === null || Diplomacy.atWar(state, winner, owner)) && getFortLevel(state, battle.province) === 0) {
+            captureProvince(state, battle.province, winner, events, { cause: 'battle' });
+        }
+    }
+
+    // The nation with the most troops among some armies (ties go to the
+    // lower id), or null if there are none
+    function leadingNation(armies) {
+        const troops = new Map();
+        armies.forEach(a => troops.set(a.owner, (troops.get(a.owner) || 0) + a.size));
+        let best = null;
+        troops.forEach((count, nation) => {
+            if (best === null || count > troops.get(best) || (count === troops.get(best) && nation < best)) best = nation;
+        });
+        return best;
+    }
+
+    // A nation's troops in a province beyond its supply limit starve: every
+    // army there loses supply.attrition of its troops per tick for each
+    // supply limit's worth of excess
+    function processAttrition(state, events) {
+        const stacks = new Map();
+        state.armies.forEach(army => {
+            const key = `${army.location}:${army.owner}`;
+            if (!stacks.has(key)) stacks.set(key, []);
+            stacks.get(key).push(army);
+        });
+
+        stacks.forEach(armies => {
+            const provinceId = armies[0].location;
+            const troops = armies.reduce((sum, a) => sum + a.size, 0);
+            const limit = getSupplyLimit(state, provinceId);
+            if (troops <= limit) return;
+
+            const rate = limit > 0 ? state.rules.supply.attrition * (troops - limit) / limit : 1;
+            let losses = 0;
+            const starved = [];
+            armies.forEach(army => {
+                const lost = Math.min(army.size, Math.ceil(army.size * rate));
+                army.size -= lost;
+                losses += lost;
+                if (army.size <= 0) {
+                    Indexes.removeArmy(state, army);
+                    starved.push(army.id);
+                }
+            });
+            if (losses > 0) {
+                events.push({ type: 'attrition', tick: state.tick, province: provinceId, nation: armies[0].owner, troops: losses, limit, starved });
+            }
+        });
+    }
+
+    // Whether an army stands in its own or an ally's land, out of battle
+    // and not on the move: there it can rest and take in reinforcements
+    function atRest(state, army) {
+        if (army.moving || inBattle(state, army.location)) return false;
+        const owner = state.provinces[army.location];
+        return owner === army.owner || Diplomacy.allied(state, owner, army.owner);
+    }
+
+    // Standing orders. An idle army defending a region marches on the
+    // nearest enemy army it can see within movement.defendRange of its
+    // post (fewest steps, then lowest province id), and goes back to its
+    // post once there are none. Armies holding position need nothing here:
+    // they are left alone, and fightRound keeps them from retreating.
+    function processStandingOrders(state, events) {
+        const range = state.rules.movement.defendRange;
+        const sight = new Map();
+        state.armies.forEach(army => {
+            if (army.standing !== 'defend' || army.moving || inBattle(state, army.location)) return;
+
+            if (!sight.has(army.owner)) sight.set(army.owner, Vision.visible(state, army.owner));
+            const seen = sight.get(army.owner);
+            const threat = regionAround(state, army.post, range).find(p => seen[p] &&
+                Indexes.armiesAt(state, p).some(a => Diplomacy.atWar(state, a.owner, army.owner)));
+            const target = threat === undefined ? army.post : threat;
+            if (target === army.location || !march(state, army, target)) return;
+
+            events.push({ type: 'army-defending', tick: state.tick, army: army.id, nation: army.owner, post: army.post, to: target });
+        });
+    }
+
+    // The provinces within `range` steps of a province, nearest first
+    function regionAround(state, provinceId, range) {
+        const steps = new Map([[provinceId, 0]]);
+        let frontier = [provinceId];
+        for (let step = 1; step <= range; step++) {
+            const next = [];
+            frontier.forEach(p => state.map.provinces[p].neighbors.forEach(n => {
+                if (steps.has(n)) return;
+                steps.set(n, step);
+                next.push(n);
+            }));
+            frontier = next;
+        }
+        return [...steps.keys()].sort((a, b) => steps.get(a) - steps.get(b) || a - b);
+    }
+
+    // Armies resting in friendly land regain morale
+    function processRecovery(state) {
+        const recovery = state.rules.combat.moraleRecovery;
+        state.armies.forEach(army => {
+            if (army.morale >= 1 || !atRest(state, army)) return;
+            army.morale = Math.min(1, army.morale + recovery);
+        });
+    }
+
+    // Manpower, recruits and reinforcements. Every nation's pool refills
+    // from its land (a pool over the cap after losing land keeps its men
+    // but stops growing). The recruits at the head of each province's
+    // queue count down and take the field as a new army, which sets off
+    // for the province's rally point if it has one. Armies at rest
+    // below full strength take in up to `recruitment.reinforce` men a tick
+    // from the pool, paying for each what a soldier of a new army costs.
+    function processRecruitment(state, events) {
+        state.nations.forEach(nation => {
+            const { growth, max } = getManpower(state, nation.id);
+            if (nation.manpower < max) nation.manpower = Math.min(max, nation.manpower + growth);
+        });
+
+        state.recruitment.forEach((queue, provinceId) => {
+            if (queue.length === 0 || --queue[0].ticks > 0) return;
+
+            const recruits = queue.shift();
+            if (recruits.kind === 'fleet') {
+                const fleet = createFleet(state, recruits.nation, recruits.sea, recruits.ships);
+                state.fleets.push(fleet);
+                events.push({ type: 'fleet-built', tick: state.tick, nation: recruits.nation, fleet: fleet.id, province: provinceId, sea: fleet.location });
+                return;
+            }
+            const army = createArmy(state, state.nextArmyId++, recruits.nation, provinceId, recruits.size);
+            Indexes.addArmy(state, army);
+            events.push({
+                type: 'army-built',
+                tick: state.tick,
+                nation: recruits.nation,
+                army: army.id,
+                province: provinceId
+            });
+
+            const rally = state.rallyPoints[provinceId];
+            if (rally !== null && march(state, army, rally)) {
+                events.push({ type: 'army-rallied', tick: state.tick, nation: recruits.nation, army: army.id, province: provinceId, to: rally });
+            }
+        });
+
+        const perSoldier = state.rules.army.cost / state.rules.army.size;
+        state.armies.forEach(army => {
+            if (army.size >= army.full || !atRest(state, army)) return;
+            const nation = state.nations[army.owner];
+            const affordable = perSoldier > 0 ? Math.floor(nation.treasury / perSoldier) : Infinity;
+            const troops = Math.min(army.full - army.size, state.rules.recruitment.reinforce, Math.floor(nation.manpower), affordable);
+            if (troops <= 0) return;
+
+            army.size += troops;
+            nation.manpower -= troops;
+            nation.treasury -= troops * perSoldier;
+        });
+    }
+
+    // Fleets sail and fight. A fleet moves one sea zone at a time, except
+    // while enemy ships share its zone: then it is held there. Wherever
+    // ships of nations at war meet, each ship sinks `navy.roundLosses`
+    // enemy ships a tick, spread over the enemy fleets by size. The troops
+    // aboard a fleet go down with it, and a fleet too small for its cargo
+    // loses the men it no longer has room for.
+    function processNavy(state, events) {
+        state.fleets.forEach(fleet => {
+            if (!fleet.moving || contested(state, fleet.location)) return;
+            if (--fleet.movementProgress > 0) return;
+
+            fleet.location = fleet.destination;
+            fleet.moving = false;
+            fleet.destination = null;
+            fleet.movementProgress = 0;
+            events.push({ type: 'fleet-arrived', tick: state.tick, fleet: fleet.id, nation: fleet.owner, sea: fleet.location });
+
+            if (fleet.route.length > 0) {
+                fleet.moving = true;
+                fleet.destination = fleet.route.shift();
+                fleet.movementProgress = state.rules.navy.moveTicks;
+            }
+        });
+
+        state.map.seas.forEach(sea => {
+            if (!contested(state, sea.id)) return;
+            const here = state.fleets.filter(f => f.location === sea.id);
+
+            // Work out every fleet's losses before any are taken
+            const damage = new Map(here.map(f => [f, 0]));
+            here.forEach(fleet => {
+                const foes = here.filter(f => Diplomacy.atWar(state, fleet.owner, f.owner));
+                const foeShips = foes.reduce((sum, f) => sum + f.ships, 0);
+                if (foeShips === 0) return;
+                const hits = fleet.ships * state.rules.navy.roundLosses;
+                foes.forEach(foe => damage.set(foe, damage.get(foe) + hits * foe.ships / foeShips));
+            });
+
+            const losses = {};
+            here.forEach(fleet => {
+                const lost = Math.min(fleet.ships, Math.ceil(damage.get(fleet)));
+                fleet.ships -= lost;
+                losses[fleet.owner] = (losses[fleet.owner] || 0) + lost;
+
+                if (fleet.ships <= 0) {
+                    state.fleets.splice(state.fleets.indexOf(fleet), 1);
+                    events.push({ type: 'fleet-sunk', tick: state.tick, fleet: fleet.id, nation: fleet.owner, sea: sea.id, troops: cargoTroops(fleet) });
+                    return;
+                }
+                const excess = cargoTroops(fleet) - getFleetCapacity(state, fleet);
+                if (excess <= 0) return;
+                const total = cargoTroops(fleet);
+                fleet.cargo.forEach(army => {
+                    army.size -= Math.min(army.size, Math.ceil(army.size * excess / total));
+                });
+                fleet.cargo = fleet.cargo.filter(army => army.size > 0);
+            });
+
+            events.push({ type: 'naval-battle', tick: state.tick, sea: sea.id, losses });
+        });
+    }
+
+    // Process conquest. Besiegers (see getBesiegers) take a province:
+    // open land once one of them has held it for the conquest ticks, a fortified province (a fort or a
+    // capital) once its garrison is worn down. Besiegers wear it down in
+    // proportion to their troops over the fort level. A garrison that isn't
+    // besieged recovers, and relief by the owner's armies restores it.
+    function processConquest(state, events) {
+        const siege = state.rules.siege;
+        for (let provinceId = 0; provinceId < state.provinces.length; provinceId++) {
+            const owner = state.provinces[provinceId];
+            const besiegers = getBesiegers(state, provinceId);
+            const level = getFortLevel(state, provinceId);
+            const max = getMaxGarrison(state, provinceId);
+
+            // Anyone not taking the province starts over next time
+            Indexes.armiesAt(state, provinceId).forEach(army => {
+                if (!besiegers.includes(army)) army.conquestProgress = 0;
+            });
+
+            if (besiegers.length === 0) {
+                const relieved = owner !== null && Indexes.armiesAt(state, provinceId).some(a => a.owner === owner);
+                state.garrisons[provinceId] = relieved ? max : Math.min(max, state.garrisons[provinceId] + max * siege.regen);
+                continue;
+            }
+
+            const nation = leadingNation(besiegers);
+            if (level === 0) {
+                const ticks = getConquestTicks(state, provinceId);
+                besiegers.forEach(army => army.conquestProgress++);
+                const leader = besiegers.reduce((a, b) => (b.conquestProgress > a.conquestProgress ? b : a));
+                if (leader.conquestProgress >= ticks) {
+                    captureProvince(state, provinceId, nation, events, { cause: 'conquest' });
+                } else {
+                    events.push({ type: 'conquest-progress', tick: state.tick, province: provinceId, nation, army: leader.id, progress: leader.conquestProgress });
+                }
+                continue;
+            }
+
+            const troops = besiegers.reduce((sum, a) => sum + a.size, 0);
+            state.garrisons[provinceId] = Math.max(0, state.garrisons[provinceId] - troops * siege.rate / level);
+            if (state.garrisons[provinceId] <= 0) {
+                captureProvince(state, provinceId, nation, events, { cause: 'siege' });
+            } else {
+                events.push({ type: 'siege-progress', tick: state.tick, province: provinceId, nation, garrison: state.garrisons[provinceId], max });
+            }
+        }
+    }
+
+    // Hand a province to a nation (or to nobody with null). Conquerors start
+    // over and the garrison has to be rebuilt. A nation that loses its
+    // capital is shaken: its armies lose morale, and its income suffers
+    // until it takes the capital back (see getBudget).
+    function captureProvince(state, provinceId, nation, events, details) {
+        const previous = state.provinces[provinceId];
+        Indexes.setOwner(state, provinceId, nation);
+        state.garrisons[provinceId] = 0;
+        // Recruits in training are lost with the province
+        state.recruitment[provinceId] = [];
+        state.rallyPoints[provinceId] = null;
+        Indexes.armiesAt(state, provinceId).forEach(army => {
+            army.conquestProgress = 0;
+        });
+
+        if (nation !== null) {
+            events.push({ type: 'province-captured', tick: state.tick, province: provinceId, nation, previous, ...details });
+        }
+
+        const fallen = state.nations.find(n => n.capital === provinceId && n.id === previous);
+        if (fallen) {
+            Indexes.armiesOf(state, fallen.id).forEach(army => {
+                army.morale = Math.max(0, army.morale - state.rules.siege.capitalMorale);
+            });
+            events.push({ type: 'capital-lost', tick: state.tick, nation: fallen.id, province: provinceId, by: nation });
+        }
+    }
+
+    // Process income and army upkeep. A nation in debt can't pay its
+    // troops: its armies lose morale and some of their men desert each tick
+    // until the treasury is back above zero.
+    function processIncome(state, events) {
+        const economy = state.rules.economy;
+        state.nations.forEach(nation => {
+            const wasInDebt = nation.treasury < 0;
+            nation.treasury += getBudget(state, nation.id).net;
+            if (nation.treasury >= 0) return;
+
+            if (!wasInDebt) {
+                events.push({ type: 'bankrupt', tick: state.tick, nation: nation.id, treasury: nation.treasury });
+            }
+
+            let deserted = 0;
+            const disbanded = [];
+            Indexes.armiesOf(state, nation.id).slice().forEach(army => {
+                const losses = Math.min(army.size, Math.ceil(army.size * economy.desertion));
+                army.size -= losses;
+                army.morale = Math.max(0, army.morale - economy.debtMoraleLoss);
+                deserted += losses;
+                if (army.size <= 0) {
+                    Indexes.removeArmy(state, army);
+                    disbanded.push(army.id);
+                }
+            });
+            if (deserted > 0) {
+                events.push({ type: 'desertion', tick: state.tick, nation: nation.id, troops: deserted, disbanded });
+            }
+        });
+    }
+
+    // AI processing - runs every `ai.thinkEvery` ticks. Each AI nation is
+    // played by the strategy its profile picks (see ai.js).
+    function processAI(state, events) {
+        if (state.gameOver) return;
+
+        const ctx = {
+            random: () => Rng.random(state),
+            budget: nationId => getBudget(state, nationId),
+            issue: command => issueAICommand(state, command, events)
+        };
+        state.nations.forEach(nation => {
+            if (nation.isAI && nation.eliminated === null) {
+                AI.think(state, nation.id, ctx);
+            }
+        });
+    }
+
+    // Apply an AI order and announce it, so command logs can record it
+    // alongside player orders
+    function issueAICommand(state, command, events) {
+        if (applyCommand(state, command, events)) {
+            events.push({ type: 'ai-command', tick: state.tick, command });
+        }
+    }
+
+    // Check how the game stands once a tick is over. Nations left with
+    // nothing are knocked out first (victory.elimination): their AI stops,
+    // their orders are refused and their open proposals are dropped. Then
+    // the first of these that holds ends the game:
+    //   script        - a script's onVictoryCheck names a winner
+    //   provinces     - a nation holds the share of provinces it needs
+    //   key-provinces - a nation has held every key province for
+    //                   victory.holdTicks
+    //   last-standing - only one nation has provinces, armies or fleets
+    //                   left (a draw if nobody has)
+    //   score         - victory.tickLimit is reached: the highest score
+    //                   wins (see stats.js), a draw if it is shared
+    // Mark the scenario's objectives that are done, fire the triggers whose
+    // conditions hold and end the game when a nation has done all it had to
+    // (see scenarios.js). Objectives go first so a trigger can follow up on
+    // one the same tick; what the triggers change counts from the next.
+    function processScenario(state, events) {
+        const scenario = state.scenario;
+        if (!scenario) return;
+
+        scenario.objectives.forEach(objective => {
+            if (objective.done !== null || !Scenarios.shown(objective) || !Scenarios.holds(state, objective.when)) return;
+            objective.done = state.tick;
+            events.push({ type: 'objective-completed', tick: state.tick, objective: objective.id, nation: objective.nation, text: objective.text });
+        });
+
+        for (const trigger of scenario.triggers) {
+            if (trigger.fired !== null || !Scenarios.holds(state, trigger.when)) continue;
+            trigger.fired = state.tick;
+            for (const effect of trigger.then) {
+                applyEffect(state, effect, trigger, events);
+                if (state.gameOver) return;
+            }
+        }
+
+        const winner = Scenarios.achiever(state);
+        if (winner !== null) endGame(state, winner, 'objectives', events);
+    }
+
+    function applyEffect(state, effect, trigger, events) {
+        const announce = event => events.push({ ...event, tick: state.tick, trigger: trigger.id });
+        switch (effect.type) {
+            case 'message':
+                announce({
+                    type: 'scenario-message',
+                    nation: effect.nation !== undefined ? effect.nation : null,
+                    text: effect.text,
+                    pause: Boolean(effect.pause)
+                });
+                break;
+            case 'spawn-army': {
+                const army = createArmy(state, state.nextArmyId++, effect.nation, effect.province, effect.size);
+                Indexes.addArmy(state, army);
+                announce({ type: 'army-spawned', army: army.id, nation: effect.nation, province: effect.province, size: army.size });
+                break;
+            }
+            case 'gold':
+                state.nations[effect.nation].treasury += effect.amount;
+                announce({ type: 'treasury-changed', nation: effect.nation, amount: effect.amount });
+                break;
+            case 'set-owner': {
+                if (state.provinces[effect.province] === effect.nation) break;
+                const previous = state.provinces[effect.province];
+                if (effect.nation === null) announce({ type: 'province-released', province: effect.province, previous });
+                captureProvince(state, effect.province, effect.nation, events, { cause: 'scenario', trigger: trigger.id });
+                break;
+            }
+            case 'declare-war':
+                if (effect.nation !== effect.target && !Diplomacy.atWar(state, effect.nation, effect.target)) {
+                    startWar(state, effect.nation, effect.target, events, { trigger: trigger.id });
+                }
+                break;
+            case 'reveal': {
+                const objective = state.scenario.objectives.find(o => o.id === effect.objective);
+                if (Scenarios.shown(objective)) break;
+                objective.revealed = state.tick;
+                announce({ type: 'objective-revealed', objective: objective.id, nation: objective.nation, text: objective.text });
+                break;
+            }
+            case 'end':
+                endGame(state, effect.winner, 'scenario', events, { trigger: trigger.id });
+                break;
+        }
+    }
+
+    function checkVictory(state, events) {
+        const victory = state.rules.victory;
+        if (victory.elimination) {
+            state.nations.forEach(nation => {
+                if (nation.eliminated !== null || hasForces(state, nation.id)) return;
+                nation.eliminated = state.tick;
+                state.proposals = state.proposals.filter(p => p.from !== nation.id && p.to !== nation.id);
+                events.push({ type: 'nation-eliminated', tick: state.tick, nation: nation.id });
+            });
+        }
+
+        for (const claim of runScripts(state, 'onVictoryCheck', [], events)) {
+            if (claim.value === undefined || claim.value === null) continue;
+
+            const script = state.scripts.find(s => s.id === claim.script);
+            if (!Number.isInteger(claim.value) || !state.nations[claim.value]) {
+                Scripts.fail(state, script, 'onVictoryCheck', `returned ${JSON.stringify(claim.value)}, not a nation id`, events);
+                continue;
+            }
+
+            endGame(state, claim.value, 'script', events, { script: script.id });
+            return;
+        }
+
+        if (victory.domination) {
+            const target = getVictoryTarget(state);
+            const winner = state.nations.find(nation => countProvinces(state, nation.id) >= target);
+            if (winner) {
+                endGame(state, winner.id, 'provinces', events);
+                return;
+            }
+        }
+
+        if (victory.holdTicks > 0) {
+            const owners = new Set(getKeyProvinces(state).map(p => state.provinces[p]));
+            const holder = owners.size === 1 ? [...owners][0] : null;
+            if (holder === null) {
+                state.keyHold = null;
+            } else if (!state.keyHold || state.keyHold.nation !== holder) {
+                state.keyHold = { nation: holder, since: state.tick };
+            }
+            if (state.keyHold && state.tick - state.keyHold.since >= victory.holdTicks) {
+                endGame(state, holder, 'key-provinces', events);
+                return;
+            }
+        }
+
+        if (victory.lastStanding) {
+            const standing = state.nations.filter(nation => nation.eliminated === null && hasForces(state, nation.id));
+            if (standing.length <= 1) {
+                endGame(state, standing.length === 1 ? standing[0].id : null, 'last-standing', events);
+                return;
+            }
+        }
+
+        if (victory.tickLimit > 0 && state.tick >= victory.tickLimit) {
+            const scores = state.nations.map(nation => (nation.eliminated === null ? Stats.score(state, nation.id) : -Infinity));
+            const best = Math.max(...scores);
+            const leaders = state.nations.filter(nation => scores[nation.id] === best);
+            endGame(state, leaders.length === 1 ? leaders[0].id : null, 'score', events);
+        }
+    }
+
+    // End the game with a winner, or a draw (null). `state.result` keeps
+    // how it ended.
+    function endGame(state, winner, cause, events, details = {}) {
+        state.winner = winner;
+        state.gameOver = true;
+        state.result = { tick: state.tick, cause, ...details };
+        if (winner === null) {
+            events.push({ type: 'draw', tick: state.tick, cause });
+            return;
+        }
+        events.push({ type: 'victory', tick: state.tick, nation: winner, provinces: countProvinces(state, winner), total: state.provinces.length, cause, ...details });
+    }
+
+    const Engine = {
+        MIN_NATIONS,
+        MAX_NATIONS,
+        NATION_PRESETS,
+        BUILDINGS,
+        STANDING_ORDERS,
+        createGame,
+        cloneState,
+        applyCommand,
+        runTick,
+        step,
+        getNeighbors,
+        countProvinces,
+        getIncome,
+        getBudget,
+        getManpower,
+        getProvinceIncome,
+        getArmyCost,
+        getBuildingCost,
+        getFleetCost,
+        getFleetCapacity,
+        cargoTroops,
+        isBlockaded,
+        getDevelopCost,
+        getFortifyCost,
+        getFortLevel,
+        getMaxGarrison,
+        getSiege,
+        isCapital,
+        getVictoryTarget,
+        getKeyProvinces,
+        hasForces,
+        terrainEffect,
+        moveCost,
+        getConquestTicks,
+        getSupplyLimit,
+        findRoute,
+        findReachable,
+        getIdleArmiesAt
+    };
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = Engine;
+    } else {
+        global.Engine = Engine;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
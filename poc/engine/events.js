@@ -0,0 +1,483 @@
+// Game events: what they mean, who gets to hear of them, the event bus and
+// the game log
+//
+// Every command and every phase of a tick reports what happened as typed
+// events ({ type, tick, ... }, listed in engine.js where they are made),
+// which `Engine.runTick` and `Engine.applyCommand` return. This module
+// sorts them into categories and puts them into words:
+//
+//     battle    - battles starting and ending, retreats, fights at sea
+//     progress  - rounds of battle, conquest and siege progress
+//     conquest  - provinces changing hands and capitals falling
+//     military  - armies and fleets raised, moving, landing and starving
+//     economy   - building, developing, fortifying, debt
+//     diplomacy - wars, proposals, truces, alliances and access
+//     ai        - the orders each AI gave
+//     game      - victory, draws, nations knocked out, control, scripts,
+//                 scenario messages and objectives
+//
+// `createBus()` hands events to whoever subscribed to their type (or to
+// every type with '*'); the browser publishes each tick's events on one so
+// the console, the notification feed and the log don't have to know about
+// each other. `createLog()` keeps every event of a game with the nations
+// that witnessed it: under the fog of war a nation hears of what happens
+// to it and its allies, and of what happens where it can see.
+(function (global) {
+    'use strict';
+
+    const isNode = typeof module === 'object' && module.exports;
+    const Vision = isNode ? require('./vision.js') : global.Vision;
+    const Diplomacy = isNode ? require('./diplomacy.js') : global.Diplomacy;
+
+    const CATEGORIES = [
+        { id: 'battle', label: 'Battles', icon: '⚔️' },
+        { id: 'progress', label: 'Progress', icon: '⏳' },
+        { id: 'conquest', label: 'Conquest', icon: '🏳️' },
+        { id: 'military', label: 'Armies and fleets', icon: '🚩' },
+        { id: 'economy', label: 'Economy', icon: '💰' },
+        { id: 'diplomacy', label: 'Diplomacy', icon: '🤝' },
+        { id: 'ai', label: 'AI orders', icon: '🤖' },
+        { id: 'game', label: 'Game', icon: '🏆' }
+    ];
+
+    // Category of every event type, and the ones everybody hears of
+    const TYPES = {
+        'battle-started': 'battle',
+        'battle': 'battle',
+        'army-retreated': 'battle',
+        'naval-battle': 'battle',
+        'fleet-sunk': 'battle',
+        'battle-round': 'progress',
+        'conquest-progress': 'progress',
+        'siege-progress': 'progress',
+        'province-captured': 'conquest',
+        'province-released': 'conquest',
+        'capital-lost': 'conquest',
+        'armies-moved': 'military',
+        'armies-halted': 'military',
+        'army-arrived': 'military',
+        'army-blocked': 'military',
+        'army-expelled': 'military',
+        'army-split': 'military',
+        'armies-merged': 'military',
+        'army-built': 'military',
+        'recruitment-started': 'military',
+        'recruitment-cancelled': 'military',
+        'rally-set': 'military',
+        'army-rallied': 'military',
+        'standing-order': 'military',
+        'army-defending': 'military',
+        'army-damaged': 'military',
+        'army-spawned': 'military',
+        'attrition': 'military',
+        'desertion': 'military',
+        'fleet-built': 'military',
+        'fleet-sailed': 'military',
+        'fleet-halted': 'military',
+        'fleet-arrived': 'military',
+        'armies-embarked': 'military',
+        'armies-landed': 'military',
+        'building-constructed': 'economy',
+        'province-developed': 'economy',
+        'fort-raised': 'economy',
+        'bankrupt': 'economy',
+        'treasury-changed': 'economy',
+        'war-declared': 'diplomacy',
+        'proposal-made': 'diplomacy',
+        'proposal-accepted': 'diplomacy',
+        'proposal-declined': 'diplomacy',
+        'proposal-expired': 'diplomacy',
+        'truce-ended': 'diplomacy',
+        'alliance-broken': 'diplomacy',
+        'access-changed': 'diplomacy',
+        'ai-command': 'ai',
+        'script-command': 'ai',
+        'victory': 'game',
+        'draw': 'game',
+        'nation-eliminated': 'game',
+        'control-changed': 'game',
+        'script-message': 'game',
+        'script-error': 'game',
+        'scenario-message': 'game',
+        'objective-revealed': 'game',
+        'objective-completed': 'game'
+    };
+    const PUBLIC = new Set(['war-declared', 'victory', 'draw', 'nation-eliminated', 'control-changed', 'script-message', 'script-error']);
+
+    // Scenario events meant for one nation (a message without one is for
+    // everybody)
+    const ADDRESSED = new Set(['scenario-message', 'objective-revealed', 'objective-completed']);
+
+    function categoryOf(event) {
+        return TYPES[event.type] || 'game';
+    }
+
+    // Where an event happened, as the board's hit-test reports places
+    // ({ kind: 'province' | 'sea', id }), or null
+    function placeOf(event) {
+        if (event.province !== undefined && event.province !== null) return { kind: 'province', id: event.province };
+        if (event.type === 'army-retreated' || event.type === 'army-expelled') {
+            return { kind: 'province', id: event.from };
+        }
+        if (event.sea !== undefined && event.sea !== null) return { kind: 'sea', id: event.sea };
+        return null;
+    }
+
+    // The nations an event is about
+    function nationsOf(event) {
+        const nations = [];
+        const add = id => {
+            if (id !== undefined && id !== null && !nations.includes(id)) nations.push(id);
+        };
+        [event.nation, event.target, event.previous, event.by, event.ally, event.call].forEach(add);
+        if (event.proposal) [event.proposal.from, event.proposal.to].forEach(add);
+        if (event.report) event.report.sides.forEach(side => add(side.nation));
+        if (event.sides) event.sides.forEach(side => add(side.nation));
+        if (event.losses && typeof event.losses === 'object') Object.keys(event.losses).forEach(id => add(Number(id)));
+        if (event.command) add(event.command.nation);
+        return nations;
+    }
+
+    // The nations that hear of an event, or null for everybody: those it
+    // is about and their allies, and whoever can see where it happened
+    // (`sight` is a function from nation to Vision.visible)
+    function witnessesOf(state, event, sight) {
+        if (ADDRESSED.has(event.type)) return event.nation === null ? null : [event.nation];
+        if (PUBLIC.has(event.type) || state.rules.vision.fog === 0) return null;
+
+        const involved = nationsOf(event);
+        const place = placeOf(event);
+        return state.nations.map(n => n.id).filter(id => {
+            if (involved.includes(id)) return true;
+            if (event.type === 'ai-command' || event.type === 'script-command') return false;
+            if (involved.some(other => Diplomacy.allied(state, id, other))) return true;
+            if (place === null) return false;
+            if (place.kind === 'province') return sight(id)[place.id];
+            return state.map.seas[place.id].coasts.some(p => sight(id)[p]);
+        });
+    }
+
+    // An order in words, for the AI and script orders in the log
+    function describeCommand(state, command) {
+        const province = id => state.map.provinces[id].name;
+        const nation = id => state.nations[id].name;
+        const count = list => `${list.length} ${list.length === 1 ? 'army' : 'armies'}`;
+        switch (command.type) {
+            case 'move': return `marches ${count(command.armyIds)} to ${province(command.to)}`;
+            case 'halt': return `halts ${count(command.armyIds)}`;
+            case 'split': return `splits army ${command.army}`;
+            case 'merge': return `merges ${count(command.armyIds)}`;
+            case 'build': return `recruits an army in ${province(command.province)}`;
+            case 'build-fleet': return `lays down a fleet in ${province(command.province)}`;
+            case 'cancel-recruitment': return `calls off recruits in ${province(command.province)}`;
+            case 'rally': return `sets a rally point for ${province(command.province)}`;
+            case 'standing': return `gives ${count(command.armyIds)} standing orders`;
+            case 'sail': return `sails fleet ${command.fleet} to ${state.map.seas[command.to].name}`;
+            case 'embark': return `embarks ${count(command.armyIds)} on fleet ${command.fleet}`;
+            case 'disembark': return `lands fleet ${command.fleet}'s troops at ${province(command.to)}`;
+            case 'construct': return `builds a ${command.building} in ${province(command.province)}`;
+            case 'develop': return `develops ${province(command.province)}`;
+            case 'fortify': return `fortifies ${province(command.province)}`;
+            case 'declare-war': return `declares war on ${nation(command.target)}`;
+            case 'propose': return `proposes ${command.kind} to ${nation(command.to)}`;
+            case 'respond': return `${command.accept ? 'accepts' : 'declines'} proposal ${command.proposal}`;
+            case 'break-alliance': return `breaks its alliance with ${nation(command.target)}`;
+            case 'grant-access': return `grants access to ${nation(command.target)}`;
+            case 'revoke-access': return `revokes access for ${nation(command.target)}`;
+            default: return command.type;
+        }
+    }
+
+    // A proposal in words
+    function describeProposal(state, proposal) {
+        const name = id => state.nations[id].name;
+        const places = ids => ids.map(id => state.map.provinces[id].name).join(', ');
+        switch (proposal.kind) {
+            case 'peace': {
+                const terms = [];
+                if (proposal.give.length > 0) terms.push(`${name(proposal.from)} cedes ${places(proposal.give)}`);
+                if (proposal.take.length > 0) terms.push(`${name(proposal.to)} cedes ${places(proposal.take)}`);
+                if (proposal.gold > 0) terms.push(`${name(proposal.from)} pays ${proposal.gold} gold`);
+                if (proposal.gold < 0) terms.push(`${name(proposal.to)} pays ${-proposal.gold} gold`);
+                return `${name(proposal.from)} offers peace to ${name(proposal.to)}` + (terms.length > 0 ? `: ${terms.join('; ')}` : '');
+            }
+            case 'alliance':
+                return `${name(proposal.from)} proposes an alliance to ${name(proposal.to)}`;
+            case 'access':
+                return `${name(proposal.from)} asks ${name(proposal.to)} for military access`;
+            case 'call':
+                return `${name(proposal.from)} calls ${name(proposal.to)} to war against ${name(proposal.against)}`;
+        }
+        return '';
+    }
+
+    // One line saying what happened
+    function describe(state, event) {
+        const province = id => state.map.provinces[id].name;
+        const sea = id => state.map.seas[id].name;
+        const nation = id => (id === null || id === undefined ? 'nobody' : state.nations[id].name);
+        const count = (n, one, many) => `${n} ${n === 1 ? one : many}`;
+        switch (event.type) {
+            case 'armies-moved':
+                return `${nation(event.nation)} ${event.queued ? 'queues' : 'sends'} ${count(event.armyIds.length, 'army', 'armies')} to ${province(event.to)}`;
+            case 'armies-halted':
+                return `${nation(event.nation)} halts ${count(event.armyIds.length, 'army', 'armies')}`;
+            case 'army-arrived':
+                return `Army ${event.army} of ${nation(event.nation)} arrives in ${province(event.province)}`;
+            case 'army-blocked':
+                return `Army ${event.army} of ${nation(event.nation)} may no longer enter ${province(event.province)} and stops`;
+            case 'army-expelled':
+                return `Army ${event.army} of ${nation(event.nation)} leaves ${province(event.from)}` + (event.to !== null ? ` for ${province(event.to)}` : ' and disbands');
+            case 'army-split':
+                return `${nation(event.nation)} splits ${event.size} troops off army ${event.army} in ${province(event.province)}`;
+            case 'armies-merged':
+                return `${nation(event.nation)} merges ${count(event.merged.length + 1, 'army', 'armies')} in ${province(event.province)}`;
+            case 'army-built':
+                return `${nation(event.nation)} raises army ${event.army} in ${province(event.province)}`;
+            case 'recruitment-started':
+                return `${nation(event.nation)} starts ${event.ships ? `building ${event.ships} ships` : `recruiting ${event.size} troops`} in ${province(event.province)}, ready at tick ${event.ready}`;
+            case 'recruitment-cancelled':
+                return `${nation(event.nation)} calls off ${event.size} ${event.kind === 'fleet' ? 'ships' : 'recruits'} in ${province(event.province)}`;
+            case 'rally-set':
+                return event.to === null
+                    ? `${nation(event.nation)} clears the rally point of ${province(event.province)}`
+                    : `Armies raised in ${province(event.province)} will march to ${province(event.to)}`;
+            case 'army-rallied':
+                return `Army ${event.army} of ${nation(event.nation)} heads for its rally point ${province(event.to)}`;
+            case 'standing-order':
+                return `${count(event.armyIds.length, 'army', 'armies')} of ${nation(event.nation)} ` +
+                    (event.order === null ? 'drop their standing orders' : event.order === 'hold' ? 'hold position' : 'defend their region');
+            case 'army-defending':
+                return `Army ${event.army} of ${nation(event.nation)}, defending around ${province(event.post)}, moves to ${province(event.to)}`;
+            case 'army-spawned':
+                return `${nation(event.nation)} gains army ${event.army} of ${event.size} troops in ${province(event.province)}`;
+            case 'army-damaged':
+                return `Army ${event.army} of ${nation(event.nation)} loses ${event.losses} troops (${event.script})` + (event.destroyed ? ' and is wiped out' : '');
+            case 'attrition':
+                return `${event.troops} troops of ${nation(event.nation)} starve in ${province(event.province)} (supply limit ${event.limit})` +
+                    (event.starved.length > 0 ? `, ${count(event.starved.length, 'army', 'armies')} lost` : '');
+            case 'desertion':
+                return `${event.troops} unpaid troops of ${nation(event.nation)} desert` +
+                    (event.disbanded.length > 0 ? `, ${count(event.disbanded.length, 'army', 'armies')} disbanded` : '');
+            case 'fleet-built':
+                return `${nation(event.nation)} launches fleet ${event.fleet} into ${sea(event.sea)}`;
+            case 'fleet-sailed':
+                return `Fleet ${event.fleet} of ${nation(event.nation)} sails for ${sea(event.to)}`;
+            case 'fleet-halted':
+                return `Fleet ${event.fleet} of ${nation(event.nation)} stops in ${sea(event.sea)}`;
+            case 'fleet-arrived':
+                return `Fleet ${event.fleet} of ${nation(event.nation)} arrives in ${sea(event.sea)}`;
+            case 'armies-embarked':
+                return `${count(event.armyIds.length, 'army', 'armies')} of ${nation(event.nation)} board fleet ${event.fleet}`;
+            case 'armies-landed':
+                return `${count(event.armyIds.length, 'army', 'armies')} of ${nation(event.nation)} land in ${province(event.province)}`;
+            case 'battle-started':
+                return `Battle in ${province(event.province)}`;
+            case 'battle-round':
+                return `Round ${event.round} in ${province(event.province)}: ` +
+                    event.sides.map(side => `${nation(side.nation)} loses ${side.losses}`).join(', ');
+            case 'battle':
+                return `Battle in ${province(event.province)} ends after ${count(event.report.rounds, 'round', 'rounds')}: ` +
+                    (event.winner !== null ? `${nation(event.winner)} wins` : 'nobody holds the field') + ' (' +
+                    event.report.sides.map(side => `${nation(side.nation)} ${side.troops} troops, ${side.losses} lost`).join('; ') + ')';
+            case 'army-retreated':
+                return `Army ${event.army} of ${nation(event.nation)} retreats from ${province(event.from)} to ${province(event.to)}`;
+            case 'naval-battle':
+                return `Sea battle in ${sea(event.sea)}: ` + Object.keys(event.losses).map(id => `${nation(Number(id))} loses ${event.losses[id]} ships`).join(', ');
+            case 'fleet-sunk':
+                return `Fleet ${event.fleet} of ${nation(event.nation)} sunk in ${sea(event.sea)}` + (event.troops > 0 ? ` with ${event.troops} troops aboard` : '');
+            case 'conquest-progress':
+                return `${nation(event.nation)} conquering ${province(event.province)}: ${event.progress} tick${event.progress === 1 ? '' : 's'}`;
+            case 'siege-progress':
+                return `${nation(event.nation)} besieging ${province(event.province)}: garrison ${Math.ceil(event.garrison)}/${event.max}`;
+            case 'province-captured':
+                return `${nation(event.nation)} takes ${province(event.province)}` +
+                    (event.previous !== null && event.previous !== undefined ? ` from ${nation(event.previous)}` : '') + ` (${event.cause})`;
+            case 'province-released':
+                return `${province(event.province)} is no longer held by ${nation(event.previous)} (${event.script !== undefined ? event.script : 'scenario'})`;
+            case 'capital-lost':
+                return `${nation(event.nation)} loses its capital ${province(event.province)}`;
+            case 'building-constructed':
+                return `${nation(event.nation)} builds a ${event.building} in ${province(event.province)}`;
+            case 'province-developed':
+                return `${nation(event.nation)} develops ${province(event.province)} to ${event.development}`;
+            case 'fort-raised':
+                return `${nation(event.nation)} raises the fort in ${province(event.province)} to level ${event.level}`;
+            case 'bankrupt':
+                return `${nation(event.nation)} is bankrupt; its troops go unpaid`;
+            case 'treasury-changed':
+                return `${nation(event.nation)} treasury ${event.amount >= 0 ? '+' : ''}${event.amount} (${event.script !== undefined ? event.script : 'scenario'})`;
+            case 'war-declared':
+                return `${nation(event.nation)} declares war on ${nation(event.target)}` +
+                    (event.ally !== undefined ? ` to defend ${nation(event.ally)}` : '') +
+                    (event.call !== undefined ? ` at the call of ${nation(event.call)}` : '');
+            case 'proposal-made':
+                return `Proposal: ${describeProposal(state, event.proposal)}`;
+            case 'proposal-accepted':
+                return `Accepted: ${describeProposal(state, event.proposal)}`;
+            case 'proposal-declined':
+                return `Declined: ${describeProposal(state, event.proposal)}`;
+            case 'proposal-expired':
+                return `Expired: ${describeProposal(state, event.proposal)}`;
+            case 'truce-ended':
+                return `The truce between ${nation(event.nation)} and ${nation(event.target)} is over`;
+            case 'alliance-broken':
+                return `${nation(event.nation)} breaks its alliance with ${nation(event.target)}`;
+            case 'access-changed':
+                return `${nation(event.nation)} ${event.granted ? 'grants' : 'revokes'} military access for ${nation(event.target)}`;
+            case 'ai-command':
+                return `${nation(event.command.nation)} (AI) ${describeCommand(state, event.command)}`;
+            case 'script-command':
+                return `${nation(event.command.nation)} (${event.script}) ${describeCommand(state, event.command)}`;
+            case 'victory':
+                return `${nation(event.nation)} wins the game (${event.cause})`;
+            case 'draw':
+                return `The game ends in a draw (${event.cause})`;
+            case 'nation-eliminated':
+                return `${nation(event.nation)} is out of the game`;
+            case 'control-changed':
+                return `${nation(event.nation)} is now played by ${event.control === 'ai' ? 'the AI' : 'a human'}`;
+            case 'script-message':
+                return `[${event.script}] ${event.message}`;
+            case 'script-error':
+                return `Script ${event.script} disabled after an error in ${event.hook}: ${event.message}`;
+            case 'scenario-message':
+                return event.text;
+            case 'objective-revealed':
+                return `New objective for ${nation(event.nation)}: ${event.text}`;
+            case 'objective-completed':
+                return `Objective done by ${nation(event.nation)}: ${event.text}`;
+            default:
+                return event.type;
+        }
+    }
+
+    // Subscribers by event type ('*' for all). `on` returns a function that
+    // unsubscribes; a subscriber that throws is reported and skipped.
+    function createBus() {
+        const handlers = new Map();
+        return {
+            on(type, handler) {
+                if (!handlers.has(type)) handlers.set(type, []);
+                handlers.get(type).push(handler);
+                return () => {
+                    const list = handlers.get(type);
+                    if (list.includes(handler)) list.splice(list.indexOf(handler), 1);
+                };
+            },
+
+            // Hand a list of events to their subscribers, in order
+            emit(events) {
+                events.forEach(event => {
+                    [...(handlers.get(event.type) || []), ...(handlers.get('*') || [])].forEach(handler => {
+                        try {
+                            handler(event);
+                        } catch (e) {
+                            console.error(`Event handler for ${event.type} failed`, e);
+                        }
+                    });
+                });
+            }
+        };
+    }
+
+    // Every event of a game, oldest first, as log entries:
+    //
+    //     { seq, tick, type, category, text, place, nations, witnesses, event }
+    //
+    // `witnesses` is null when everybody heard of it. The events are copied,
+    // so the log can be kept and exported as it is.
+    //   limit - oldest entries are dropped past this count
+    function createLog(options = {}) {
+        const limit = options.limit || 10000;
+        let entries = [];
+        let seq = 0;
+
+        const heardBy = viewer => entry => viewer === undefined || viewer === null ||
+            entry.witnesses === null || [].concat(viewer).some(id => entry.witnesses.includes(id));
+
+        return {
+            get size() {
+                return entries.length;
+            },
+
+            // Add a tick's (or a command's) events as the state stands after them
+            record(state, events) {
+                const sight = new Map();
+                const seen = nation => {
+                    if (!sight.has(nation)) sight.set(nation, Vision.visible(state, nation));
+                    return sight.get(nation);
+                };
+                events.forEach(event => {
+                    entries.push({
+                        seq: seq++,
+                        tick: event.tick !== undefined ? event.tick : state.tick,
+                        type: event.type,
+                        category: categoryOf(event),
+                        text: describe(state, event),
+                        place: placeOf(event),
+                        nations: nationsOf(event),
+                        witnesses: witnessesOf(state, event, seen),
+                        event: JSON.parse(JSON.stringify(event))
+                    });
+                });
+                if (entries.length > limit) entries.splice(0, entries.length - limit);
+            },
+
+            // Entries heard of by `viewer` (a nation, a list of them, or null
+            // for all), newest first. `filter` can narrow them down by
+            // `categories` (a list of ids), `nation` (entries about it) and
+            // `limit`.
+            entries(viewer = null, filter = {}) {
+                const result = [];
+                for (let i = entries.length - 1; i >= 0; i--) {
+                    const entry = entries[i];
+                    if (!heardBy(viewer)(entry)) continue;
+                    if (filter.categories && !filter.categories.includes(entry.category)) continue;
+                    if (filter.nation !== undefined && filter.nation !== null && !entry.nations.includes(filter.nation)) continue;
+                    result.push(entry);
+                    if (filter.limit && result.length >= filter.limit) break;
+                }
+                return result;
+            },
+
+            // Forget everything after `tick` (play went back and branched)
+            truncate(tick) {
+                entries = entries.filter(entry => entry.tick <= tick);
+            },
+
+            clear() {
+                entries = [];
+            },
+
+            // The log heard of by `viewer`, oldest first, for download
+            toJSON(viewer = null) {
+                return entries.filter(heardBy(viewer)).map(({ tick, type, category, text, event }) => ({ tick, type, category, text, event }));
+            },
+
+            toText(viewer = null) {
+                return entries.filter(heardBy(viewer)).map(entry => `[${entry.tick}] ${entry.category}: ${entry.text}`).join('\n') + '\n';
+            }
+        };
+    }
+
+    const Events = {
+        CATEGORIES,
+        TYPES,
+        categoryOf,
+        placeOf,
+        nationsOf,
+        witnessesOf,
+        describe,
+        describeCommand,
+        describeProposal,
+        createBus,
+        createLog
+    };
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = Events;
+    } else {
+        global.Events = Events;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,159 @@
+// Indexes over the game state
+//
+// Most of what the engine and the AI ask is "whose armies are in this
+// province", "which armies does this nation have" or "which provinces does
+// it hold". Rather than scanning `state.armies` and `state.provinces` for
+// each answer, the state carries indexes that are kept up to date as it
+// changes:
+//
+//     armiesAt(state, province)  - the armies in a province
+//     armiesOf(state, nation)    - a nation's armies
+//     army(state, id)            - an army by id (undefined if there is none)
+//     provincesOf(state, nation) - the provinces a nation holds (null: unowned)
+//
+// The lists come in the order of `state.armies` (and province ids), as a
+// filter over them would, and belong to the index: don't change them, and
+// copy one before changing the state while walking it. Their lengths are
+// the per-nation counts.
+//
+// Everything that adds, removes or moves armies or hands over provinces
+// goes through addArmy, removeArmy, moveArmy and setOwner, which change the
+// state and its index together. `state.armies` is kept in id order (a new
+// army, or one coming ashore, is put in its place rather than at the end)
+// so a list can be kept in order without knowing where its armies stand in
+// it.
+//
+// The index hangs off the state under a key that JSON and object spreads
+// skip, so saves, clones and views (Vision.view) leave it behind and build
+// their own the first time they are asked. Every change counts a revision:
+// an index built before the last change to some other state (a view the
+// AI took before its orders were carried out, say) is built again.
+(function (global) {
+    'use strict';
+
+    const KEY = Symbol('indexes');
+    const EMPTY = Object.freeze([]);
+
+    let revision = 0;
+
+    function build(state) {
+        const index = { revision, armies: new Map(), at: new Map(), of: new Map(), owned: new Map() };
+        state.armies.forEach(army => {
+            index.armies.set(army.id, army);
+            entry(index.at, army.location).push(army);
+            entry(index.of, army.owner).push(army);
+        });
+        state.provinces.forEach((owner, p) => entry(index.owned, owner).push(p));
+        return index;
+    }
+
+    // The state's index, built afresh if it is missing or out of date
+    function current(state) {
+        let index = state[KEY];
+        if (!index || index.revision !== revision) {
+            index = build(state);
+            Object.defineProperty(state, KEY, { value: index, writable: true, configurable: true });
+        }
+        return index;
+    }
+
+    function entry(map, key) {
+        if (!map.has(key)) map.set(key, []);
+        return map.get(key);
+    }
+
+    // Where `key` goes in a list kept in order of `keyOf`
+    function position(list, key, keyOf) {
+        let low = 0;
+        let high = list.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (keyOf(list[mid]) < key) low = mid + 1;
+            else high = mid;
+        }
+        return low;
+    }
+
+    const armyId = army => army.id;
+    const provinceId = p => p;
+
+    function insert(list, item, keyOf) {
+        list.splice(position(list, keyOf(item), keyOf), 0, item);
+    }
+
+    function remove(list, item, keyOf) {
+        const i = position(list, keyOf(item), keyOf);
+        if (i < list.length && keyOf(list[i]) === keyOf(item)) list.splice(i, 1);
+    }
+
+    function armiesAt(state, province) {
+        return current(state).at.get(province) || EMPTY;
+    }
+
+    function armiesOf(state, nation) {
+        return current(state).of.get(nation) || EMPTY;
+    }
+
+    function army(state, id) {
+        return current(state).armies.get(id);
+    }
+
+    function provincesOf(state, nation) {
+        return current(state).owned.get(nation) || EMPTY;
+    }
+
+    // Put an army on the board
+    function addArmy(state, army) {
+        const index = current(state);
+        insert(state.armies, army, armyId);
+        index.armies.set(army.id, army);
+        insert(entry(index.at, army.location), army, armyId);
+        insert(entry(index.of, army.owner), army, armyId);
+        index.revision = ++revision;
+    }
+
+    // Take an army off the board (destroyed, disbanded or gone aboard)
+    function removeArmy(state, army) {
+        const index = current(state);
+        remove(state.armies, army, armyId);
+        index.armies.delete(army.id);
+        remove(entry(index.at, army.location), army, armyId);
+        remove(entry(index.of, army.owner), army, armyId);
+        index.revision = ++revision;
+    }
+
+    // Set an army's location
+    function moveArmy(state, army, location) {
+        const index = current(state);
+        remove(entry(index.at, army.location), army, armyId);
+        army.location = location;
+        insert(entry(index.at, location), army, armyId);
+        index.revision = ++revision;
+    }
+
+    // Set a province's owner (null for nobody)
+    function setOwner(state, province, nation) {
+        const index = current(state);
+        remove(entry(index.owned, state.provinces[province]), province, provinceId);
+        state.provinces[province] = nation;
+        insert(entry(index.owned, nation), province, provinceId);
+        index.revision = ++revision;
+    }
+
+    const Indexes = {
+        armiesAt,
+        armiesOf,
+        army,
+        provincesOf,
+        addArmy,
+        removeArmy,
+        moveArmy,
+        setOwner
+    };
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = Indexes;
+    } else {
+        global.Indexes = Indexes;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
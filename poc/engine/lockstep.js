@@ -0,0 +1,237 @@
+// Lockstep multiplayer session
+//
+// Every client runs the same deterministic simulation; only commands travel
+// over the network. For each tick, every human seat sends exactly one packet
+// with the commands it wants applied before that tick runs:
+//
+//     { type: 'tick', epoch, nation, tick, commands, hashTick, hash }
+//
+// A client may only run tick T once it holds every seat's packet for T.
+// Commands issued while the game sits at tick T go into the packet for
+// T + inputDelay, which gives the packet a full tick to arrive before anyone
+// needs it. Packets also carry a hash of the sender's state at `hashTick`;
+// a mismatch with our own hash for that tick means the games have diverged.
+//
+// The session knows nothing about sockets or the engine: it calls
+// `send(packet)`, is fed packets through `receive`, and hands back the
+// commands for each tick through `take`. `epoch` changes when a game is
+// (re)started from a state, so packets left over from before a resync are
+// ignored.
+(function (global) {
+    'use strict';
+
+    // How many ticks of our own hashes to keep for comparison
+    const HASH_HISTORY = 64;
+
+    // FNV-1a over the serialized state, as 8 hex digits
+    function hashState(state) {
+        const text = JSON.stringify(state);
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    // Create a session around a live state (the caller advances it).
+    //   options.state       - the shared game state
+    //   options.localSeats  - nation ids played on this client
+    //   options.seats       - every nation id played by a human, on any client
+    //   options.inputDelay  - ticks between issuing a command and running it
+    //   options.epoch       - identifies this start/resync
+    //   options.send        - function(packet) that broadcasts to the others
+    function createSession(options) {
+        const state = options.state;
+        const localSeats = options.localSeats.slice();
+        const seats = options.seats.slice().sort((a, b) => a - b);
+        const inputDelay = options.inputDelay || 1;
+        const epoch = options.epoch || 0;
+        const send = options.send;
+        const start = state.tick;
+
+        const inbox = new Map();      // `${nation}:${tick}` -> commands
+        const lastTick = new Map();   // nation -> latest tick we hold a packet for
+        const dropped = new Map();    // nation -> last tick it sent before leaving
+        const ownHashes = new Map();  // tick -> our hash
+        const peerHashes = [];        // { nation, tick, hash } still to be compared
+        const votes = new Map();      // nation -> { pause, speed }
+        let queue = [];
+        let lastSent = start + inputDelay - 1;
+        let desync = null;
+
+        const key = (nation, tick) => `${nation}:${tick}`;
+
+        function store(packet) {
+            inbox.set(key(packet.nation, packet.tick), packet.commands || []);
+            lastTick.set(packet.nation, Math.max(lastTick.get(packet.nation) || -1, packet.tick));
+            if (packet.hash !== undefined && !localSeats.includes(packet.nation)) {
+                peerHashes.push({ nation: packet.nation, tick: packet.hashTick, hash: packet.hash });
+            }
+        }
+
+        function compareHashes() {
+            for (let i = peerHashes.length - 1; i >= 0; i--) {
+                const peer = peerHashes[i];
+                if (!ownHashes.has(peer.tick)) {
+                    // Too old to check, or we haven't got there yet
+                    if (peer.tick < state.tick - HASH_HISTORY) peerHashes.splice(i, 1);
+                    continue;
+                }
+                peerHashes.splice(i, 1);
+                const ours = ownHashes.get(peer.tick);
+                if (ours !== peer.hash && desync === null) {
+                    desync = { tick: peer.tick, nation: peer.nation, expected: ours, actual: peer.hash };
+                }
+            }
+        }
+
+        // Send our packets up to the current tick + inputDelay
+        function flush() {
+            const target = state.tick + inputDelay;
+            if (lastSent >= target) return;
+
+            if (!ownHashes.has(state.tick)) {
+                ownHashes.set(state.tick, hashState(state));
+                ownHashes.delete(state.tick - HASH_HISTORY);
+            }
+
+            while (lastSent < target) {
+                lastSent++;
+                localSeats.forEach((nation, i) => {
+                    const packet = {
+                        type: 'tick',
+                        epoch,
+                        nation,
+                        tick: lastSent,
+                        // Hot-seat commands go out with the first local seat
+                        commands: i === 0 ? queue : [],
+                        hashTick: state.tick,
+                        hash: ownHashes.get(state.tick)
+                    };
+                    if (i === 0) queue = [];
+                    store(packet);
+                    send(packet);
+                });
+            }
+            compareHashes();
+        }
+
+        // Whether `nation` has nothing more to say about `tick`
+        function settled(nation, tick) {
+            if (tick < start + inputDelay) return true;
+            if (inbox.has(key(nation, tick))) return true;
+            return dropped.has(nation) && tick > dropped.get(nation);
+        }
+
+        return {
+            get epoch() {
+                return epoch;
+            },
+
+            get desync() {
+                return desync;
+            },
+
+            get inputDelay() {
+                return inputDelay;
+            },
+
+            // Schedule a local command (goes out with the next packet)
+            queue(command) {
+                queue.push(JSON.parse(JSON.stringify(command)));
+            },
+
+            // Commands queued but not yet sent
+            get pending() {
+                return queue.slice();
+            },
+
+            receive(packet) {
+                if (packet.epoch !== epoch) return;
+                if (packet.type === 'tick') {
+                    store(packet);
+                    compareHashes();
+                } else if (packet.type === 'vote') {
+                    votes.set(packet.nation, { pause: !!packet.pause, speed: packet.speed });
+                }
+            },
+
+            // Send anything due and report whether the current tick can run
+            ready() {
+                flush();
+                return desync === null && seats.every(nation => settled(nation, state.tick));
+            },
+
+            // Everyone's commands for the current tick, in seat order. Call
+            // once ready() is true and pass them to Engine.runTick.
+            take() {
+                const tick = state.tick;
+                const commands = [];
+                seats.forEach(nation => {
+                    (inbox.get(key(nation, tick)) || []).forEach(command => commands.push(command));
+                    inbox.delete(key(nation, tick));
+                });
+                return commands;
+            },
+
+            // A seat's player left. Packets already received still count;
+            // every later tick is treated as empty.
+            drop(nation) {
+                if (dropped.has(nation)) return;
+                dropped.set(nation, lastTick.has(nation) ? lastTick.get(nation) : start + inputDelay - 1);
+                votes.delete(nation);
+            },
+
+            isDropped(nation) {
+                return dropped.has(nation);
+            },
+
+            // Record and broadcast this client's pause/speed vote
+            vote(pause, speed) {
+                localSeats.forEach(nation => {
+                    const packet = { type: 'vote', epoch, nation, pause, speed };
+                    votes.set(nation, { pause, speed });
+                    send(packet);
+                });
+            },
+
+            // The game pauses while at least half of the connected players
+            // vote for it; the speed is the one most players asked for (the
+            // slower one on a tie)
+            outcome() {
+                const voters = seats.filter(nation => !dropped.has(nation));
+                const cast = voters.map(nation => votes.get(nation) || { pause: false, speed: null });
+
+                const pauseVotes = cast.filter(v => v.pause).length;
+                const tally = new Map();
+                cast.forEach(v => {
+                    if (v.speed) tally.set(v.speed, (tally.get(v.speed) || 0) + 1);
+                });
+                let speed = null;
+                tally.forEach((count, value) => {
+                    const best = speed === null ? 0 : tally.get(speed);
+                    if (count > best || (count === best && value > speed)) speed = value;
+                });
+
+                return {
+                    paused: voters.length > 0 && pauseVotes * 2 >= voters.length,
+                    pauseVotes,
+                    voters: voters.length,
+                    speed
+                };
+            }
+        };
+    }
+
+    const Lockstep = {
+        hashState,
+        createSession
+    };
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = Lockstep;
+    } else {
+        global.Lockstep = Lockstep;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
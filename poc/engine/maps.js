@@ -0,0 +1,432 @@
+// Map definitions
+//
+// A map is plain JSON (see poc/maps/):
+//
+//     {
+//         "id": "classic-7x7",
+//         "name": "Classic 7x7",
+//         "layout": "grid",              // grid | hex (how tiles are drawn)
+//         "victoryShare": 0.75,          // or "victoryProvinces": 37
+//         "keyProvinces": [24],          // optional, to hold for victory.holdTicks
+//         "provinces": [
+//             { "id": 0, "name": "Ashford", "x": 0, "y": 0, "neighbors": [1, 7],
+//               "development": 10,       // optional, economic value (default 10)
+//               "terrain": "forest",     // optional, one of TERRAINS (default plains)
+//               "fort": 1,               // optional, starting fort level (default 0)
+//               "shape": [[0, 0], [1, 0], [1, 1], [0, 1]] }  // optional outline
+//         ],
+//         "rivers": [[3, 4], [10, 11]],  // optional, neighbors a river runs between
+//         "seas": [                      // optional sea zones fleets sail between
+//             { "id": 0, "name": "Grey Sound", "x": 2, "y": 1,
+//               "neighbors": [1],        // other sea zones
+//               "coasts": [1, 3] }       // provinces on its shore
+//         ],
+//         "start": [                     // one entry per nation seat (up to 8)
+//             { "capital": 0, "provinces": [0, 1, 5], "armies": [{ "province": 0 }] }
+//         ]
+//     }
+//
+// Province ids must run 0..n-1 in order. Adjacency only has to be listed on
+// one side; `normalize` makes it symmetric. What terrain and rivers do is set
+// by the ruleset (see rules.js). Coordinates are in tile units and
+// only matter for drawing and for the AI's sense of distance.
+// A province is drawn as its `shape`, a polygon of [x, y] points in the
+// same units, or failing that as the tile at x/y: a square, or on hex
+// maps a brick 0.75 high in rows offset by half a tile. A sea zone
+// without a shape is a round marker on the tile at its x/y.
+// Sea zones have ids of their own, also 0..m-1 in order; adjacency between
+// them is made symmetric the same way, and each province gets the list of
+// sea zones it is a coast of as `seas`.
+(function (global) {
+    'use strict';
+
+    const DEFAULT_VICTORY_SHARE = 0.75;
+    const DEFAULT_DEVELOPMENT = 10;
+    const TERRAINS = ['plains', 'forest', 'hills', 'mountains', 'marsh'];
+
+    // Maps shipped in poc/maps/
+    const BUNDLED = [
+        { id: 'classic-7x7', name: 'Classic 7x7', file: 'maps/classic-7x7.json' },
+        { id: 'hex-realms', name: 'Hex Realms', file: 'maps/hex-realms.json' },
+        { id: 'strait-duel', name: 'Strait Duel (1v1)', file: 'maps/strait-duel.json' },
+        { id: 'archipelago', name: 'Archipelago', file: 'maps/archipelago.json' },
+        { id: 'broken-marches', name: 'Broken Marches', file: 'maps/broken-marches.json' }
+    ];
+
+    // Check a map definition and return a normalized copy. Throws an Error
+    // describing the first problem found.
+    function normalize(def) {
+        if (!def || !Array.isArray(def.provinces) || def.provinces.length === 0) {
+            throw new Error('Map has no provinces');
+        }
+
+        const count = def.provinces.length;
+        const inRange = id => Number.isInteger(id) && id >= 0 && id < count;
+
+        const provinces = def.provinces.map((p, index) => {
+            if (p.id !== index) {
+                throw new Error(`Province at index ${index} has id ${p.id}; ids must run 0..${count - 1} in order`);
+            }
+            if (typeof p.x !== 'number' || typeof p.y !== 'number') {
+                throw new Error(`Province ${index} is missing x/y coordinates`);
+            }
+            (p.neighbors || []).forEach(n => {
+                if (!inRange(n) || n === index) {
+                    throw new Error(`Province ${index} has invalid neighbor ${n}`);
+                }
+            });
+            if (p.development !== undefined && !(Number.isInteger(p.development) && p.development >= 1)) {
+                throw new Error(`Province ${index} has invalid development ${p.development}`);
+            }
+            if (p.terrain !== undefined && !TERRAINS.includes(p.terrain)) {
+                throw new Error(`Province ${index} has unknown terrain "${p.terrain}"`);
+            }
+            if (p.fort !== undefined && !(Number.isInteger(p.fort) && p.fort >= 0)) {
+                throw new Error(`Province ${index} has invalid fort level ${p.fort}`);
+            }
+            if (p.shape !== undefined && !isPolygon(p.shape)) {
+                throw new Error(`Province ${index} has an invalid shape; it needs at least 3 [x, y] points`);
+            }
+            return {
+                id: index,
+                name: p.name || `Province ${index}`,
+                x: p.x,
+                y: p.y,
+                neighbors: [...new Set(p.neighbors || [])],
+                development: p.development !== undefined ? p.development : DEFAULT_DEVELOPMENT,
+                terrain: p.terrain || 'plains',
+                fort: p.fort || 0,
+                ...(p.shape ? { shape: p.shape.map(([x, y]) => [x, y]) } : {})
+            };
+        });
+
+        // Make adjacency symmetric
+        provinces.forEach(p => {
+            p.neighbors.forEach(n => {
+                if (!provinces[n].neighbors.includes(p.id)) {
+                    provinces[n].neighbors.push(p.id);
+                }
+            });
+        });
+
+        // Rivers as [lower id, higher id], sorted and without repeats
+        const rivers = [];
+        (def.rivers || []).forEach(river => {
+            if (!Array.isArray(river) || river.length !== 2 || !inRange(river[0]) || !provinces[river[0]].neighbors.includes(river[1])) {
+                throw new Error(`River ${JSON.stringify(river)} must join two neighboring provinces`);
+            }
+            const edge = [Math.min(...river), Math.max(...river)];
+            if (!rivers.some(r => r[0] === edge[0] && r[1] === edge[1])) rivers.push(edge);
+        });
+        rivers.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+        const seaCount = (def.seas || []).length;
+        const seas = (def.seas || []).map((sea, index) => {
+            if (sea.id !== index) {
+                throw new Error(`Sea zone at index ${index} has id ${sea.id}; ids must run 0..${seaCount - 1} in order`);
+            }
+            if (typeof sea.x !== 'number' || typeof sea.y !== 'number') {
+                throw new Error(`Sea zone ${index} is missing x/y coordinates`);
+            }
+            (sea.neighbors || []).forEach(n => {
+                if (!(Number.isInteger(n) && n >= 0 && n < seaCount) || n === index) {
+                    throw new Error(`Sea zone ${index} has invalid neighbor ${n}`);
+                }
+            });
+            (sea.coasts || []).forEach(p => {
+                if (!inRange(p)) throw new Error(`Sea zone ${index} has unknown coast ${p}`);
+            });
+            if (sea.shape !== undefined && !isPolygon(sea.shape)) {
+                throw new Error(`Sea zone ${index} has an invalid shape; it needs at least 3 [x, y] points`);
+            }
+            return {
+                id: index,
+                name: sea.name || `Sea ${index}`,
+                x: sea.x,
+                y: sea.y,
+                neighbors: [...new Set(sea.neighbors || [])],
+                coasts: [...new Set(sea.coasts || [])].sort((a, b) => a - b),
+                ...(sea.shape ? { shape: sea.shape.map(([x, y]) => [x, y]) } : {})
+            };
+        });
+        seas.forEach(sea => {
+            sea.neighbors.forEach(n => {
+                if (!seas[n].neighbors.includes(sea.id)) seas[n].neighbors.push(sea.id);
+            });
+        });
+        provinces.forEach(p => {
+            p.seas = seas.filter(sea => sea.coasts.includes(p.id)).map(sea => sea.id);
+        });
+
+        if (!Array.isArray(def.start) || def.start.length === 0) {
+            throw new Error('Map has no starting positions');
+        }
+
+        const claimed = new Set();
+        const start = def.start.map((seat, index) => {
+            const owned = seat.provinces || [];
+            owned.forEach(id => {
+                if (!inRange(id)) throw new Error(`Seat ${index} starts with unknown province ${id}`);
+                if (claimed.has(id)) throw new Error(`Province ${id} is claimed by more than one seat`);
+                claimed.add(id);
+            });
+
+            const capital = seat.capital !== undefined ? seat.capital : owned[0];
+            if (!owned.includes(capital)) {
+                throw new Error(`Seat ${index} capital ${capital} is not one of its provinces`);
+            }
+
+            const armies = (seat.armies || []).map(army => {
+                if (!inRange(army.province)) {
+                    throw new Error(`Seat ${index} has an army in unknown province ${army.province}`);
+                }
+                return { province: army.province, size: army.size || null };
+            });
+
+            return { capital, provinces: owned.slice(), armies };
+        });
+
+        const corners = [...provinces, ...seas].flatMap(t => t.shape || [[t.x + 1, t.y + 1]]);
+        const width = def.width || Math.ceil(Math.max(...corners.map(([x]) => x)));
+        const height = def.height || Math.ceil(Math.max(...corners.map(([, y]) => y)));
+        const victoryProvinces = def.victoryProvinces ||
+            Math.ceil(count * (def.victoryShare || DEFAULT_VICTORY_SHARE));
+
+        if (victoryProvinces > count) {
+            throw new Error(`Victory needs ${victoryProvinces} provinces but the map only has ${count}`);
+        }
+        const keyProvinces = def.keyProvinces || [];
+        if (!Array.isArray(keyProvinces) || keyProvinces.some(id => !inRange(id))) {
+            throw new Error('Key provinces must be a list of province ids');
+        }
+
+        return {
+            id: def.id || 'custom',
+            name: def.name || 'Custom map',
+            layout: def.layout || 'grid',
+            width,
+            height,
+            victoryProvinces,
+            keyProvinces: [...new Set(keyProvinces)].sort((a, b) => a - b),
+            provinces,
+            rivers,
+            seas,
+            start
+        };
+    }
+
+    function isPolygon(shape) {
+        return Array.isArray(shape) && shape.length >= 3 && shape.every(point =>
+            Array.isArray(point) && point.length === 2 && point.every(Number.isFinite));
+    }
+
+    // Rectangular grid with 4-way adjacency (left, right, up, down)
+    function grid(width, height, start) {
+        const provinces = [];
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const id = y * width + x;
+                const neighbors = [];
+                if (x > 0) neighbors.push(id - 1);
+                if (x < width - 1) neighbors.push(id + 1);
+                if (y > 0) neighbors.push(id - width);
+                if (y < height - 1) neighbors.push(id + width);
+                provinces.push({ id, x, y, neighbors });
+            }
+        }
+        return normalize({ id: `grid-${width}x${height}`, name: `Grid ${width}x${height}`, provinces, start });
+    }
+
+    // The original 7x7 board, available without loading any files
+    function classic() {
+        const map = grid(7, 7, [
+            { capital: 0, provinces: [0, 1, 5], armies: [{ province: 0 }] },
+            { capital: 9, provinces: [9, 14], armies: [{ province: 9 }] },
+            { capital: 18, provinces: [18, 19], armies: [{ province: 19 }] },
+            { capital: 48, provinces: [48, 47], armies: [{ province: 48 }] },
+            { capital: 42, provinces: [42, 43], armies: [{ province: 42 }] },
+            { capital: 6, provinces: [6, 13], armies: [{ province: 6 }] },
+            { capital: 28, provinces: [28, 35], armies: [{ province: 28 }] },
+            { capital: 34, provinces: [34, 27], armies: [{ province: 34 }] }
+        ]);
+        map.id = 'classic-7x7';
+        map.name = 'Classic 7x7';
+        return map;
+    }
+
+    // Distance between two provinces in tile units (Manhattan)
+    function distance(map, a, b) {
+        const pa = map.provinces[a];
+        const pb = map.provinces[b];
+        return Math.abs(pa.x - pb.x) + Math.abs(pa.y - pb.y);
+    }
+
+    // Whether a river runs between two neighboring provinces
+    function hasRiver(map, a, b) {
+        const low = Math.min(a, b);
+        const high = Math.max(a, b);
+        return map.rivers.some(r => r[0] === low && r[1] === high);
+    }
+
+    // Shortest route between two sea zones, counted in hops, in the same
+    // form as `findPath`: the zones after `from`, ending with `to`
+    function findSeaRoute(map, from, to) {
+        if (from === to) return [];
+        const cameFrom = new Map([[from, null]]);
+        let frontier = [from];
+        while (frontier.length > 0 && !cameFrom.has(to)) {
+            const next = [];
+            frontier.forEach(sea => {
+                map.seas[sea].neighbors.slice().sort((a, b) => a - b).forEach(n => {
+                    if (cameFrom.has(n)) return;
+                    cameFrom.set(n, sea);
+                    next.push(n);
+                });
+            });
+            frontier = next;
+        }
+        if (!cameFrom.has(to)) return null;
+        const route = [to];
+        while (cameFrom.get(route[0]) !== from) route.unshift(cameFrom.get(route[0]));
+        return route;
+    }
+
+    // Cheapest route from `from` to `to` over the adjacency graph (A*).
+    // `stepCost(a, b)` prices each hop (default 1). Returns the provinces
+    // after `from`, ending with `to` ([] if they are the same), or null if
+    // `to` can't be reached.
+    function findPath(map, from, to, stepCost = () => 1) {
+        if (from === to) return [];
+
+        // Manhattan distance never grows by more than the longest link per
+        // hop, so this never overestimates and the route found is optimal
+        let longestLink = 0;
+        let cheapestStep = Infinity;
+        map.provinces.forEach(p => {
+            p.neighbors.forEach(n => {
+                longestLink = Math.max(longestLink, distance(map, p.id, n));
+                cheapestStep = Math.min(cheapestStep, stepCost(p.id, n));
+            });
+        });
+        const estimate = id => (longestLink > 0 && Number.isFinite(cheapestStep) ? distance(map, id, to) / longestLink * cheapestStep : 0);
+
+        const cost = new Map([[from, 0]]);
+        const cameFrom = new Map();
+        const closed = new Set();
+        const open = [{ id: from, score: estimate(from) }];
+
+        while (open.length > 0) {
+            // Lowest score first; ties go to the lower province id so the
+            // route is the same on every machine
+            let best = 0;
+            for (let i = 1; i < open.length; i++) {
+                if (open[i].score < open[best].score ||
+                    (open[i].score === open[best].score && open[i].id < open[best].id)) best = i;
+            }
+            const current = open.splice(best, 1)[0].id;
+            if (closed.has(current)) continue;
+            if (current === to) break;
+            closed.add(current);
+
+            map.provinces[current].neighbors.forEach(next => {
+                if (closed.has(next)) return;
+                const step = stepCost(current, next);
+                if (!Number.isFinite(step)) return; // Impassable
+                const total = cost.get(current) + step;
+                if (!cost.has(next) || total < cost.get(next)) {
+                    cost.set(next, total);
+                    cameFrom.set(next, current);
+                    open.push({ id: next, score: total + estimate(next) });
+                }
+            });
+        }
+
+        if (!cameFrom.has(to)) return null;
+        const path = [to];
+        while (cameFrom.get(path[0]) !== from) path.unshift(cameFrom.get(path[0]));
+        return path;
+    }
+
+    // The polygon a province is drawn as (see the format notes above)
+    function outline(map, id) {
+        const p = map.provinces[id];
+        if (p.shape) return p.shape;
+        const height = map.layout === 'hex' ? 0.75 : 1;
+        return [[p.x, p.y], [p.x + 1, p.y], [p.x + 1, p.y + height], [p.x, p.y + height]];
+    }
+
+    function seaOutline(map, id) {
+        const sea = map.seas[id];
+        if (sea.shape) return sea.shape;
+        const points = [];
+        for (let i = 0; i < 16; i++) {
+            const angle = i * Math.PI / 8;
+            points.push([sea.x + 0.5 + 0.35 * Math.cos(angle), sea.y + 0.5 + 0.35 * Math.sin(angle)]);
+        }
+        return points;
+    }
+
+    // Where a polygon balances (its centroid), for placing labels
+    function center(polygon) {
+        let area = 0;
+        let cx = 0;
+        let cy = 0;
+        polygon.forEach(([x1, y1], i) => {
+            const [x2, y2] = polygon[(i + 1) % polygon.length];
+            const cross = x1 * y2 - x2 * y1;
+            area += cross;
+            cx += (x1 + x2) * cross;
+            cy += (y1 + y2) * cross;
+        });
+        if (Math.abs(area) < 1e-9) {
+            return [polygon.reduce((sum, p) => sum + p[0], 0) / polygon.length, polygon.reduce((sum, p) => sum + p[1], 0) / polygon.length];
+        }
+        return [cx / (3 * area), cy / (3 * area)];
+    }
+
+    // The stretches of outline two provinces share, as [[x, y], [x, y]]
+    // segments; none for neighbors that don't touch (straits)
+    function border(map, a, b) {
+        const EPSILON = 1e-6;
+        const edges = polygon => polygon.map((p, i) => [p, polygon[(i + 1) % polygon.length]]);
+        const segments = [];
+        edges(outline(map, a)).forEach(([p1, p2]) => {
+            const dx = p2[0] - p1[0];
+            const dy = p2[1] - p1[1];
+            const length = Math.sqrt(dx * dx + dy * dy);
+            if (length < EPSILON) return;
+            const offLine = q => Math.abs((q[0] - p1[0]) * dy - (q[1] - p1[1]) * dx) / length > EPSILON;
+            const along = q => ((q[0] - p1[0]) * dx + (q[1] - p1[1]) * dy) / (length * length);
+            edges(outline(map, b)).forEach(([q1, q2]) => {
+                if (offLine(q1) || offLine(q2)) return;
+                const from = Math.max(0, Math.min(along(q1), along(q2)));
+                const to = Math.min(1, Math.max(along(q1), along(q2)));
+                if ((to - from) * length < EPSILON) return;
+                segments.push([[p1[0] + dx * from, p1[1] + dy * from], [p1[0] + dx * to, p1[1] + dy * to]]);
+            });
+        });
+        return segments;
+    }
+
+    const Maps = {
+        BUNDLED,
+        TERRAINS,
+        normalize,
+        grid,
+        classic,
+        distance,
+        hasRiver,
+        findPath,
+        findSeaRoute,
+        outline,
+        seaOutline,
+        center,
+        border
+    };
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = Maps;
+    } else {
+        global.Maps = Maps;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
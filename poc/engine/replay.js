@@ -0,0 +1,176 @@
+// Command log, replay and timeline
+//
+// A match is fully described by its initial state plus the list of commands
+// issued during play. Each log entry is tagged with the tick it was issued
+// at: a command at tick T was applied to the state *after* tick T ran, i.e.
+// it is passed to the `runTick` call that produces tick T + 1.
+//
+//     { tick, source: 'player' | 'ai', command }
+//
+// AI commands are recorded for review only. The AI is deterministic, so on
+// replay it re-issues them by itself; `replay` can check that it does.
+(function (global) {
+    'use strict';
+
+    const isNode = typeof module === 'object' && module.exports;
+    const Engine = isNode ? require('./engine.js') : global.Engine;
+    const Saves = isNode ? require('./saves.js') : global.Saves;
+
+    const FORMAT = 'globus-ridiculous-replay';
+    const VERSION = 1;
+
+    // Player (non-AI) commands issued at `tick`
+    function playerCommandsAt(log, tick) {
+        return log.filter(e => e.tick === tick && e.source !== 'ai').map(e => e.command);
+    }
+
+    // Run `state` forward in place until it reaches `toTick`, feeding in the
+    // logged player commands. With `verify`, AI orders are compared against
+    // the log and the first divergence is returned.
+    function advance(state, log, toTick, options = {}) {
+        let divergence = null;
+
+        while (state.tick < toTick && !state.gameOver) {
+            const tick = state.tick;
+            const events = Engine.runTick(state, playerCommandsAt(log, tick));
+            if (options.onTick) options.onTick(state, events);
+
+            if (options.verify && divergence === null) {
+                const expected = log.filter(e => e.tick === tick + 1 && e.source === 'ai').map(e => JSON.stringify(e.command));
+                const actual = events.filter(e => e.type === 'ai-command').map(e => JSON.stringify(e.command));
+                if (expected.join('\n') !== actual.join('\n')) {
+                    divergence = { tick: tick + 1, expected, actual };
+                }
+            }
+        }
+        return divergence;
+    }
+
+    // Replay a log from an initial state up to `toTick`. Returns the
+    // resulting state and the first AI divergence (null when the replay
+    // matched the recording).
+    function replay(initialState, log, toTick, options = {}) {
+        const state = Engine.cloneState(initialState);
+        const divergence = advance(state, log, toTick, options);
+        return { state, divergence };
+    }
+
+    // Timeline of a running match: the initial state, the command log and
+    // periodic keyframes so seeking doesn't have to replay from tick 0.
+    // Pass `options.log` and `options.head` to reopen an exported timeline.
+    function createTimeline(initialState, options = {}) {
+        const keyframeEvery = options.keyframeEvery || 50;
+        const initial = JSON.stringify(initialState);
+        const start = initialState.tick;
+
+        let log = (options.log || []).slice();
+        let keyframes = new Map();
+        let head = options.head !== undefined ? options.head : log.reduce((max, e) => Math.max(max, e.tick), start);
+
+        return {
+            get start() {
+                return start;
+            },
+
+            // Latest tick the live game has reached
+            get head() {
+                return head;
+            },
+
+            get log() {
+                return log;
+            },
+
+            // Record a player command issued at `tick`
+            record(tick, command, source = 'player') {
+                log.push({ tick, source, command: JSON.parse(JSON.stringify(command)) });
+            },
+
+            // Call after each live tick with the events it produced
+            recordTick(state, events) {
+                head = state.tick;
+                events.forEach(event => {
+                    if (event.type === 'ai-command') {
+                        this.record(event.tick, event.command, 'ai');
+                    }
+                });
+                if (state.tick % keyframeEvery === 0) {
+                    keyframes.set(state.tick, JSON.stringify(state));
+                }
+            },
+
+            commandsAt(tick) {
+                return playerCommandsAt(log, tick);
+            },
+
+            // Reconstruct the state at `tick` (before that tick's commands)
+            stateAt(tick) {
+                tick = Math.max(start, Math.min(tick, head));
+
+                let from = start;
+                keyframes.forEach((_, t) => {
+                    if (t <= tick && t > from) from = t;
+                });
+
+                const state = JSON.parse(from === start ? initial : keyframes.get(from));
+                advance(state, log, tick);
+                return state;
+            },
+
+            // Discard everything from `tick` on, so play can continue from
+            // there on a new branch
+            branch(tick) {
+                log = log.filter(e => e.tick < tick);
+                keyframes.forEach((_, t) => {
+                    if (t > tick) keyframes.delete(t);
+                });
+                head = tick;
+            },
+
+            toJSON() {
+                return {
+                    format: FORMAT,
+                    version: VERSION,
+                    stateVersion: Saves.VERSION,
+                    head,
+                    initial: JSON.parse(initial),
+                    log
+                };
+            }
+        };
+    }
+
+    // Parse an exported timeline (JSON string or object). The initial state
+    // goes through the save migrations, so old replays keep working.
+    function deserialize(data) {
+        const replayFile = typeof data === 'string' ? JSON.parse(data) : data;
+        if (replayFile.format !== FORMAT) {
+            throw new Error('Not a globus-ridiculous replay file');
+        }
+        if (replayFile.version > VERSION) {
+            throw new Error(`Replay version ${replayFile.version} is newer than this game (version ${VERSION})`);
+        }
+
+        const initial = Saves.migrate({
+            format: Saves.FORMAT,
+            version: replayFile.stateVersion || 1,
+            state: replayFile.initial
+        }).state;
+        return { ...replayFile, stateVersion: Saves.VERSION, initial };
+    }
+
+    const Replay = {
+        FORMAT,
+        VERSION,
+        playerCommandsAt,
+        replay,
+        createTimeline,
+        deserialize
+    };
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = Replay;
+    } else {
+        global.Replay = Replay;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,48 @@
+// Seedable random number generator (mulberry32)
+//
+// The generator state is a single 32-bit integer stored on the game state
+// (`state.rng`), so it survives cloning, saving and replay unchanged.
+(function (global) {
+    'use strict';
+
+    // Turn any seed (number or string) into a 32-bit integer
+    function seed(value) {
+        if (value === undefined || value === null) {
+            value = Date.now();
+        }
+        if (typeof value === 'number') {
+            return value >>> 0;
+        }
+
+        // FNV-1a hash for string seeds
+        let hash = 2166136261;
+        const text = String(value);
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        return hash >>> 0;
+    }
+
+    // Return a float in [0, 1) and advance `holder.rng`
+    function random(holder) {
+        holder.rng = (holder.rng + 0x6D2B79F5) >>> 0;
+        let t = holder.rng;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Return an integer in [0, max)
+    function int(holder, max) {
+        return Math.floor(random(holder) * max);
+    }
+
+    const Rng = { seed, random, int };
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = Rng;
+    } else {
+        global.Rng = Rng;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,304 @@
+// Rulesets and the mod loader
+//
+// Every number the simulation plays by lives in a ruleset that is stored on
+// the game state, so saves and replays keep the rules they were played with.
+//
+// A mod is a JSON file (see poc/mods/) following the manifest idea in MODS.md:
+//
+//     {
+//         "mod": {
+//             "id": "quick-march",
+//             "name": "Quick March",
+//             "version": "1.0.0",
+//             "priority": 100,             // higher loads later and wins
+//             "requires": ["other-mod"]    // optional
+//         },
+//         "rules": {
+//             "movement": { "ticks": 2 }   // any subset of the rules below
+//         },
+//         "script": ["return {", "    onTickStart(game) {}", "};"]
+//     }
+//
+// Rules only override values; they cannot add rules the engine doesn't read.
+// New behavior comes from the optional script (a string, or an array of
+// lines), which runs sandboxed as described in scripts.js.
+(function (global) {
+    'use strict';
+
+    // Every rule, with its default and the values it accepts. The in-game
+    // rules editor is generated from this list.
+    const FIELDS = [
+        { path: 'army.cost', label: 'Army cost (gold)', default: 50, type: 'integer', min: 0 },
+        { path: 'army.size', label: 'Army size (troops)', default: 1000, type: 'integer', min: 1 },
+        { path: 'manpower.perProvince', label: 'Men a province of development 10 adds to the manpower pool per tick', default: 15, type: 'number', min: 0 },
+        { path: 'manpower.maxPerProvince', label: 'Room in the manpower pool per province of development 10', default: 1000, type: 'integer', min: 0 },
+        { path: 'recruitment.ticks', label: 'Ticks to train a new army', default: 5, type: 'integer', min: 1 },
+        { path: 'recruitment.reinforce', label: 'Most men an army resting in friendly land takes in per tick', default: 50, type: 'integer', min: 0 },
+        { path: 'navy.cost', label: 'Fleet cost (gold)', default: 80, type: 'integer', min: 0 },
+        { path: 'navy.ships', label: 'Ships in a new fleet', default: 10, type: 'integer', min: 1 },
+        { path: 'navy.ticks', label: 'Ticks to build a fleet', default: 6, type: 'integer', min: 1 },
+        { path: 'navy.capacity', label: 'Troops one ship can carry', default: 200, type: 'integer', min: 0 },
+        { path: 'navy.moveTicks', label: 'Ticks to sail into a neighboring sea zone', default: 2, type: 'integer', min: 1 },
+        { path: 'navy.roundLosses', label: 'Enemy ships each ship sinks per tick', default: 0.2, type: 'number', min: 0 },
+        { path: 'navy.upkeep', label: 'Gold per tick to keep one ship', default: 0.1, type: 'number', min: 0 },
+        { path: 'navy.blockade', label: 'Share of a blockaded coastal province\'s income lost', default: 0.5, type: 'number', min: 0, max: 1 },
+        { path: 'movement.ticks', label: 'Ticks to move into a plains province', default: 3, type: 'integer', min: 1 },
+        { path: 'movement.riverTicks', label: 'Extra ticks to cross a river', default: 2, type: 'integer', min: 0 },
+        { path: 'movement.defendRange', label: 'Provinces around its post an army defending a region guards', default: 1, type: 'integer', min: 0 },
+        { path: 'conquest.ticks', label: 'Ticks to conquer an undefended plains province', default: 2, type: 'integer', min: 1 },
+        { path: 'economy.incomePerProvince', label: 'Gold per tick from a province of development 10', default: 2, type: 'number', min: 0 },
+        { path: 'economy.upkeep', label: 'Gold per tick to keep 1000 troops', default: 1, type: 'number', min: 0 },
+        { path: 'economy.developCost', label: 'Gold to raise development by one (per 10 development)', default: 15, type: 'number', min: 0 },
+        { path: 'economy.maxDevelopment', label: 'Highest development a province can reach', default: 30, type: 'integer', min: 1 },
+        { path: 'economy.debtMoraleLoss', label: 'Morale armies lose per tick while the treasury is in debt', default: 0.02, type: 'number', min: 0 },
+        { path: 'economy.desertion', label: 'Share of troops deserting per tick while in debt', default: 0.02, type: 'number', min: 0, max: 1 },
+        { path: 'buildings.marketCost', label: 'Market cost (gold)', default: 80, type: 'integer', min: 0 },
+        { path: 'buildings.marketIncome', label: 'Extra share of a province\'s income from its market', default: 0.5, type: 'number', min: 0 },
+        { path: 'buildings.barracksCost', label: 'Barracks cost (gold)', default: 80, type: 'integer', min: 0 },
+        { path: 'buildings.barracksDiscount', label: 'Share of the army cost saved building at barracks', default: 0.25, type: 'number', min: 0, max: 1 },
+        { path: 'combat.roundLosses', label: 'Troops killed per round per unit of strength', default: 0.1, type: 'number', min: 0, max: 1 },
+        { path: 'combat.defenderBonus', label: 'Strength bonus fighting in your own province', default: 0.25, type: 'number', min: 0 },
+        { path: 'combat.riverPenalty', label: 'Strength lost attacking straight across a river', default: 0.25, type: 'number', min: 0, max: 1 },
+        { path: 'combat.moraleShock', label: 'Morale lost per share of troops lost in a round', default: 1, type: 'number', min: 0 },
+        { path: 'combat.breakMorale', label: 'Morale at which a side breaks and retreats', default: 0.3, type: 'number', min: 0 },
+        { path: 'combat.moraleRecovery', label: 'Morale regained per tick resting in your own land', default: 0.02, type: 'number', min: 0 },
+        { path: 'combat.victoryMoraleGain', label: 'Morale gained by the side that wins a battle', default: 0.1, type: 'number', min: 0 },
+        { path: 'combat.maxMorale', label: 'Highest possible morale', default: 1.2, type: 'number', min: 0 },
+        { path: 'supply.limit', label: 'Troops of one nation a plains province of development 10 can feed', default: 6000, type: 'integer', min: 0 },
+        { path: 'supply.attrition', label: 'Share of troops lost per tick by a stack twice the supply limit', default: 0.05, type: 'number', min: 0, max: 1 },
+        // Terrain scales the plains values above; plains has no entries of its own
+        { path: 'terrain.forestMove', label: 'Forest: movement time (x plains)', default: 1.5, type: 'number', min: 0.1 },
+        { path: 'terrain.forestDefense', label: 'Forest: extra defender bonus', default: 0.25, type: 'number', min: 0 },
+        { path: 'terrain.forestConquest', label: 'Forest: conquest time (x plains)', default: 1.5, type: 'number', min: 0.1 },
+        { path: 'terrain.forestSupply', label: 'Forest: supply limit (x plains)', default: 0.75, type: 'number', min: 0 },
+        { path: 'terrain.hillsMove', label: 'Hills: movement time (x plains)', default: 1.5, type: 'number', min: 0.1 },
+        { path: 'terrain.hillsDefense', label: 'Hills: extra defender bonus', default: 0.5, type: 'number', min: 0 },
+        { path: 'terrain.hillsConquest', label: 'Hills: conquest time (x plains)', default: 1.5, type: 'number', min: 0.1 },
+        { path: 'terrain.hillsSupply', label: 'Hills: supply limit (x plains)', default: 0.75, type: 'number', min: 0 },
+        { path: 'terrain.mountainsMove', label: 'Mountains: movement time (x plains)', default: 2.5, type: 'number', min: 0.1 },
+        { path: 'terrain.mountainsDefense', label: 'Mountains: extra defender bonus', default: 1, type: 'number', min: 0 },
+        { path: 'terrain.mountainsConquest', label: 'Mountains: conquest time (x plains)', default: 2, type: 'number', min: 0.1 },
+        { path: 'terrain.mountainsSupply', label: 'Mountains: supply limit (x plains)', default: 0.5, type: 'number', min: 0 },
+        { path: 'terrain.marshMove', label: 'Marsh: movement time (x plains)', default: 2, type: 'number', min: 0.1 },
+        { path: 'terrain.marshDefense', label: 'Marsh: extra defender bonus', default: 0.25, type: 'number', min: 0 },
+        { path: 'terrain.marshConquest', label: 'Marsh: conquest time (x plains)', default: 1, type: 'number', min: 0.1 },
+        { path: 'terrain.marshSupply', label: 'Marsh: supply limit (x plains)', default: 0.5, type: 'number', min: 0 },
+        { path: 'siege.fortCost', label: 'Gold per fort level (the second level costs twice as much, and so on)', default: 100, type: 'integer', min: 0 },
+        { path: 'siege.maxLevel', label: 'Highest fort level', default: 3, type: 'integer', min: 0 },
+        { path: 'siege.fortDefense', label: 'Defender bonus per fort level', default: 0.25, type: 'number', min: 0 },
+        { path: 'siege.garrison', label: 'Garrison troops per fort level', default: 500, type: 'integer', min: 0 },
+        { path: 'siege.rate', label: 'Garrison troops each besieger wears down per tick (divided by the fort level)', default: 0.05, type: 'number', min: 0 },
+        { path: 'siege.regen', label: 'Share of a full garrison regained per tick when not besieged', default: 0.05, type: 'number', min: 0, max: 1 },
+        { path: 'siege.capitalLevel', label: 'Extra fort levels of every capital', default: 1, type: 'integer', min: 0 },
+        { path: 'siege.capitalMorale', label: 'Morale a nation\'s armies lose when its capital falls', default: 0.25, type: 'number', min: 0 },
+        { path: 'siege.capitalIncomeLoss', label: 'Share of income lost while a nation\'s capital is occupied', default: 0.5, type: 'number', min: 0, max: 1 },
+        { path: 'vision.fog', label: 'Fog of war (1 = on, 0 = everyone sees everything)', default: 1, type: 'integer', min: 0, max: 1 },
+        { path: 'vision.range', label: 'Provinces seen beyond your land and armies', default: 1, type: 'integer', min: 0 },
+        { path: 'diplomacy.truceTicks', label: 'Ticks after a peace treaty before either side can declare war again', default: 50, type: 'integer', min: 0 },
+        { path: 'diplomacy.proposalTicks', label: 'Ticks a diplomatic proposal stays open', default: 20, type: 'integer', min: 1 },
+        { path: 'victory.domination', label: 'Win by holding a share of the provinces (1 = on, 0 = off)', default: 1, type: 'integer', min: 0, max: 1 },
+        { path: 'victory.share', label: 'Share of provinces needed to win (blank = map default)', default: null, type: 'number', min: 0.01, max: 1, nullable: true },
+        { path: 'victory.holdTicks', label: 'Ticks a nation must hold every key province to win (0 = off)', default: 0, type: 'integer', min: 0 },
+        { path: 'victory.lastStanding', label: 'The last nation with provinces, armies or fleets wins (1 = on, 0 = off)', default: 1, type: 'integer', min: 0, max: 1 },
+        { path: 'victory.elimination', label: 'Nations left without provinces, armies or fleets are out of the game (1 = on, 0 = off)', default: 1, type: 'integer', min: 0, max: 1 },
+        { path: 'victory.tickLimit', label: 'Tick at which the highest score wins (0 = no limit)', default: 0, type: 'integer', min: 0 },
+        { path: 'ai.thinkEvery', label: 'Ticks between AI turns', default: 2, type: 'integer', min: 1 },
+        { path: 'ai.buildChance', label: 'Chance the Easy AI builds an army each turn', default: 0.1, type: 'number', min: 0, max: 1 }
+    ];
+
+    // Mods shipped in poc/mods/
+    const BUNDLED = [
+        { id: 'quick-march', name: 'Quick March', file: 'mods/quick-march.json' },
+        { id: 'war-economy', name: 'War Economy', file: 'mods/war-economy.json' },
+        { id: 'bloodbath', name: 'Bloodbath', file: 'mods/bloodbath.json' },
+        { id: 'plague-and-rebellion', name: 'Plague and Rebellion', file: 'mods/plague-and-rebellion.json' },
+        { id: 'regicide', name: 'Regicide', file: 'mods/regicide.json' }
+    ];
+
+    function getPath(obj, path) {
+        return path.split('.').reduce((o, key) => (o === undefined || o === null ? undefined : o[key]), obj);
+    }
+
+    function setPath(obj, path, value) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const target = keys.reduce((o, key) => {
+            if (typeof o[key] !== 'object' || o[key] === null) o[key] = {};
+            return o[key];
+        }, obj);
+        target[last] = value;
+    }
+
+    // A fresh copy of the default ruleset
+    function defaults() {
+        const rules = {};
+        FIELDS.forEach(field => setPath(rules, field.path, field.default));
+        return rules;
+    }
+
+    // Check a (possibly partial) set of rule overrides. Throws an Error
+    // describing the first problem found; `source` names the file in messages.
+    function validate(overrides, source = 'Rules') {
+        if (typeof overrides !== 'object' || overrides === null || Array.isArray(overrides)) {
+            throw new Error(`${source}: rules must be an object`);
+        }
+
+        const known = new Set(FIELDS.map(f => f.path));
+        const sections = new Set(FIELDS.map(f => f.path.split('.')[0]));
+
+        Object.keys(overrides).forEach(section => {
+            if (!sections.has(section)) {
+                throw new Error(`${source}: unknown rule section "${section}"`);
+            }
+            const values = overrides[section];
+            if (typeof values !== 'object' || values === null || Array.isArray(values)) {
+                throw new Error(`${source}: rule section "${section}" must be an object`);
+            }
+            Object.keys(values).forEach(key => {
+                const path = `${section}.${key}`;
+                if (!known.has(path)) {
+                    throw new Error(`${source}: unknown rule "${path}"`);
+                }
+            });
+        });
+
+        FIELDS.forEach(field => {
+            const value = getPath(overrides, field.path);
+            if (value === undefined) return;
+            if (value === null && field.nullable) return;
+
+            const ok = typeof value === 'number' && Number.isFinite(value) &&
+                (field.type !== 'integer' || Number.isInteger(value)) &&
+                (field.min === undefined || value >= field.min) &&
+                (field.max === undefined || value <= field.max);
+
+            if (!ok) {
+                const range = [
+                    field.min !== undefined ? `>= ${field.min}` : null,
+                    field.max !== undefined ? `<= ${field.max}` : null
+                ].filter(Boolean).join(' and ');
+                throw new Error(`${source}: rule ${field.path} must be ${field.type === 'integer' ? 'an integer' : 'a number'}${range ? ' ' + range : ''}, got ${JSON.stringify(value)}`);
+            }
+        });
+
+        return overrides;
+    }
+
+    // Defaults with `overrides` layered on top (validated)
+    function create(overrides = {}, source) {
+        validate(overrides, source);
+        const rules = defaults();
+        FIELDS.forEach(field => {
+            const value = getPath(overrides, field.path);
+            if (value !== undefined) setPath(rules, field.path, value);
+        });
+        return rules;
+    }
+
+    // Check a mod file and return a normalized copy
+    function normalizeMod(def) {
+        if (!def || typeof def.mod !== 'object' || def.mod === null) {
+            throw new Error('Mod file has no "mod" manifest');
+        }
+        const manifest = def.mod;
+        if (typeof manifest.id !== 'string' || manifest.id === '') {
+            throw new Error('Mod manifest needs an "id"');
+        }
+
+        const source = `Mod "${manifest.id}"`;
+        if (manifest.priority !== undefined && !Number.isFinite(manifest.priority)) {
+            throw new Error(`${source}: priority must be a number`);
+        }
+        if (manifest.requires !== undefined && !Array.isArray(manifest.requires)) {
+            throw new Error(`${source}: requires must be a list of mod ids`);
+        }
+
+        let script = def.script === undefined ? null : def.script;
+        if (Array.isArray(script) && script.every(line => typeof line === 'string')) {
+            script = script.join('\n');
+        }
+        if (script !== null && typeof script !== 'string') {
+            throw new Error(`${source}: script must be a string or a list of lines`);
+        }
+
+        return {
+            id: manifest.id,
+            name: manifest.name || manifest.id,
+            version: manifest.version || '0.0.0',
+            priority: manifest.priority || 0,
+            requires: (manifest.requires || []).slice(),
+            rules: JSON.parse(JSON.stringify(validate(def.rules || {}, source))),
+            script
+        };
+    }
+
+    // Layer mods over the defaults. Lower priority loads first, so the
+    // highest priority mod has the last word on any rule it sets; equal
+    // priorities keep the order they were given in. Returns the merged
+    // ruleset, the mods in the order they were applied and their scripts
+    // (which run in that same order).
+    function load(mods = []) {
+        const normalized = mods.map(normalizeMod);
+
+        const ids = new Set();
+        normalized.forEach(mod => {
+            if (ids.has(mod.id)) throw new Error(`Mod "${mod.id}" is loaded twice`);
+            ids.add(mod.id);
+        });
+        normalized.forEach(mod => {
+            mod.requires.forEach(required => {
+                if (!ids.has(required)) {
+                    throw new Error(`Mod "${mod.id}" requires "${required}", which is not loaded`);
+                }
+            });
+        });
+
+        const order = normalized
+            .map((mod, index) => ({ mod, index }))
+            .sort((a, b) => a.mod.priority - b.mod.priority || a.index - b.index)
+            .map(entry => entry.mod);
+
+        const rules = defaults();
+        order.forEach(mod => {
+            FIELDS.forEach(field => {
+                const value = getPath(mod.rules, field.path);
+                if (value !== undefined) setPath(rules, field.path, value);
+            });
+        });
+
+        const scripts = order
+            .filter(mod => mod.script !== null)
+            .map(mod => ({ id: mod.id, name: mod.name, source: mod.script }));
+
+        return { rules, order, scripts };
+    }
+
+    // The rules that differ from the defaults (what a mod file would need)
+    function diff(rules) {
+        const changed = {};
+        FIELDS.forEach(field => {
+            const value = getPath(rules, field.path);
+            if (value !== undefined && value !== field.default) setPath(changed, field.path, value);
+        });
+        return changed;
+    }
+
+    const Rules = {
+        FIELDS,
+        BUNDLED,
+        get: getPath,
+        set: setPath,
+        defaults,
+        validate,
+        create,
+        normalizeMod,
+        load,
+        diff
+    };
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = Rules;
+    } else {
+        global.Rules = Rules;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,378 @@
+// Save file format, migrations and the in-memory rewind buffer
+//
+// A save is a versioned JSON envelope around an engine state:
+//
+//     { format: 'globus-ridiculous-save', version, name, savedAt, tick, state }
+//
+// When the state shape changes, bump VERSION and add a migration from the
+// previous version to MIGRATIONS. Old saves are walked forward one version at
+// a time until they match the current engine.
+(function (global) {
+    'use strict';
+
+    const isNode = typeof module === 'object' && module.exports;
+    const Rng = isNode ? require('./rng.js') : global.Rng;
+    const Maps = isNode ? require('./maps.js') : global.Maps;
+    const Rules = isNode ? require('./rules.js') : global.Rules;
+    const Diplomacy = isNode ? require('./diplomacy.js') : global.Diplomacy;
+    const Vision = isNode ? require('./vision.js') : global.Vision;
+    const Stats = isNode ? require('./stats.js') : global.Stats;
+
+    const FORMAT = 'globus-ridiculous-save';
+    const VERSION = 18;
+
+    // Fill in the rules added since a save was made with their defaults.
+    // This doesn't check the rules against today's list: an old save can
+    // hold rules that were dropped since, which their own migration takes out.
+    function addRules(rules) {
+        Rules.FIELDS.forEach(field => {
+            if (Rules.get(rules, field.path) === undefined) Rules.set(rules, field.path, field.default);
+        });
+        return rules;
+    }
+
+    // MIGRATIONS[n] upgrades a version n save to version n + 1
+    const MIGRATIONS = {
+        // Version 0 is a bare engine state (e.g. copied from the console)
+        // from before saves were versioned. Fill in fields that were added
+        // later so the engine can run it.
+        0: save => {
+            const state = save.state;
+            state.armies.forEach(army => {
+                if (army.morale === undefined) army.morale = 1.0;
+                if (army.conquestProgress === undefined) army.conquestProgress = 0;
+                if (army.movementProgress === undefined) army.movementProgress = 0;
+                if (army.destination === undefined) army.destination = null;
+                if (army.moving === undefined) army.moving = false;
+            });
+            if (state.seed === undefined) state.seed = Rng.seed(state.tick);
+            if (state.rng === undefined) state.rng = state.seed;
+            if (state.winner === undefined) state.winner = null;
+            if (state.gameOver === undefined) state.gameOver = state.winner !== null;
+            if (state.nextArmyId === undefined) {
+                state.nextArmyId = state.armies.reduce((max, a) => Math.max(max, a.id + 1), 100);
+            }
+            return save;
+        },
+
+        // Version 2 moved the board into a map definition carried by the
+        // state. Everything before that was played on the classic 7x7.
+        1: save => {
+            const state = save.state;
+            state.map = Maps.classic();
+            state.nations.forEach((nation, i) => {
+                nation.capital = state.map.start[i].capital;
+            });
+            return save;
+        },
+
+        // Version 3 stores the ruleset on the state. Older games were
+        // played with the built-in constants, which are the defaults.
+        2: save => {
+            save.state.rules = Rules.defaults();
+            return save;
+        },
+
+        // Version 4 added mod scripts
+        3: save => {
+            save.state.scripts = [];
+            return save;
+        },
+
+        // Version 5 gave every nation an AI profile. Older games were
+        // played by what is now the easy AI.
+        4: save => {
+            save.state.nations.forEach(nation => {
+                nation.ai = { difficulty: 'easy', personality: 'balanced' };
+            });
+            return save;
+        },
+
+        // Version 6 lets armies follow a route of several hops
+        5: save => {
+            save.state.armies.forEach(army => {
+                army.route = [];
+            });
+            return save;
+        },
+
+        // Version 7 fights battles over several rounds. The casualty rules
+        // of the one-tick battles are gone; games carry on under the new
+        // combat rules at their defaults.
+        6: save => {
+            const state = save.state;
+            const fresh = Rules.defaults();
+            delete state.rules.army.minSize;
+            state.rules.combat = {
+                ...fresh.combat,
+                victoryMoraleGain: state.rules.combat.victoryMoraleGain,
+                maxMorale: state.rules.combat.maxMorale
+            };
+            state.battles = [];
+            state.battleReports = [];
+            return save;
+        },
+
+        // Version 8 added province development, buildings and army upkeep.
+        // Older games start every province at its map's development with
+        // nothing built, and pick up the new economy rules at their defaults.
+        7: save => {
+            const state = save.state;
+            state.map.provinces.forEach(p => {
+                if (p.development === undefined) p.development = 10;
+            });
+            state.development = state.map.provinces.map(p => p.development);
+            state.buildings = state.map.provinces.map(() => []);
+            state.rules = addRules(state.rules);
+            return save;
+        },
+
+        // Version 9 added terrain, rivers and supply. Older maps are all
+        // plains without rivers.
+        8: save => {
+            const state = save.state;
+            state.map.provinces.forEach(p => {
+                p.terrain = 'plains';
+            });
+            state.map.rivers = [];
+            state.armies.forEach(army => {
+                army.crossing = false;
+            });
+            state.rules = addRules(state.rules);
+            return save;
+        },
+
+        // Version 10 turned the fort building into fort levels with
+        // garrisons that have to be besieged. A fort becomes level 1 and
+        // every garrison starts at full strength.
+        9: save => {
+            const state = save.state;
+            delete state.rules.buildings.fortCost;
+            delete state.rules.buildings.fortDefense;
+            state.rules = addRules(state.rules);
+            state.map.provinces.forEach(p => {
+                p.fort = 0;
+            });
+            state.forts = state.buildings.map(buildings => (buildings.includes('fort') ? 1 : 0));
+            state.buildings = state.buildings.map(buildings => buildings.filter(b => b !== 'fort'));
+            const capitals = new Set(state.nations.map(n => n.capital));
+            state.garrisons = state.forts.map((level, p) =>
+                (level + (capitals.has(p) ? state.rules.siege.capitalLevel : 0)) * state.rules.siege.garrison);
+            return save;
+        },
+
+        // Version 11 added diplomacy. Until then everyone was at war with
+        // everyone, which is how the relations start.
+        10: save => {
+            const state = save.state;
+            state.rules = addRules(state.rules);
+            Diplomacy.init(state);
+            return save;
+        },
+
+        // Version 12 added fog of war. Nobody remembers anything yet beyond
+        // what they can see when the game is loaded. Vision also looks
+        // through fleets, which came later (version 14); there were none.
+        11: save => {
+            const state = save.state;
+            state.rules = addRules(state.rules);
+            state.fleets = [];
+            Vision.init(state);
+            return save;
+        },
+
+        // Version 13 added manpower and recruitment queues. Every nation
+        // starts with a full pool, and armies count as at full strength.
+        12: save => {
+            const state = save.state;
+            state.rules = addRules(state.rules);
+            state.recruitment = state.provinces.map(() => []);
+            state.armies.forEach(army => {
+                army.full = army.size;
+            });
+            state.nations.forEach(nation => {
+                nation.manpower = state.provinces.reduce((sum, owner, p) =>
+                    sum + (owner === nation.id ? state.rules.manpower.maxPerProvince * state.development[p] / 10 : 0), 0);
+            });
+            return save;
+        },
+
+        // Version 14 added sea zones, fleets and transport. Older maps have
+        // no seas, so nobody has a fleet.
+        13: save => {
+            const state = save.state;
+            state.rules = addRules(state.rules);
+            state.map.seas = [];
+            state.map.provinces.forEach(p => {
+                p.seas = [];
+            });
+            state.fleets = [];
+            state.nextFleetId = 1;
+            state.recruitment.forEach(queue => queue.forEach(recruits => {
+                recruits.kind = 'army';
+            }));
+            return save;
+        },
+
+        // Version 15 keeps the armies in id order (see indexes.js); armies
+        // that came ashore used to go to the end of the list
+        14: save => {
+            save.state.armies.sort((a, b) => a.id - b.id);
+            return save;
+        },
+
+        // Version 16 added victory conditions and statistics. Nobody has
+        // been knocked out yet, and the record starts at the saved tick.
+        15: save => {
+            const state = save.state;
+            state.rules = addRules(state.rules);
+            state.map.keyProvinces = [];
+            state.nations.forEach(nation => {
+                nation.eliminated = null;
+            });
+            state.keyHold = null;
+            state.result = state.gameOver ? { tick: state.tick, cause: null } : null;
+            Stats.init(state);
+            return save;
+        },
+
+        // Version 17 added rally points and standing orders
+        16: save => {
+            const state = save.state;
+            state.rules = addRules(state.rules);
+            state.rallyPoints = state.map.provinces.map(() => null);
+            const armies = state.armies.concat(...state.fleets.map(f => f.cargo));
+            armies.forEach(army => {
+                army.standing = null;
+                army.post = null;
+            });
+            return save;
+        },
+
+        // Version 18 added scenarios; older games were not playing one
+        17: save => {
+            save.state.scenario = null;
+            return save;
+        }
+    };
+
+    // Wrap a state in a save envelope (returns a plain object)
+    function createSave(state, name = 'Untitled') {
+        return {
+            format: FORMAT,
+            version: VERSION,
+            name,
+            savedAt: new Date().toISOString(),
+            tick: state.tick,
+            state: JSON.parse(JSON.stringify(state))
+        };
+    }
+
+    function serialize(state, name) {
+        return JSON.stringify(createSave(state, name));
+    }
+
+    // Bring a parsed save up to the current version
+    function migrate(save) {
+        // Bare states have no envelope at all
+        if (save.format === undefined && Array.isArray(save.armies)) {
+            save = { format: FORMAT, version: 0, name: 'Imported', savedAt: null, tick: save.tick, state: save };
+        }
+
+        if (save.format !== FORMAT) {
+            throw new Error('Not a globus-ridiculous save file');
+        }
+        if (save.version > VERSION) {
+            throw new Error(`Save version ${save.version} is newer than this game (version ${VERSION})`);
+        }
+
+        while (save.version < VERSION) {
+            const upgrade = MIGRATIONS[save.version];
+            if (!upgrade) {
+                throw new Error(`No migration from save version ${save.version}`);
+            }
+            save = upgrade(save);
+            save.version++;
+        }
+        return save;
+    }
+
+    // Parse a save (JSON string or object) into its migrated envelope
+    function deserialize(data) {
+        const save = typeof data === 'string' ? JSON.parse(data) : JSON.parse(JSON.stringify(data));
+        return migrate(save);
+    }
+
+    // Tiered rewind buffer (see SAVES.md): a ring buffer of recent snapshots
+    // plus sparse long-term checkpoints.
+    //   recentEvery     - ticks between recent snapshots
+    //   recentSlots     - how many recent snapshots to keep
+    //   checkpointEvery - ticks between checkpoints
+    //   maxCheckpoints  - oldest checkpoints are dropped past this count
+    function createRewindBuffer(options = {}) {
+        const recentEvery = options.recentEvery || 5;
+        const recentSlots = options.recentSlots || 60;
+        const checkpointEvery = options.checkpointEvery || 100;
+        const maxCheckpoints = options.maxCheckpoints || 200;
+
+        let recent = [];
+        let checkpoints = [];
+
+        return {
+            // Snapshot the state if this tick is due
+            record(state) {
+                if (state.tick % recentEvery === 0) {
+                    recent.push({ tick: state.tick, data: serialize(state, `Tick ${state.tick}`) });
+                    if (recent.length > recentSlots) recent.shift();
+                }
+                if (state.tick % checkpointEvery === 0) {
+                    checkpoints.push({ tick: state.tick, data: serialize(state, `Checkpoint ${state.tick}`) });
+                    if (checkpoints.length > maxCheckpoints) checkpoints.shift();
+                }
+            },
+
+            // Newest first
+            recent() {
+                return recent.map(e => e.tick).reverse();
+            },
+
+            checkpoints() {
+                return checkpoints.map(e => e.tick).reverse();
+            },
+
+            // Restore the snapshot taken at `tick`
+            restore(tick) {
+                const entry = recent.find(e => e.tick === tick) || checkpoints.find(e => e.tick === tick);
+                return entry ? deserialize(entry.data).state : null;
+            },
+
+            // Forget everything after `tick` (used after rewinding)
+            truncate(tick) {
+                recent = recent.filter(e => e.tick <= tick);
+                checkpoints = checkpoints.filter(e => e.tick <= tick);
+            },
+
+            clear() {
+                recent = [];
+                checkpoints = [];
+            }
+        };
+    }
+
+    const Saves = {
+        FORMAT,
+        VERSION,
+        MIGRATIONS,
+        createSave,
+        serialize,
+        deserialize,
+        migrate,
+        createRewindBuffer
+    };
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = Saves;
+    } else {
+        global.Saves = Saves;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
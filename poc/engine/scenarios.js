@@ -0,0 +1,509 @@
+// Scenarios and campaigns
+//
+// A scenario is a game set up in advance with a story to it: who starts
+// with what, triggers that change the game as it goes and objectives for
+// the players. It is plain JSON (see poc/scenarios/):
+//
+//     {
+//         "id": "border-war",
+//         "name": "Border War",
+//         "description": "...",          // shown where scenarios are picked
+//         "briefing": "...",             // optional, shown when the game starts
+//         "map": "classic-7x7",          // a bundled map id, or a map definition
+//         "rules": { ... },              // optional ruleset overrides (see rules.js)
+//         "nations": [                   // one per nation, in seat order
+//             { "name": "Blue Empire", "color": "#4169E1",  // optional
+//               "control": "human",      // human | ai
+//               "ai": { "difficulty": "easy", "personality": "turtle" },  // optional
+//               "capital": 0, "provinces": [0, 1, 7],
+//               "armies": [{ "province": 0, "size": 1500 }],
+//               "treasury": 300 }        // optional, 200 by default
+//         ],
+//         "triggers": [                  // optional
+//             { "id": "green-joins",
+//               "when": [{ "type": "tick", "atLeast": 50 },
+//                        { "type": "owns", "nation": 1, "provinces": [24] }],
+//               "then": [{ "type": "spawn-army", "nation": 2, "province": 13, "size": 2000 },
+//                        { "type": "message", "text": "The Green Republic marches!" }] }
+//         ],
+//         "objectives": [                // optional
+//             { "id": "take-valgate", "nation": 0, "text": "Take Valgate",
+//               "when": [{ "type": "owns", "nation": 0, "provinces": [24] }],
+//               "hidden": false,         // optional, shown once a trigger reveals it
+//               "optional": false }      // optional, not needed to win
+//         ]
+//     }
+//
+// The nations replace the map's starting positions; provinces nobody starts
+// with are neutral. Nations are numbered in the order they are listed.
+//
+// A trigger fires once, on the first tick all of its conditions (`when`)
+// hold, and applies its effects (`then`) in order. Conditions:
+//
+//     tick       { atLeast, atMost }           - the game's tick
+//     owns       { nation, provinces }         - the nation holds all of them
+//     provinces  { nation, atLeast, atMost }   - how many provinces it holds
+//     armies     { nation, atLeast, atMost }   - how many armies it has
+//     troops     { nation, atLeast, atMost }   - its troops, aboard fleets too
+//     treasury   { nation, atLeast, atMost }   - its gold
+//     armies-in  { nation, province }          - it has an army there
+//     building   { province, building }        - a market or barracks stands there
+//     relation   { nation, with, status }      - war, peace, truce or alliance
+//     eliminated { nation }                    - it is out of the game
+//     fired      { trigger }                   - that trigger has fired
+//     completed  { objective }                 - that objective is done
+//     not        { condition }                 - the condition does not hold
+//
+// Effects:
+//
+//     message     { text, nation, pause }  - tell everyone, or only `nation`;
+//                                            `pause` stops the game to read it
+//     spawn-army  { nation, province, size }
+//     gold        { nation, amount }
+//     set-owner   { province, nation }     - nation null hands it to nobody
+//     declare-war { nation, target }
+//     reveal      { objective }            - show a hidden objective
+//     end         { winner }               - end the game (winner null: a draw)
+//
+// An objective is done on the first tick its conditions hold while it is
+// shown. A nation that has done all of its objectives that are not optional
+// wins the game. The engine keeps the scenario, with what has fired and
+// been done so far, in `state.scenario` (see `init`).
+//
+// A campaign chains bundled scenarios:
+//
+//     {
+//         "id": "the-long-war",
+//         "name": "The Long War",
+//         "description": "...",
+//         "scenarios": ["border-war", "crown-of-the-realms"],
+//         "carry": { "treasury": 0.5, "veterans": 2 }   // optional
+//     }
+//
+// Winning a scenario unlocks the next one. The human nation takes a share
+// (`treasury`) of the gold it finished with and up to `veterans` of its
+// biggest armies along; they join the next scenario's first human nation,
+// the armies at its capital.
+(function (global) {
+    'use strict';
+
+    const isNode = typeof module === 'object' && module.exports;
+    const Maps = isNode ? require('./maps.js') : global.Maps;
+    const Diplomacy = isNode ? require('./diplomacy.js') : global.Diplomacy;
+    const Indexes = isNode ? require('./indexes.js') : global.Indexes;
+    const Stats = isNode ? require('./stats.js') : global.Stats;
+
+    // Scenarios and campaigns shipped in poc/scenarios/
+    const BUNDLED = [
+        { id: 'tutorial', name: 'Tutorial', file: 'scenarios/tutorial.json' },
+        { id: 'border-war', name: 'Border War', file: 'scenarios/border-war.json' },
+        { id: 'crown-of-the-realms', name: 'Crown of the Realms', file: 'scenarios/crown-of-the-realms.json' }
+    ];
+    const CAMPAIGNS = [
+        { id: 'the-long-war', name: 'The Long War', file: 'scenarios/the-long-war.json' }
+    ];
+
+    // Gold a nation starts with unless the scenario says otherwise
+    const DEFAULT_TREASURY = 200;
+
+    // The fields each condition and effect takes (`?` marks optional ones)
+    const CONDITIONS = {
+        'tick': ['atLeast?', 'atMost?'],
+        'owns': ['nation', 'provinces'],
+        'provinces': ['nation', 'atLeast?', 'atMost?'],
+        'armies': ['nation', 'atLeast?', 'atMost?'],
+        'troops': ['nation', 'atLeast?', 'atMost?'],
+        'treasury': ['nation', 'atLeast?', 'atMost?'],
+        'armies-in': ['nation', 'province'],
+        'building': ['province', 'building'],
+        'relation': ['nation', 'with', 'status'],
+        'eliminated': ['nation'],
+        'fired': ['trigger'],
+        'completed': ['objective'],
+        'not': ['condition']
+    };
+    const EFFECTS = {
+        'message': ['text', 'nation?', 'pause?'],
+        'spawn-army': ['nation', 'province', 'size?'],
+        'gold': ['nation', 'amount'],
+        'set-owner': ['province', 'nation'],
+        'declare-war': ['nation', 'target'],
+        'reveal': ['objective'],
+        'end': ['winner']
+    };
+
+    // Check a scenario definition and return a normalized copy. Throws an
+    // Error describing the first problem found. Province ids are checked
+    // against the map by `gameOptions`.
+    function normalize(def) {
+        if (!def || typeof def.id !== 'string' || def.id === '') throw new Error('Scenario needs an id');
+        const where = `Scenario "${def.id}"`;
+        if (typeof def.map !== 'string' && (typeof def.map !== 'object' || def.map === null)) {
+            throw new Error(`${where} needs a map (a bundled map id or a map definition)`);
+        }
+        if (!Array.isArray(def.nations) || def.nations.length === 0) throw new Error(`${where} has no nations`);
+
+        const nations = def.nations.map((nation, index) => {
+            if (nation.control !== 'human' && nation.control !== 'ai') {
+                throw new Error(`${where}: nation ${index} must be played by "human" or "ai", not ${JSON.stringify(nation.control)}`);
+            }
+            if (!Array.isArray(nation.provinces) || nation.provinces.length === 0) {
+                throw new Error(`${where}: nation ${index} starts with no provinces`);
+            }
+            if (nation.treasury !== undefined && !Number.isFinite(nation.treasury)) {
+                throw new Error(`${where}: nation ${index} has invalid treasury ${nation.treasury}`);
+            }
+            (nation.armies || []).forEach(army => {
+                if (army.size !== undefined && !(Number.isInteger(army.size) && army.size > 0)) {
+                    throw new Error(`${where}: nation ${index} has an army of invalid size ${army.size}`);
+                }
+            });
+            return {
+                name: nation.name,
+                color: nation.color,
+                control: nation.control,
+                ai: nation.ai,
+                treasury: nation.treasury !== undefined ? nation.treasury : DEFAULT_TREASURY,
+                capital: nation.capital !== undefined ? nation.capital : nation.provinces[0],
+                provinces: nation.provinces.slice(),
+                armies: (nation.armies || []).map(army => ({ province: army.province, size: army.size || null }))
+            };
+        });
+
+        const triggers = (def.triggers || []).map((trigger, index) => ({
+            id: trigger.id !== undefined ? String(trigger.id) : `trigger-${index}`,
+            when: trigger.when || [],
+            then: trigger.then || []
+        }));
+        const objectives = (def.objectives || []).map((objective, index) => ({
+            id: objective.id !== undefined ? String(objective.id) : `objective-${index}`,
+            nation: objective.nation,
+            text: String(objective.text || ''),
+            when: objective.when || [],
+            hidden: Boolean(objective.hidden),
+            optional: Boolean(objective.optional)
+        }));
+
+        const unique = (list, kind) => {
+            const seen = new Set();
+            list.forEach(item => {
+                if (seen.has(item.id)) throw new Error(`${where} has two ${kind}s called "${item.id}"`);
+                seen.add(item.id);
+            });
+            return seen;
+        };
+        const known = { nations: nations.length, triggers: unique(triggers, 'trigger'), objectives: unique(objectives, 'objective') };
+
+        triggers.forEach(trigger => {
+            const at = `${where}, trigger "${trigger.id}"`;
+            checkList(trigger.when, at, 'conditions');
+            checkList(trigger.then, at, 'effects');
+            trigger.when.forEach(condition => checkCondition(condition, known, at));
+            trigger.then.forEach(effect => checkEffect(effect, known, at));
+        });
+        objectives.forEach(objective => {
+            const at = `${where}, objective "${objective.id}"`;
+            checkNation(objective.nation, known, at, 'nation');
+            checkList(objective.when, at, 'conditions');
+            if (objective.when.length === 0) throw new Error(`${at} has no conditions`);
+            objective.when.forEach(condition => checkCondition(condition, known, at));
+        });
+
+        return {
+            id: def.id,
+            name: def.name || def.id,
+            description: def.description || '',
+            briefing: def.briefing || '',
+            map: def.map,
+            rules: def.rules || {},
+            seed: def.seed,
+            nations,
+            triggers,
+            objectives
+        };
+    }
+
+    function checkList(list, at, what) {
+        if (!Array.isArray(list)) throw new Error(`${at}: ${what} must be a list`);
+    }
+
+    function checkNation(id, known, at, field, nullable = false) {
+        if (nullable && id === null) return;
+        if (!Number.isInteger(id) || id < 0 || id >= known.nations) {
+            throw new Error(`${at}: ${field} ${JSON.stringify(id)} is not one of the scenario's nations`);
+        }
+    }
+
+    // Check that `item` has the fields its type asks for
+    function checkFields(item, fields, at, kind) {
+        fields.forEach(field => {
+            if (field.endsWith('?')) return;
+            if (item[field] === undefined) throw new Error(`${at}: ${kind} "${item.type}" needs "${field}"`);
+        });
+    }
+
+    function checkCondition(condition, known, at) {
+        if (!condition || !CONDITIONS[condition.type]) {
+            throw new Error(`${at}: unknown condition ${JSON.stringify(condition && condition.type)}`);
+        }
+        checkFields(condition, CONDITIONS[condition.type], at, 'condition');
+        ['nation', 'with'].forEach(field => {
+            if (condition[field] !== undefined) checkNation(condition[field], known, at, field);
+        });
+        if (condition.type === 'owns' && !Array.isArray(condition.provinces)) {
+            throw new Error(`${at}: condition "owns" needs a list of provinces`);
+        }
+        if (condition.type === 'relation' && !Diplomacy.STATUSES.includes(condition.status)) {
+            throw new Error(`${at}: unknown relation ${JSON.stringify(condition.status)}`);
+        }
+        if (condition.type === 'fired' && !known.triggers.has(condition.trigger)) {
+            throw new Error(`${at}: no trigger called "${condition.trigger}"`);
+        }
+        if (condition.type === 'completed' && !known.objectives.has(condition.objective)) {
+            throw new Error(`${at}: no objective called "${condition.objective}"`);
+        }
+        if (condition.type === 'not') checkCondition(condition.condition, known, at);
+    }
+
+    function checkEffect(effect, known, at) {
+        if (!effect || !EFFECTS[effect.type]) {
+            throw new Error(`${at}: unknown effect ${JSON.stringify(effect && effect.type)}`);
+        }
+        checkFields(effect, EFFECTS[effect.type], at, 'effect');
+        switch (effect.type) {
+            case 'message':
+                if (effect.nation !== undefined) checkNation(effect.nation, known, at, 'nation', true);
+                break;
+            case 'spawn-army':
+                checkNation(effect.nation, known, at, 'nation');
+                if (effect.size !== undefined && !(Number.isInteger(effect.size) && effect.size > 0)) {
+                    throw new Error(`${at}: invalid army size ${effect.size}`);
+                }
+                break;
+            case 'gold':
+                checkNation(effect.nation, known, at, 'nation');
+                if (!Number.isFinite(effect.amount)) throw new Error(`${at}: invalid amount of gold ${effect.amount}`);
+                break;
+            case 'set-owner':
+                checkNation(effect.nation, known, at, 'nation', true);
+                break;
+            case 'declare-war':
+                checkNation(effect.nation, known, at, 'nation');
+                checkNation(effect.target, known, at, 'target');
+                break;
+            case 'reveal':
+                if (!known.objectives.has(effect.objective)) throw new Error(`${at}: no objective called "${effect.objective}"`);
+                break;
+            case 'end':
+                checkNation(effect.winner, known, at, 'winner', true);
+                break;
+        }
+    }
+
+    // Every province id a scenario's triggers and objectives name
+    function provincesNamed(scenario) {
+        const ids = [];
+        const fromCondition = condition => {
+            if (condition.type === 'owns') ids.push(...condition.provinces);
+            if (condition.province !== undefined) ids.push(condition.province);
+            if (condition.type === 'not') fromCondition(condition.condition);
+        };
+        scenario.triggers.forEach(trigger => {
+            trigger.when.forEach(fromCondition);
+            trigger.then.forEach(effect => {
+                if (effect.province !== undefined) ids.push(effect.province);
+            });
+        });
+        scenario.objectives.forEach(objective => objective.when.forEach(fromCondition));
+        return ids;
+    }
+
+    // Engine.createGame options for a normalized scenario on its map (the
+    // definition, already fetched if the scenario names a bundled one).
+    // `carry` brings a campaign's results along: { campaign, stage,
+    // treasury, veterans } (see carryOver).
+    function gameOptions(scenario, mapDef, carry = null) {
+        const seats = scenario.nations.map(nation => ({
+            capital: nation.capital,
+            provinces: nation.provinces,
+            armies: nation.armies.slice()
+        }));
+        const nations = scenario.nations.map(nation => ({
+            name: nation.name,
+            color: nation.color,
+            control: nation.control,
+            ai: nation.ai,
+            treasury: nation.treasury
+        }));
+
+        if (carry) {
+            const heir = scenario.nations.findIndex(nation => nation.control === 'human');
+            if (heir >= 0) {
+                nations[heir].treasury += carry.treasury;
+                carry.veterans.forEach(size => seats[heir].armies.push({ province: seats[heir].capital, size }));
+            }
+        }
+
+        const map = Maps.normalize({ ...mapDef, start: seats });
+        provincesNamed(scenario).forEach(id => {
+            if (!Number.isInteger(id) || id < 0 || id >= map.provinces.length) {
+                throw new Error(`Scenario "${scenario.id}" names province ${JSON.stringify(id)}, which ${map.name} does not have`);
+            }
+        });
+
+        return {
+            map,
+            nations,
+            rules: scenario.rules,
+            seed: scenario.seed,
+            scenario,
+            campaign: carry ? { id: carry.campaign, stage: carry.stage } : null
+        };
+    }
+
+    // The scenario as the engine keeps it in `state.scenario`: its triggers
+    // with the tick each fired (null until then), its objectives with the
+    // tick each was revealed and done, and the campaign stage it is, if
+    // any. Also makes a fresh copy of a scenario in progress for a rematch.
+    function init(scenario, campaign = null) {
+        const copy = value => JSON.parse(JSON.stringify(value));
+        return {
+            id: scenario.id,
+            name: scenario.name,
+            description: scenario.description,
+            briefing: scenario.briefing,
+            triggers: scenario.triggers.map(trigger => ({
+                id: trigger.id,
+                when: copy(trigger.when),
+                then: copy(trigger.then),
+                fired: null
+            })),
+            objectives: scenario.objectives.map(objective => ({
+                id: objective.id,
+                nation: objective.nation,
+                text: objective.text,
+                when: copy(objective.when),
+                hidden: objective.hidden,
+                optional: objective.optional,
+                revealed: null,
+                done: null
+            })),
+            campaign: campaign ? { id: campaign.id, stage: campaign.stage } : null
+        };
+    }
+
+    // Whether every condition in the list holds
+    function holds(state, conditions) {
+        return conditions.every(condition => met(state, condition));
+    }
+
+    function within(value, condition) {
+        return (condition.atLeast === undefined || value >= condition.atLeast) &&
+            (condition.atMost === undefined || value <= condition.atMost);
+    }
+
+    function met(state, condition) {
+        const scenario = state.scenario;
+        switch (condition.type) {
+            case 'tick':
+                return within(state.tick, condition);
+            case 'owns':
+                return condition.provinces.every(p => state.provinces[p] === condition.nation);
+            case 'provinces':
+                return within(Indexes.provincesOf(state, condition.nation).length, condition);
+            case 'armies':
+                return within(Indexes.armiesOf(state, condition.nation).length, condition);
+            case 'troops':
+                return within(Stats.troops(state, condition.nation), condition);
+            case 'treasury':
+                return within(state.nations[condition.nation].treasury, condition);
+            case 'armies-in':
+                return Indexes.armiesAt(state, condition.province).some(a => a.owner === condition.nation);
+            case 'building':
+                return state.buildings[condition.province].includes(condition.building);
+            case 'relation':
+                return Diplomacy.status(state, condition.nation, condition.with) === condition.status;
+            case 'eliminated':
+                return state.nations[condition.nation].eliminated !== null;
+            case 'fired':
+                return scenario.triggers.some(t => t.id === condition.trigger && t.fired !== null);
+            case 'completed':
+                return scenario.objectives.some(o => o.id === condition.objective && o.done !== null);
+            case 'not':
+                return !met(state, condition.condition);
+        }
+        return false;
+    }
+
+    // Whether the players can see an objective yet
+    function shown(objective) {
+        return !objective.hidden || objective.revealed !== null;
+    }
+
+    // The nation whose required objectives are all done, or null
+    function achiever(state) {
+        const objectives = state.scenario.objectives;
+        const nation = state.nations.find(n => {
+            const required = objectives.filter(o => o.nation === n.id && !o.optional);
+            return required.length > 0 && required.every(o => o.done !== null);
+        });
+        return nation ? nation.id : null;
+    }
+
+    // Check a campaign definition and return a normalized copy
+    function normalizeCampaign(def) {
+        if (!def || typeof def.id !== 'string' || def.id === '') throw new Error('Campaign needs an id');
+        if (!Array.isArray(def.scenarios) || def.scenarios.length === 0) {
+            throw new Error(`Campaign "${def.id}" has no scenarios`);
+        }
+        def.scenarios.forEach(id => {
+            if (!BUNDLED.some(entry => entry.id === id)) throw new Error(`Campaign "${def.id}": unknown scenario "${id}"`);
+        });
+        const carry = def.carry || {};
+        const share = carry.treasury !== undefined ? carry.treasury : 0;
+        const veterans = carry.veterans !== undefined ? carry.veterans : 0;
+        if (!(share >= 0 && share <= 1)) throw new Error(`Campaign "${def.id}": treasury share must be between 0 and 1`);
+        if (!(Number.isInteger(veterans) && veterans >= 0)) throw new Error(`Campaign "${def.id}": veterans must be a whole number`);
+
+        return {
+            id: def.id,
+            name: def.name || def.id,
+            description: def.description || '',
+            scenarios: def.scenarios.slice(),
+            carry: { treasury: share, veterans }
+        };
+    }
+
+    // What the human nation of a finished campaign scenario takes into
+    // the next one: its share of gold and the sizes of its biggest armies
+    function carryOver(campaign, state, nation) {
+        const sizes = Indexes.armiesOf(state, nation).map(army => army.size).sort((a, b) => b - a);
+        return {
+            campaign: campaign.id,
+            stage: state.scenario.campaign.stage + 1,
+            treasury: Math.floor(Math.max(0, state.nations[nation].treasury) * campaign.carry.treasury),
+            veterans: sizes.slice(0, campaign.carry.veterans)
+        };
+    }
+
+    const Scenarios = {
+        BUNDLED,
+        CAMPAIGNS,
+        CONDITIONS,
+        EFFECTS,
+        normalize,
+        gameOptions,
+        init,
+        holds,
+        shown,
+        achiever,
+        normalizeCampaign,
+        carryOver
+    };
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = Scenarios;
+    } else {
+        global.Scenarios = Scenarios;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,164 @@
+// Sandboxed mod scripts
+//
+// A mod can carry a script (see rules.js) whose source returns an object of
+// hooks. The engine calls them around the tick phases:
+//
+//     return {
+//         onTickStart(game) {},                  // before movement
+//         onBattle(game, battle) {},             // after each battle event
+//         onProvinceCaptured(game, capture) {},  // after each capture
+//         onArmyBuilt(game, build) {},           // after each army is built
+//         onVictoryCheck(game) {}                // return a nation id to end the game
+//     };
+//
+// `game` is the only way to touch the match (the engine builds it, see
+// `scriptApi` in engine.js). `game.state` is a read-only view; changes go
+// through `game.issue(command)` and the few effects the API offers.
+// `Math.random` is replaced by the game's seeded generator and the browser
+// globals (window, document, fetch, timers, Date, ...) are hidden, so scripts
+// stay deterministic and replays keep working. Data that must survive between
+// ticks belongs in `game.memory`, which is saved with the game. Scripts are
+// compiled afresh for every game state, so variables kept outside the hooks
+// start over with each new game and each loaded save, rewind or replay.
+//
+// This keeps well-meaning scripts in their lane; it is not a security
+// boundary (a script can still loop forever or dig its way out), so only
+// load mods you trust. A hook that throws disables its script and the engine
+// reports a `script-error` event instead of stopping the game.
+(function (global) {
+    'use strict';
+
+    const HOOKS = ['onTickStart', 'onBattle', 'onProvinceCaptured', 'onArmyBuilt', 'onVictoryCheck'];
+
+    // Globals a script should not reach. They are shadowed by parameters of
+    // the same name, all left undefined.
+    const HIDDEN = [
+        'window', 'self', 'globalThis', 'global', 'document', 'navigator', 'location',
+        'fetch', 'XMLHttpRequest', 'WebSocket', 'Worker', 'importScripts',
+        'localStorage', 'sessionStorage', 'indexedDB',
+        'setTimeout', 'setInterval', 'clearTimeout', 'clearInterval', 'requestAnimationFrame',
+        'require', 'module', 'exports', 'process', 'Function', 'Date', 'Alpine',
+        'performance', 'crypto',
+        'Engine', 'Rules', 'Maps', 'Saves', 'Replay', 'Rng', 'Scripts', 'Diplomacy', 'Vision',
+        'Indexes', 'AI', 'Stats', 'Scenarios', 'Events', 'Lockstep',
+        'SaveStore', 'Preferences', 'CampaignStore', 'Net', 'Renderer'
+    ];
+
+    // Game state to its compiled scripts (source to hooks or the compile error)
+    const compiled = new WeakMap();
+
+    // The random source for the hook currently running
+    let activeRandom = null;
+
+    const sandboxMath = Object.freeze(Object.assign(
+        Object.create(null),
+        ...Object.getOwnPropertyNames(Math).map(key => ({ [key]: Math[key] })),
+        {
+            random() {
+                if (!activeRandom) throw new Error('Math.random is only available inside a hook');
+                return activeRandom();
+            }
+        }
+    ));
+
+    // Compile a script source. Returns { hooks } or { error }.
+    function compile(source) {
+        try {
+            const factory = new Function(...HIDDEN, 'Math', `'use strict';\n${source}`);
+            const hooks = factory(...HIDDEN.map(() => undefined), sandboxMath);
+            if (typeof hooks !== 'object' || hooks === null) {
+                throw new Error('Script must return an object of hooks');
+            }
+            Object.keys(hooks).forEach(name => {
+                if (!HOOKS.includes(name)) throw new Error(`Unknown hook "${name}"`);
+                if (typeof hooks[name] !== 'function') throw new Error(`Hook "${name}" is not a function`);
+            });
+            return { hooks: Object.freeze({ ...hooks }) };
+        } catch (e) {
+            return { error: e.message };
+        }
+    }
+
+    // The compiled script for `source` in this game, so hooks never share
+    // closures with another game or an earlier copy of this one
+    function hooksFor(state, source) {
+        let scripts = compiled.get(state);
+        if (!scripts) {
+            scripts = new Map();
+            compiled.set(state, scripts);
+        }
+        if (!scripts.has(source)) scripts.set(source, compile(source));
+        return scripts.get(source);
+    }
+
+    // A view of `target` that can be read but not changed
+    function readOnly(target, cache = new WeakMap()) {
+        if (typeof target !== 'object' || target === null) return target;
+        if (cache.has(target)) return cache.get(target);
+
+        const refuse = () => {
+            throw new TypeError('Scripts cannot change the game state directly; use game.issue()');
+        };
+        const view = new Proxy(target, {
+            get: (obj, key) => readOnly(Reflect.get(obj, key), cache),
+            set: refuse,
+            deleteProperty: refuse,
+            defineProperty: refuse,
+            setPrototypeOf: refuse
+        });
+        cache.set(target, view);
+        return view;
+    }
+
+    // Disable a script and report why
+    function fail(state, script, hook, message, events) {
+        script.disabled = true;
+        script.error = `${hook}: ${message}`;
+        events.push({ type: 'script-error', tick: state.tick, script: script.id, hook, message });
+    }
+
+    // Call `hook` on every enabled script that defines it. `makeApi(script)`
+    // builds the `game` object for that script. Returns the hooks' return
+    // values (one per script that ran successfully).
+    function run(state, hook, makeApi, args, events) {
+        const results = [];
+
+        (state.scripts || []).forEach(script => {
+            if (script.disabled) return;
+
+            const { hooks, error } = hooksFor(state, script.source);
+            if (error) {
+                fail(state, script, 'compile', error, events);
+                return;
+            }
+            if (!hooks[hook]) return;
+
+            const frozenArgs = args.map(arg => Object.freeze(JSON.parse(JSON.stringify(arg))));
+            try {
+                const api = makeApi(script);
+                activeRandom = api.random;
+                results.push({ script: script.id, value: hooks[hook](api, ...frozenArgs) });
+            } catch (e) {
+                fail(state, script, hook, e && e.message ? e.message : String(e), events);
+            } finally {
+                activeRandom = null;
+            }
+        });
+
+        return results;
+    }
+
+    const Scripts = {
+        HOOKS,
+        compile,
+        readOnly,
+        run,
+        fail
+    };
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = Scripts;
+    } else {
+        global.Scripts = Scripts;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
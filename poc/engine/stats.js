@@ -0,0 +1,108 @@
+// Game statistics
+//
+// How every nation is doing is noted down in `state.stats` when the game
+// starts, every EVERY ticks and on the tick it ends, for the graphs on the
+// game-over screen:
+//
+//     {
+//         ticks: [0, 5, 10, ...],          // when each sample was taken
+//         nations: [{                      // one per nation, by id
+//             provinces: [...], treasury: [...], troops: [...],
+//             battlesWon: [...], score: [...]
+//         }],
+//         battlesWon: [3, 0, 1]            // running count per nation
+//     }
+//
+// Troops include those aboard fleets. A nation's score weighs its land by
+// development (a province of development 10 counts 1), its troops by
+// armies (army.size men count 1) and its gold by the armies it could buy
+// (army.cost counts 1); the highest score wins when a game runs out of
+// ticks (victory.tickLimit in rules.js).
+(function (global) {
+    'use strict';
+
+    const isNode = typeof module === 'object' && module.exports;
+    const Indexes = isNode ? require('./indexes.js') : global.Indexes;
+
+    const EVERY = 5;
+
+    // What is sampled, in the order the game-over screen offers it
+    const METRICS = [
+        { id: 'provinces', label: 'Provinces' },
+        { id: 'treasury', label: 'Treasury' },
+        { id: 'troops', label: 'Troops' },
+        { id: 'battlesWon', label: 'Battles won' },
+        { id: 'score', label: 'Score' }
+    ];
+
+    // Start the record with the game as it stands
+    function init(state) {
+        state.stats = {
+            ticks: [],
+            nations: state.nations.map(() => {
+                const series = {};
+                METRICS.forEach(metric => {
+                    series[metric.id] = [];
+                });
+                return series;
+            }),
+            battlesWon: state.nations.map(() => 0)
+        };
+        sample(state);
+        return state;
+    }
+
+    function troops(state, nation) {
+        return Indexes.armiesOf(state, nation).reduce((sum, a) => sum + a.size, 0) +
+            state.fleets.filter(f => f.owner === nation)
+                .reduce((sum, f) => sum + f.cargo.reduce((cargo, a) => cargo + a.size, 0), 0);
+    }
+
+    function score(state, nation) {
+        const army = state.rules.army;
+        const land = Indexes.provincesOf(state, nation).reduce((sum, p) => sum + state.development[p] / 10, 0);
+        const gold = army.cost > 0 ? state.nations[nation].treasury / army.cost : 0;
+        return land + troops(state, nation) / army.size + gold;
+    }
+
+    function sample(state) {
+        const stats = state.stats;
+        stats.ticks.push(state.tick);
+        state.nations.forEach(nation => {
+            const series = stats.nations[nation.id];
+            series.provinces.push(Indexes.provincesOf(state, nation.id).length);
+            series.treasury.push(Math.floor(nation.treasury));
+            series.troops.push(troops(state, nation.id));
+            series.battlesWon.push(stats.battlesWon[nation.id]);
+            series.score.push(Math.round(score(state, nation.id) * 10) / 10);
+        });
+    }
+
+    // Count this tick's battles and take a sample if one is due
+    function record(state, events) {
+        const stats = state.stats;
+        events.forEach(event => {
+            if (event.type !== 'battle') return;
+            event.report.sides.forEach(side => {
+                if (side.outcome === 'won') stats.battlesWon[side.nation]++;
+            });
+        });
+        const last = stats.ticks[stats.ticks.length - 1];
+        if (last !== state.tick && (state.tick % EVERY === 0 || state.gameOver)) sample(state);
+    }
+
+    const Stats = {
+        EVERY,
+        METRICS,
+        init,
+        record,
+        troops,
+        score
+    };
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = Stats;
+    } else {
+        global.Stats = Stats;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,155 @@
+// Fog of war
+//
+// A nation sees the provinces it or its allies hold or have armies in, the
+// coasts of sea zones their fleets are in, and everything within
+// `vision.range` steps of those. At sea it sees the zones its fleets are in
+// and those off any coast it can see; ships elsewhere go unseen and leave
+// no trace. What it last saw of every
+// other province is kept in `state.intel[nation][province]`:
+//
+//     { tick, owner, troops, armyOwner }   (null: never seen)
+//
+// `troops` counts the armies there of everyone but the nation and its
+// allies, and `armyOwner` is whose army of those was in front (the first
+// one listed), which is all the board shows of a stack.
+// `view(state, nation)` is the game as one nation knows it, and both the
+// board and the AI play from it, so nobody knows more than a human at the
+// controls would. Setting `vision.fog` to 0 shows everyone everything.
+(function (global) {
+    'use strict';
+
+    const isNode = typeof module === 'object' && module.exports;
+    const Diplomacy = isNode ? require('./diplomacy.js') : global.Diplomacy;
+
+    function fogged(state) {
+        return state.rules.vision.fog > 0;
+    }
+
+    // Start every nation off with what it can see from its starting land
+    function init(state) {
+        state.intel = state.nations.map(() => state.provinces.map(() => null));
+        observe(state);
+        return state;
+    }
+
+    // Which provinces a nation can see right now (an array of booleans)
+    function visible(state, nation) {
+        const count = state.provinces.length;
+        if (!fogged(state)) return new Array(count).fill(true);
+
+        const friends = friendsOf(state, nation);
+        const seen = new Array(count).fill(false);
+        let frontier = [];
+        const see = p => {
+            if (seen[p]) return;
+            seen[p] = true;
+            frontier.push(p);
+        };
+        state.provinces.forEach((owner, p) => {
+            if (friends.has(owner)) see(p);
+        });
+        state.armies.forEach(army => {
+            if (friends.has(army.owner)) see(army.location);
+        });
+        state.fleets.forEach(fleet => {
+            if (friends.has(fleet.owner)) state.map.seas[fleet.location].coasts.forEach(see);
+        });
+
+        for (let step = 0; step < state.rules.vision.range; step++) {
+            const from = frontier;
+            frontier = [];
+            from.forEach(p => state.map.provinces[p].neighbors.forEach(see));
+        }
+        return seen;
+    }
+
+    // Which sea zones a nation can see, given the provinces it sees
+    function visibleSeas(state, nation, seen = visible(state, nation)) {
+        if (!fogged(state)) return state.map.seas.map(() => true);
+        const friends = friendsOf(state, nation);
+        return state.map.seas.map(sea =>
+            sea.coasts.some(p => seen[p]) ||
+            state.fleets.some(f => f.location === sea.id && friends.has(f.owner)));
+    }
+
+    function friendsOf(state, nation) {
+        return new Set([nation, ...Diplomacy.allies(state, nation)]);
+    }
+
+    // Record what every nation sees this tick
+    function observe(state) {
+        state.nations.forEach(nation => {
+            const friends = friendsOf(state, nation.id);
+            const troops = new Array(state.provinces.length).fill(0);
+            const front = new Array(state.provinces.length).fill(null);
+            state.armies.forEach(army => {
+                if (friends.has(army.owner)) return;
+                troops[army.location] += army.size;
+                if (front[army.location] === null) front[army.location] = army.owner;
+            });
+
+            const intel = state.intel[nation.id];
+            visible(state, nation.id).forEach((seen, p) => {
+                if (!seen) return;
+                intel[p] = { tick: state.tick, owner: state.provinces[p], troops: troops[p], armyOwner: front[p] };
+            });
+        });
+    }
+
+    // The state as `nation` knows it: armies and battles only where it can
+    // see, provinces it can't see as it last saw them (unexplored ones
+    // unowned), and in place of armies it can't see, a stand-in for the
+    // troops it last saw there. A stand-in has a negative id and
+    // `ghost: true`, with `seen` the tick it was seen. Fleets show only in
+    // sea zones in sight. `visible` and `visibleSeas` say what is in sight.
+    // Only the armies, fleets, provinces and battles differ from the real
+    // state; everything else is shared with it, not copied.
+    function view(state, nation) {
+        const seen = visible(state, nation);
+        const seas = visibleSeas(state, nation, seen);
+        if (!fogged(state)) return { ...state, visible: seen, visibleSeas: seas };
+
+        const intel = state.intel[nation];
+        const provinces = state.provinces.map((owner, p) => {
+            if (seen[p]) return owner;
+            return intel[p] ? intel[p].owner : null;
+        });
+        const armies = state.armies.filter(a => a.owner === nation || seen[a.location]);
+        intel.forEach((known, p) => {
+            if (seen[p] || !known || known.troops === 0) return;
+            armies.push({
+                id: -(p + 1),
+                owner: known.armyOwner,
+                size: known.troops,
+                full: known.troops,
+                location: p,
+                moving: false,
+                destination: null,
+                movementProgress: 0,
+                route: [],
+                crossing: false,
+                morale: 1,
+                conquestProgress: 0,
+                ghost: true,
+                seen: known.tick
+            });
+        });
+        const battles = state.battles.filter(b => seen[b.province]);
+        const fleets = state.fleets.filter(f => f.owner === nation || seas[f.location]);
+        return { ...state, provinces, armies, fleets, battles, visible: seen, visibleSeas: seas };
+    }
+
+    const Vision = {
+        init,
+        visible,
+        visibleSeas,
+        observe,
+        view
+    };
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = Vision;
+    } else {
+        global.Vision = Vision;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -1,222 +1,999 @@
 document.addEventListener('alpine:init', () => {
     Alpine.data('game', () => ({
-        // Game state
-        provinces: Array(49).fill(null),
-        armies: [],
-        nations: [
-            { id: 0, name: "Blue Empire", color: "#4169E1", treasury: 200, isPlayer: true, isAI: false },
-            { id: 1, name: "Red Kingdom", color: "#DC143C", treasury: 200, isPlayer: false, isAI: true },
-            { id: 2, name: "Green Republic", color: "#228B22", treasury: 200, isPlayer: false, isAI: true }
-        ],
-        tick: 0,
+        // Game state (owned by the engine, see engine/engine.js)
+        state: Engine.createGame(),
+        mapChoice: 'classic-7x7',
+        bundledMaps: Maps.BUNDLED,
+
+        // Scenario setup screen
+        setupOpen: false,
+        setupMap: null,
+        setupSeats: [],
+        setupSeed: '',
+        ruleFields: Rules.FIELDS,
+        aiDifficulties: AI.DIFFICULTIES,
+        aiPersonalities: AI.PERSONALITIES,
+        buildings: Engine.BUILDINGS,
+        setupMods: [],        // { id, name, priority, enabled, def } - bundled and imported mods
+        setupRuleEdits: {},   // rule path -> value typed into the rules editor
+        trustedScripts: [],   // script sources the player agreed to run this session
+
+        // Scenarios and campaigns (see engine/scenarios.js and storage.js)
+        scenarioEntries: [],  // { id, name, description, def } - bundled and imported scenarios
+        campaignEntries: [],  // { id, name, description, def, progress }
+        scenarioNote: null,   // the scenario's last word to the nations played here
+
         paused: false,
         speed: 1000,
-        selectedArmy: null,
+        resultsOpen: false,       // the game-over screen
+        statsMetric: 'provinces', // what its graph shows (see engine/stats.js)
+        statsMetrics: Stats.METRICS,
+        selectedArmy: null,       // province whose stack is selected
+        selectedArmyIds: [],      // the armies picked from that stack
         selectedProvince: null,
+        stackProvince: null,      // province shown in the stack panel
+        selectedFleet: null,      // id of our fleet taking orders
+        seaPanel: null,           // sea zone shown in the sea panel
+        splitting: null,          // army being split, and the troops to detach
+        splitSize: 0,
+        rallyFrom: null,          // our province whose rally point is being picked
+        diplomacyNation: null,    // nation picked in the nations list
+        peaceTerms: { give: [], take: [], gold: 0 },
         interval: null,
-        nextArmyId: 100,
-        winner: null,
-        gameOver: false,
-        
+        renderer: null,           // draws the board (see renderer.js)
+        tickStart: 0,             // when the last tick ran, for the board's animations
+
+        // What pauses the game and the keyboard shortcuts (see storage.js)
+        prefs: Preferences.load(),
+        pauseNotice: null,        // why the game last paused itself
+        rebinding: null,          // shortcut waiting for its new key
+        speeds: [1000, 500, 333], // ms per tick at 1x, 2x and 3x
+        hotkeyActions: [
+            { id: 'pause', label: 'Pause / resume' },
+            { id: 'slower', label: 'Slower' },
+            { id: 'faster', label: 'Faster' },
+            { id: 'build', label: 'Army in the picked province' },
+            { id: 'nextIdle', label: 'Next idle army' },
+            { id: 'previousIdle', label: 'Previous idle army' }
+        ],
+
+        // Saves (see storage.js and engine/saves.js)
+        saveName: '',
+        saveSlots: [],
+        autosaveEvery: 30, // ticks, 0 = off
+        autosaveError: null, // why the last autosave failed (autosave is then off)
+        rewind: Saves.createRewindBuffer(),
+        rewindRecent: [],
+        rewindCheckpoints: [],
+
+        // Command log and timeline (see engine/replay.js)
+        timeline: null,
+        timelineStart: 0,
+        timelineHead: 0,
+
+        // The game as the nation at the controls sees it (see
+        // engine/vision.js), kept up to date in init()
+        view: null,
+
+        // Hot-seat: the human nation currently at the controls, and the one
+        // waiting to take over while the game is covered up
+        activeNation: null,
+        handoff: null,
+
+        // What happens in the game (see engine/events.js): the bus the live
+        // game's events go out on, every event so far, and the latest of
+        // them as the notification feed shows them
+        bus: Events.createBus(),
+        gameLog: Events.createLog(),
+        feed: [],
+        eventCategories: Events.CATEGORIES,
+        feedCategories: ['battle', 'conquest', 'economy', 'diplomacy', 'game'],
+        feedNation: null,         // only entries about this nation
+
+        // Online play (see net.js, engine/lockstep.js and server/relay.js)
+        online: {
+            url: 'ws://localhost:8090',
+            room: 'lobby',
+            status: 'offline',   // offline | connecting | lobby | playing
+            peer: null,
+            peers: [],
+            assignments: {},     // peer id -> nation id
+            nation: null,
+            epoch: 0,
+            vote: { pause: false, speed: 1000 },
+            desync: null
+        },
+        net: null,
+        lockstep: null,
+
         // Computed properties
-        get income() {
-            return this.provinces.filter(p => p === 0).length * 2;
+        get map() {
+            return this.state.map;
+        },
+
+        // Province owners and armies as far as we know: out of sight,
+        // provinces are as last seen and armies are stand-ins (`ghost`)
+        get provinces() {
+            return (this.view || this.state).provinces;
+        },
+
+        get armies() {
+            return (this.view || this.state).armies;
+        },
+
+        // Fleets in sea zones we can see, and all of ours
+        get fleets() {
+            return (this.view || this.state).fleets;
+        },
+
+        // Battles raging where we can see
+        get battles() {
+            return (this.view || this.state).battles;
+        },
+
+        get nations() {
+            return this.state.nations;
+        },
+
+        // Battle log, newest first: our own battles and our allies', and
+        // ones fought where we can see
+        get battleReports() {
+            return this.state.battleReports
+                .filter(report => this.isVisible(report.province) ||
+                    report.sides.some(side => side.nation === this.playerId || this.relation(side.nation) === 'alliance'))
+                .reverse();
+        },
+
+        get tick() {
+            return this.state.tick;
+        },
+
+        get winner() {
+            return this.state.winner;
+        },
+
+        get gameOver() {
+            return this.state.gameOver;
+        },
+
+        get rules() {
+            return this.state.rules;
+        },
+
+        get victoryTarget() {
+            return Engine.getVictoryTarget(this.state);
+        },
+
+        // The ways this game can be won, as How to Play lists them
+        get victoryConditions() {
+            const victory = this.rules.victory;
+            const conditions = [];
+            if (victory.domination) {
+                conditions.push(`Hold ${this.victoryTarget} of ${this.map.provinces.length} provinces`);
+            }
+            if (victory.holdTicks > 0) {
+                const names = Engine.getKeyProvinces(this.state).map(p => this.map.provinces[p].name);
+                conditions.push(`Hold every key province (🎯 ${names.join(', ')}) for ${victory.holdTicks} ticks`);
+            }
+            if (victory.lastStanding) conditions.push('Be the last nation with provinces, armies or fleets');
+            if (victory.tickLimit > 0) conditions.push(`Have the highest score at tick ${victory.tickLimit}`);
+            if (this.state.scenario && this.state.scenario.objectives.some(o => !o.optional)) {
+                conditions.push('Complete every objective of the scenario');
+            }
+            return conditions;
+        },
+
+        isKeyProvince(provinceId) {
+            return this.rules.victory.holdTicks > 0 && Engine.getKeyProvinces(this.state).includes(provinceId);
+        },
+
+        // Who holds every key province and how long until that wins, or
+        // null. Like province counts, this is public.
+        get keyHold() {
+            const hold = this.state.keyHold;
+            if (!hold || this.gameOver) return null;
+            return { nation: hold.nation, left: Math.max(0, this.rules.victory.holdTicks - (this.tick - hold.since)) };
+        },
+
+        // The game-over screen's headline and how the game was decided
+        get resultTitle() {
+            if (!this.gameOver) return '';
+            if (this.winner === null) return 'Draw';
+            if (this.winner === this.playerId) return 'You won!';
+            return `${this.nations[this.winner].name} wins`;
         },
-        
+
+        get resultCause() {
+            const result = this.state.result;
+            if (!result) return '';
+            const at = `at tick ${result.tick}`;
+            switch (result.cause) {
+                case 'provinces':
+                    return `Held ${Engine.countProvinces(this.state, this.winner)} of ${this.map.provinces.length} provinces ${at}`;
+                case 'key-provinces':
+                    return `Held every key province for ${this.rules.victory.holdTicks} ticks, ${at}`;
+                case 'last-standing':
+                    return this.winner === null ? `Nobody was left standing ${at}` : `Last nation standing ${at}`;
+                case 'score':
+                    return this.winner === null ? `Tied for the highest score ${at}` : `Highest score ${at}`;
+                case 'script': {
+                    const script = this.state.scripts.find(s => s.id === result.script);
+                    return `Decided by ${script ? script.name : result.script} ${at}`;
+                }
+                case 'objectives':
+                    return `Completed every objective ${at}`;
+                case 'scenario':
+                    return `Decided by the scenario ${at}`;
+            }
+            return `Ended ${at}`;
+        },
+
+        // One row per nation with where it finished on every metric, best
+        // score first
+        get statsRows() {
+            const stats = this.state.stats;
+            return this.nations.map(nation => {
+                const series = stats.nations[nation.id];
+                const row = { nation, winner: nation.id === this.winner, eliminated: nation.eliminated };
+                this.statsMetrics.forEach(metric => {
+                    row[metric.id] = series[metric.id][series[metric.id].length - 1];
+                });
+                return row;
+            }).sort((a, b) => b.score - a.score || a.nation.id - b.nation.id);
+        },
+
+        // The chosen metric over time, one line per nation, as SVG points
+        // in a 100 x 50 box (the game-over screen stretches it)
+        get statsChart() {
+            const stats = this.state.stats;
+            const first = stats.ticks[0];
+            const span = Math.max(1, stats.ticks[stats.ticks.length - 1] - first);
+            const max = Math.max(1, ...stats.nations.map(series => Math.max(...series[this.statsMetric])));
+            const lines = this.nations.map(nation => ({
+                nation,
+                points: stats.nations[nation.id][this.statsMetric]
+                    .map((value, i) => `${((stats.ticks[i] - first) / span * 100).toFixed(2)},${(50 - value / max * 50).toFixed(2)}`)
+                    .join(' ')
+            }));
+            return { lines, max, from: first, to: first + span };
+        },
+
+        // The human nation whose orders the board shows: our seat online,
+        // the active hot-seat player, or null when only AIs are playing
+        get playerId() {
+            if (this.lockstep) {
+                const mine = this.nations[this.online.nation];
+                return mine && mine.isPlayer ? mine.id : null;
+            }
+            const humans = this.humanNations;
+            if (humans.some(n => n.id === this.activeNation)) return this.activeNation;
+            return humans.length > 0 ? humans[0].id : null;
+        },
+
+        get humanNations() {
+            return this.nations.filter(n => n.isPlayer);
+        },
+
+        // Several humans sharing this screen
+        get hotseat() {
+            return !this.lockstep && this.humanNations.length > 1;
+        },
+
+        // The lowest peer id in the room hosts: it starts games, resyncs
+        // and hands dropped nations to the AI
+        get isHost() {
+            return this.online.peer !== null && this.online.peer === Math.min(...this.online.peers);
+        },
+
+        get onlineVotes() {
+            return this.lockstep ? this.lockstep.outcome() : null;
+        },
+
+        // Online, only the host can restart, and only with a human seat for
+        // every player in the room
+        get canRematch() {
+            if (!this.lockstep) return true;
+            return this.isHost && this.humanNations.length >= this.online.peers.length;
+        },
+
+        // The scenario's objectives the nations played here can see (all
+        // of them for a spectator), theirs first
+        get objectives() {
+            const scenario = this.state.scenario;
+            if (!scenario) return [];
+            const ours = this.localNations;
+            return scenario.objectives
+                .filter(o => Scenarios.shown(o) && (ours.length === 0 || ours.includes(o.nation) || this.gameOver))
+                .sort((a, b) => (ours.includes(a.nation) ? 0 : 1) - (ours.includes(b.nation) ? 0 : 1));
+        },
+
+        // The campaign the finished game was a stage of, if it was won and
+        // a stage is left to play
+        get campaignNext() {
+            const stage = this.state.scenario && this.state.scenario.campaign;
+            if (!stage || !this.gameOver) return null;
+            const entry = this.campaignEntries.find(c => c.id === stage.id);
+            if (!entry || entry.progress.stage !== stage.stage + 1 || entry.progress.stage >= entry.def.scenarios.length) return null;
+            return entry;
+        },
+
+        // Our gold per tick item by item (see Engine.getBudget)
+        get budget() {
+            if (this.playerId === null) return { provinces: 0, markets: 0, capital: 0, blockade: 0, upkeep: 0, net: 0 };
+            return Engine.getBudget(this.state, this.playerId);
+        },
+
         get provinceCount() {
-            return this.provinces.filter(p => p === 0).length;
+            return this.playerId === null ? 0 : Engine.countProvinces(this.state, this.playerId);
         },
-        
+
         get gold() {
-            return this.nations[0].treasury;
+            return this.playerId === null ? 0 : Math.floor(this.nations[this.playerId].treasury);
+        },
+
+        // Our manpower pool, what it gains per tick and how much it can hold
+        get manpower() {
+            if (this.playerId === null) return { pool: 0, growth: 0, max: 0 };
+            return Engine.getManpower(this.state, this.playerId);
+        },
+
+        // Our recruits in training, in the order they will be ready: the
+        // first in each province's queue trains now, the others wait
+        get recruitmentQueue() {
+            if (this.playerId === null) return [];
+            const entries = [];
+            this.state.recruitment.forEach((queue, provinceId) => {
+                let ready = 0;
+                queue.forEach((recruits, index) => {
+                    if (recruits.nation !== this.playerId) return;
+                    ready += recruits.ticks;
+                    const what = recruits.kind === 'fleet' ? `${recruits.ships} ships` : `${recruits.size} troops`;
+                    entries.push({ key: `${provinceId}:${index}`, province: provinceId, index, what, ready, training: index === 0 });
+                });
+            });
+            return entries.sort((a, b) => a.ready - b.ready || a.province - b.province);
+        },
+
+        // Armies and fleets queued in one of our provinces (shown on its tile)
+        recruitsAt(provinceId) {
+            if (!this.isOwnProvince(provinceId)) return 0;
+            return this.state.recruitment[provinceId].length;
+        },
+
+        get inDebt() {
+            return this.playerId !== null && this.nations[this.playerId].treasury < 0;
+        },
+
+        // Our armies standing around without orders or a battle to fight,
+        // in id order
+        get idleArmies() {
+            if (this.playerId === null) return [];
+            return Indexes.armiesOf(this.state, this.playerId)
+                .filter(a => !a.moving && a.standing === null && !this.battleAt(a.location));
         },
-        
+
+        // The nations played from this screen: our seat online, every human
+        // in hot-seat
+        get localNations() {
+            if (this.lockstep) return this.playerId === null ? [] : [this.playerId];
+            return this.humanNations.map(n => n.id);
+        },
+
+        // Nations that will take part in the game being set up
+        get setupNationCount() {
+            return this.setupSeats.filter(s => s.control !== 'empty').length;
+        },
+
+        // Enabled mods layered by priority, with the editor's values on top.
+        // Returns { rules, scripts, error }; falls back to the defaults and
+        // no scripts when something doesn't validate or compile.
+        get setupRulesResult() {
+            const edits = {};
+            Object.entries(this.setupRuleEdits).forEach(([path, value]) => Rules.set(edits, path, value));
+            const custom = { mod: { id: 'rules-editor', name: 'Rules editor', priority: Number.MAX_SAFE_INTEGER }, rules: edits };
+
+            try {
+                const mods = this.setupMods.filter(m => m.enabled).map(m => m.def);
+                const { rules, scripts } = Rules.load([...mods, custom]);
+                scripts.forEach(script => {
+                    const { error } = Scripts.compile(script.source);
+                    if (error) throw new Error(`Mod "${script.id}": script error: ${error}`);
+                });
+                return { rules, scripts, error: null };
+            } catch (e) {
+                return { rules: Rules.defaults(), scripts: [], error: e.message };
+            }
+        },
+
+        get setupValid() {
+            if (this.online.status === 'lobby' || this.online.status === 'playing') {
+                if (!this.isHost) return false;
+                if (this.setupSeats.filter(s => s.control === 'human').length < this.online.peers.length) return false;
+            }
+            return this.setupMap !== null &&
+                this.setupRulesResult.error === null &&
+                this.setupNationCount >= Engine.MIN_NATIONS &&
+                this.setupNationCount <= Engine.MAX_NATIONS;
+        },
+
+        // Viewing an earlier tick of the timeline rather than the live game
+        get reviewing() {
+            return this.tick < this.timelineHead;
+        },
+
         // Initialize game
         init() {
             console.log('Initializing game...');
-            
-            // Set initial province ownership
-            this.provinces[0] = 0;  // Player (blue)
-            this.provinces[1] = 0;
-            this.provinces[5] = 0;
-            
-            this.provinces[9] = 1;  // AI Red
-            this.provinces[14] = 1;
-            
-            this.provinces[18] = 2; // AI Green
-            this.provinces[19] = 2;
-            
-            // Create initial armies
-            this.armies = [
-                { id: 1, owner: 0, size: 1000, location: 0, moving: false, destination: null, movementProgress: 0, morale: 1.0, conquestProgress: 0 },
-                { id: 2, owner: 1, size: 1000, location: 9, moving: false, destination: null, movementProgress: 0, morale: 1.0, conquestProgress: 0 },
-                { id: 3, owner: 2, size: 1000, location: 19, moving: false, destination: null, movementProgress: 0, morale: 1.0, conquestProgress: 0 }
-            ];
-            
+
+            this.refreshSaves();
+            this.resetTimeline(this.state);
+            this.recordRewind();
+
+            // Script errors go to the console for the mod's author; every
+            // other event only while debugging
+            this.bus.on('*', event => {
+                if (event.type === 'script-error') console.error(Events.describe(this.state, event));
+                else if (this.prefs.debug) console.log(Events.describe(this.state, event));
+            });
+            this.bus.on('scenario-message', event => {
+                const ours = this.localNations;
+                if (event.nation === null || ours.length === 0 || ours.includes(event.nation)) this.scenarioNote = event.text;
+            });
+
+            // Follow the state (and whoever is at the controls) with what
+            // they can see; a spectator sees everything
+            Alpine.effect(() => {
+                this.view = this.playerId === null
+                    ? { ...this.state, visible: this.state.provinces.map(() => true), visibleSeas: this.state.map.seas.map(() => true) }
+                    : Vision.view(this.state, this.playerId);
+            });
+
+            // Draw the board once it is on the page, and again whenever
+            // what it shows changes
+            this.$nextTick(() => {
+                const canvas = this.$refs.board;
+                this.renderer = Renderer.create(canvas, {
+                    scene: () => this.boardScene(),
+                    onClick: (hit, event) => this.clickBoard(hit, event),
+                    onHover: hit => {
+                        canvas.title = this.boardTitle(hit);
+                    }
+                });
+            });
+            Alpine.effect(() => {
+                [this.view, this.selectedArmy, this.selectedProvince, this.selectedFleet, this.seaPanel, this.paused, this.state.rallyPoints.join()];
+                if (this.renderer) this.renderer.invalidate();
+            });
+
             // Start game loop
             this.restartLoop();
-            
+
+            // Pick nations before the first match
+            this.openSetup();
+
             console.log('Game initialized!');
         },
-        
+
+        // Fetch a bundled map definition. Browsers refuse fetch() on file://
+        // pages, so the classic board falls back to the built-in copy.
+        async loadMap(mapId) {
+            const entry = Maps.BUNDLED.find(m => m.id === mapId);
+            if (!entry) throw new Error(`Unknown map "${mapId}"`);
+            try {
+                const response = await fetch(entry.file);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return await response.json();
+            } catch (e) {
+                if (mapId === 'classic-7x7') {
+                    console.warn(`Could not load ${entry.file}, using the built-in classic map`, e);
+                    return Maps.classic();
+                }
+                throw e;
+            }
+        },
+
+        // Fetch the bundled mods once (they are simply missing on file://)
+        async loadBundledMods() {
+            for (const entry of Rules.BUNDLED) {
+                if (this.setupMods.some(m => m.id === entry.id)) continue;
+                try {
+                    const response = await fetch(entry.file);
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    this.addMod(await response.json(), false);
+                } catch (e) {
+                    console.warn(`Could not load mod ${entry.file}`, e);
+                }
+            }
+        },
+
+        // Add a mod to the setup list (replacing one with the same id)
+        addMod(def, enabled) {
+            const mod = Rules.normalizeMod(def);
+            this.setupMods = this.setupMods.filter(m => m.id !== mod.id);
+            this.setupMods.push({ id: mod.id, name: mod.name, priority: mod.priority, scripted: mod.script !== null, enabled, def });
+        },
+
+        async importMod(event) {
+            const file = event.target.files[0];
+            if (!file) return;
+
+            try {
+                this.addMod(await SaveStore.upload(file), true);
+            } catch (e) {
+                console.error('Could not import mod', e);
+                alert(`Could not import mod: ${e.message}`);
+            }
+            event.target.value = '';
+        },
+
+        // Fetch the bundled scenarios and campaigns once, with each
+        // campaign's progress (they are simply missing on file://)
+        async loadScenarios() {
+            const fetchJSON = async file => {
+                const response = await fetch(file);
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            };
+            for (const entry of Scenarios.BUNDLED) {
+                if (this.scenarioEntries.some(s => s.id === entry.id)) continue;
+                try {
+                    this.addScenario(await fetchJSON(entry.file));
+                } catch (e) {
+                    console.warn(`Could not load scenario ${entry.file}`, e);
+                }
+            }
+            for (const entry of Scenarios.CAMPAIGNS) {
+                if (this.campaignEntries.some(c => c.id === entry.id)) continue;
+                try {
+                    const def = Scenarios.normalizeCampaign(await fetchJSON(entry.file));
+                    this.campaignEntries.push({ id: def.id, name: def.name, description: def.description, def, progress: CampaignStore.load(def.id) });
+                } catch (e) {
+                    console.warn(`Could not load campaign ${entry.file}`, e);
+                }
+            }
+        },
+
+        // Add a scenario to the setup list (replacing one with the same id)
+        addScenario(def) {
+            const scenario = Scenarios.normalize(def);
+            this.scenarioEntries = this.scenarioEntries.filter(s => s.id !== scenario.id);
+            this.scenarioEntries.push({ id: scenario.id, name: scenario.name, description: scenario.description, def: scenario });
+        },
+
+        async importScenario(event) {
+            const file = event.target.files[0];
+            if (!file) return;
+
+            try {
+                this.addScenario(await SaveStore.upload(file));
+            } catch (e) {
+                console.error('Could not import scenario', e);
+                alert(`Could not import scenario: ${e.message}`);
+            }
+            event.target.value = '';
+        },
+
+        // Start a scenario, on its map fetched if it names a bundled one.
+        // `carry` is what a campaign brings along (see Scenarios.carryOver).
+        async playScenario(scenario, carry = null) {
+            let options;
+            try {
+                const map = typeof scenario.map === 'string' ? await this.loadMap(scenario.map) : scenario.map;
+                options = Scenarios.gameOptions(scenario, map, carry);
+            } catch (e) {
+                console.error(`Could not set up scenario ${scenario.id}`, e);
+                alert(`Could not set up scenario: ${e.message}`);
+                return;
+            }
+            this.launch(options);
+        },
+
+        async playTutorial() {
+            if (!this.offlineOnly()) return;
+            await this.loadScenarios();
+            const entry = this.scenarioEntries.find(s => s.id === 'tutorial');
+            if (!entry) {
+                alert('Could not load the tutorial (it needs the game served over http)');
+                return;
+            }
+            this.playScenario(entry.def);
+        },
+
+        // Play the campaign's next stage, or its first again once it is over
+        async playCampaign(entry) {
+            if (entry.progress.stage >= entry.def.scenarios.length) this.restartCampaign(entry);
+            const stage = entry.progress.stage;
+            const scenario = this.scenarioEntries.find(s => s.id === entry.def.scenarios[stage]);
+            if (!scenario) {
+                alert(`Could not load scenario "${entry.def.scenarios[stage]}"`);
+                return;
+            }
+            const carry = entry.progress.carry || { campaign: entry.id, stage, treasury: 0, veterans: [] };
+            this.playScenario(scenario.def, carry);
+        },
+
+        // Where the player stands in a campaign, in words
+        campaignProgress(entry) {
+            const stages = entry.def.scenarios;
+            const stage = entry.progress.stage;
+            if (stage >= stages.length) return `Finished, all ${stages.length} scenarios won`;
+            const next = this.scenarioEntries.find(s => s.id === stages[stage]);
+            return `Scenario ${stage + 1} of ${stages.length}: ${next ? next.name : stages[stage]}`;
+        },
+
+        restartCampaign(entry) {
+            CampaignStore.clear(entry.id);
+            entry.progress = CampaignStore.fresh();
+        },
+
+        // Note down how a campaign stage ended. A win opens the next stage
+        // with what the player's nation carries over.
+        recordCampaign() {
+            const stage = this.state.scenario && this.state.scenario.campaign;
+            if (!stage) return;
+            const entry = this.campaignEntries.find(c => c.id === stage.id);
+            const player = this.nations.find(n => n.isPlayer);
+            if (!entry || !player) return;
+
+            const won = this.winner === player.id;
+            const progress = entry.progress;
+            progress.results[stage.stage] = { scenario: this.state.scenario.id, won, tick: this.tick };
+            if (won && progress.stage === stage.stage) {
+                progress.stage = stage.stage + 1;
+                progress.carry = Scenarios.carryOver(entry.def, this.state, player.id);
+            }
+            CampaignStore.save(entry.id, progress);
+        },
+
+        continueCampaign() {
+            const entry = this.campaignNext;
+            if (entry) this.playCampaign(entry);
+        },
+
+        // Rules editor: a blank field clears the edit (or means "map
+        // default" for rules that allow it)
+        editRule(field, text) {
+            const edits = { ...this.setupRuleEdits };
+            if (text.trim() === '') {
+                if (field.nullable) {
+                    edits[field.path] = null;
+                } else {
+                    delete edits[field.path];
+                }
+            } else {
+                edits[field.path] = Number(text);
+            }
+            this.setupRuleEdits = edits;
+        },
+
+        ruleValue(field) {
+            const value = Rules.get(this.setupRulesResult.rules, field.path);
+            return value === null ? '' : value;
+        },
+
+        isRuleEdited(field) {
+            return field.path in this.setupRuleEdits;
+        },
+
+        resetRules() {
+            this.setupRuleEdits = {};
+        },
+
+        // Download the current setup rules as a mod file
+        exportRules() {
+            SaveStore.downloadJSON({
+                mod: { id: 'custom-rules', name: 'Custom rules', version: '1.0.0', priority: 100 },
+                rules: Rules.diff(this.setupRulesResult.rules)
+            }, 'custom-rules.json');
+        },
+
         // Get province owner
         getOwner(provinceId) {
             return this.provinces[provinceId];
         },
-        
+
+        // Fog of war: whether we can see a province right now, and whether
+        // we have ever seen it
+        isVisible(provinceId) {
+            return this.view === null || this.view.visible[provinceId];
+        },
+
+        isExplored(provinceId) {
+            return this.isVisible(provinceId) || this.state.intel[this.playerId][provinceId] !== null;
+        },
+
+        // "Last seen at tick N" for a province out of sight, '' otherwise
+        lastSeen(provinceId) {
+            if (this.isVisible(provinceId)) return '';
+            const known = this.playerId === null ? null : this.state.intel[this.playerId][provinceId];
+            return known ? `Last seen at tick ${known.tick}` : 'Unexplored';
+        },
+
+        isOwnProvince(provinceId) {
+            return this.playerId !== null && this.provinces[provinceId] === this.playerId;
+        },
+
+        nationColor(nationId) {
+            return nationId === null ? null : this.nations[nationId].color;
+        },
+
+        // "Human", or the AI profile playing the nation, e.g. "AI (Hard, Turtle)"
+        controlLabel(nation) {
+            if (nation.isPlayer) return 'Human';
+            const ai = nation.ai || AI.DEFAULT_PROFILE;
+            const difficulty = AI.DIFFICULTIES[ai.difficulty];
+            const personality = AI.PERSONALITIES[ai.personality];
+            if (ai.strategy) return `AI (${ai.strategy})`;
+            return `AI (${difficulty ? difficulty.label : ai.difficulty}, ${personality ? personality.label : ai.personality})`;
+        },
+
         // Get neighbors of a province
         getNeighbors(provinceId) {
-            const x = provinceId % 7;
-            const y = Math.floor(provinceId / 7);
-            const neighbors = [];
-            
-            // Left
-            if (x > 0) neighbors.push(provinceId - 1);
-            // Right
-            if (x < 6) neighbors.push(provinceId + 1);
-            // Up
-            if (y > 0) neighbors.push(provinceId - 7);
-            // Down
-            if (y < 6) neighbors.push(provinceId + 7);
-            
-            return neighbors;
-        },
-        
-        // Check if province has any army
-        hasArmy(provinceId) {
-            return this.armies.some(a => a.location === provinceId);
-        },
-        
-        // Get total army size at province
-        getArmySize(provinceId) {
-            const armies = this.armies.filter(a => a.location === provinceId);
-            return armies.reduce((sum, a) => sum + a.size, 0);
-        },
-        
-        // Get army owner at province
-        getArmyOwner(provinceId) {
-            const army = this.armies.find(a => a.location === provinceId);
-            return army ? army.owner : null;
-        },
-        
-        // Get army morale at province (for visual styling)
-        getArmyMorale(provinceId) {
-            const armiesHere = this.armies.filter(a => a.location === provinceId);
-            if (armiesHere.length === 0) return 1.0;
-            
-            // Return average morale of all armies at this province
-            const totalMorale = armiesHere.reduce((sum, a) => sum + a.morale, 0);
-            return totalMorale / armiesHere.length;
-        },
-        
-        // Get morale class for styling
-        getMoraleClass(provinceId) {
-            const morale = this.getArmyMorale(provinceId);
-            if (morale >= 1.1) return 'high-morale';
-            if (morale <= 0.6) return 'low-morale';
-            return 'normal-morale';
-        },
-        
-        // Check if selected army is at province
-        hasSelectedArmy(provinceId) {
-            return this.selectedArmy === provinceId;
-        },
-        
-        // Get all player armies at a province
+            return Engine.getNeighbors(this.state, provinceId);
+        },
+
+        // Get all player armies at a province, including ones setting off
+        // from it (they can still be redirected or halted)
         getPlayerArmiesAt(provinceId) {
-            return this.armies.filter(a => 
-                a.location === provinceId && 
-                a.owner === 0 && 
-                !a.moving
-            );
-        },
-        
-        // Check if can move to province
+            if (this.playerId === null) return [];
+            return Indexes.armiesAt(this.view || this.state, provinceId).filter(a => a.owner === this.playerId);
+        },
+
+        // Provinces the selected armies can reach (selectedArmy is the
+        // province they stand in)
+        get reachable() {
+            if (this.selectedArmy === null) return new Set();
+            return Engine.findReachable(Alpine.raw(this.state), this.selectedArmy, this.playerId);
+        },
+
+        // Check if the selected armies can reach a province
         canMoveTo(provinceId) {
-            if (this.selectedArmy === null) return false;
-            // selectedArmy now represents the province ID where armies are located
-            const sourceProvince = this.selectedArmy;
-            return this.getNeighbors(sourceProvince).includes(provinceId);
-        },
-        
-        // Get movement arrow direction and visibility
-        getMovementArrow(provinceId) {
-            const movingArmies = this.armies.filter(a => 
-                a.location === provinceId && a.moving && a.destination !== null
-            );
-            
-            if (movingArmies.length === 0) return false;
-            
-            // Get the destination of the first moving army
-            const destination = movingArmies[0].destination;
-            const sourceX = provinceId % 7;
-            const sourceY = Math.floor(provinceId / 7);
-            const destX = destination % 7;
-            const destY = Math.floor(destination / 7);
-            
-            // Determine direction
-            if (destX > sourceX) return 'arrow-right';
-            if (destX < sourceX) return 'arrow-left';
-            if (destY > sourceY) return 'arrow-down';
-            if (destY < sourceY) return 'arrow-up';
-            
-            return false;
+            return this.reachable.has(provinceId);
         },
-        
-        // Get movement progress display
-        getMovementProgress(provinceId) {
-            const movingArmies = this.armies.filter(a => 
-                a.location === provinceId && a.moving && a.destination !== null
-            );
-            
-            if (movingArmies.length === 0) return '';
-            
-            return movingArmies[0].movementProgress;
-        },
-        
-        // Check if army is conquering this province
+
+        // Check if a province is being conquered or besieged
         isConquering(provinceId) {
-            const armiesHere = this.armies.filter(a => a.location === provinceId && !a.moving);
-            
-            if (armiesHere.length === 1) {
-                const army = armiesHere[0];
-                const isConquering = this.provinces[provinceId] !== army.owner && army.conquestProgress > 0;
-                if (isConquering) {
-                    console.log(`Province ${provinceId} being conquered by army ${army.id}: progress ${army.conquestProgress}, province owner: ${this.provinces[provinceId]}, army owner: ${army.owner}`);
-                }
-                return isConquering;
-            }
-            return false;
+            return this.conquestStatus(provinceId) !== null;
         },
-        
-        // Get conquest progress for display
+
         getConquestProgress(provinceId) {
-            const armiesHere = this.armies.filter(a => a.location === provinceId && !a.moving);
-            
-            if (armiesHere.length === 1) {
-                const army = armiesHere[0];
-                if (this.provinces[provinceId] !== army.owner && army.conquestProgress > 0) {
-                    return `${army.conquestProgress}/2`;
-                }
+            const status = this.conquestStatus(provinceId);
+            return status ? status.label : '';
+        },
+
+        // Conquest or siege status for display, as { progress, label }
+        // (progress 0..1) or null: ticks held out of those needed for open
+        // land, the garrison worn down and the ticks left for a fortified
+        // province
+        conquestStatus(provinceId) {
+            if (!this.isVisible(provinceId)) return null;
+            const siege = Engine.getSiege(this.state, provinceId);
+            if (siege) {
+                return {
+                    progress: siege.progress,
+                    label: `${Math.round(siege.progress * 100)}%` + (siege.eta !== null ? ` ~${siege.eta}` : '')
+                };
+            }
+
+            const army = Indexes.armiesAt(this.view || this.state, provinceId).find(a => !a.moving && a.conquestProgress > 0 &&
+                this.provinces[provinceId] !== a.owner);
+            if (!army) return null;
+            const ticks = Engine.getConquestTicks(this.state, provinceId);
+            return { progress: army.conquestProgress / ticks, label: `${army.conquestProgress}/${ticks}` };
+        },
+
+        // Everything the board draws (see renderer.js), read from the state
+        // as it is rather than through Alpine's reactive wrappers, since it
+        // is asked for on every frame drawn
+        boardScene() {
+            const state = Alpine.raw(this.state);
+            const view = Alpine.raw(this.view) || state;
+            const playerId = this.playerId;
+            const reachable = this.reachable;
+            const picked = this.selectedArmy;
+            const fleet = this.fleet;
+
+            // The hop each of our moving armies is on, then the hops queued
+            const routes = new Map();
+            view.armies.forEach(army => {
+                if (playerId === null || army.owner !== playerId || !army.moving) return;
+                const add = (from, to, kind) => routes.set(`${from}-${to}-${kind}`, { from, to, kind });
+                add(army.location, army.destination, 'current');
+                let from = army.destination;
+                army.route.forEach(to => {
+                    add(from, to, 'queued');
+                    from = to;
+                });
+            });
+            if (playerId !== null) {
+                state.rallyPoints.forEach((to, from) => {
+                    if (to !== null && state.provinces[from] === playerId) routes.set(`${from}-${to}-rally`, { from, to, kind: 'rally' });
+                });
             }
-            return '';
+
+            const running = !this.paused && !this.gameOver && !this.reviewing && !this.setupOpen && this.handoff === null;
+            return {
+                map: state.map,
+                playerId,
+                owners: view.provinces,
+                colors: state.nations.map(n => n.color),
+                visible: view.visible,
+                explored: playerId === null ? view.visible : view.visible.map((seen, p) => seen || state.intel[playerId][p] !== null),
+                visibleSeas: view.visibleSeas,
+                armies: view.armies,
+                fleets: view.fleets,
+                battles: new Set(view.battles.map(b => b.province)),
+                selected: picked,
+                building: this.selectedProvince,
+                reachable,
+                nextHops: new Set(picked === null ? [] : state.map.provinces[picked].neighbors.filter(p => reachable.has(p))),
+                seaSelected: new Set([this.seaPanel, fleet && fleet.location].filter(id => id !== null)),
+                seaTargets: new Set(state.map.seas.map(sea => sea.id).filter(id => this.canSailTo(id))),
+                routes: [...routes.values()],
+                hopTicks: army => Engine.moveCost(state, army.location, army.destination),
+                conquest: p => this.conquestStatus(p),
+                details: p => this.provinceDetails(p),
+                tickStart: this.tickStart,
+                tickLength: running ? this.speed : 0
+            };
+        },
+
+        // Terrain, capital, fort, development, recruits in training,
+        // blockade and buildings, as the board shows them under the name
+        provinceDetails(provinceId) {
+            return [
+                this.terrainIcon(this.map.provinces[provinceId].terrain),
+                this.capitalOf(provinceId) !== null ? '👑' : '',
+                this.isKeyProvince(provinceId) ? '🎯' : '',
+                this.state.forts[provinceId] > 0 ? '🏰' + this.state.forts[provinceId] : '',
+                this.state.development[provinceId],
+                this.recruitsAt(provinceId) > 0 ? '⏳' + this.recruitsAt(provinceId) : '',
+                this.isBlockaded(provinceId) ? '⚓' : '',
+                ...this.state.buildings[provinceId].map(b => this.buildingIcon(b))
+            ].filter(part => part !== '').join(' ');
+        },
+
+        // Tooltip for what the pointer is over on the board
+        boardTitle(hit) {
+            if (hit === null) return '';
+            if (hit.kind === 'sea') return `${this.map.seas[hit.id].name} (sea zone #${hit.id})`;
+            const province = this.map.provinces[hit.id];
+            const seen = this.lastSeen(hit.id);
+            return `${province.name} (#${province.id}, ${province.terrain})` + (seen ? ` - ${seen}` : '');
+        },
+
+        clickBoard(hit, event) {
+            if (hit.kind === 'sea') this.clickSea(hit.id);
+            else this.clickProvince(hit.id, event);
+        },
+
+        isSeaVisible(seaId) {
+            return !this.view || !this.view.visibleSeas || this.view.visibleSeas[seaId];
         },
-        
-        // Click on province
-        clickProvince(provinceId) {
+
+        // Fleets in a sea zone, ours first
+        fleetsIn(seaId) {
+            return this.fleets
+                .filter(f => f.location === seaId)
+                .sort((a, b) => (a.owner === this.playerId ? 0 : 1) - (b.owner === this.playerId ? 0 : 1) || a.id - b.id);
+        },
+
+        // Our fleet taking orders, while it is still afloat
+        get fleet() {
+            if (this.selectedFleet === null) return null;
+            return this.fleets.find(f => f.id === this.selectedFleet && f.owner === this.playerId) || null;
+        },
+
+        cargoTroops(fleet) {
+            return Engine.cargoTroops(fleet);
+        },
+
+        fleetCapacity(fleet) {
+            return Engine.getFleetCapacity(this.state, fleet);
+        },
+
+        canSailTo(seaId) {
+            return this.fleet !== null && (seaId !== this.fleet.location || this.fleet.moving);
+        },
+
+        // Click on a sea zone: with one of our fleets picked, send it there;
+        // otherwise pick our first fleet in the zone
+        clickSea(seaId) {
+            if (this.canSailTo(seaId)) {
+                this.issue({ type: 'sail', nation: this.playerId, fleet: this.fleet.id, to: seaId });
+                return;
+            }
+            this.seaPanel = seaId;
+            this.stackProvince = null;
+            this.selectedArmy = null;
+            this.selectedProvince = null;
+            const ours = this.fleetsIn(seaId).find(f => f.owner === this.playerId);
+            this.selectedFleet = ours ? ours.id : null;
+        },
+
+        selectFleet(fleet) {
+            if (fleet.owner !== this.playerId) return;
+            this.selectedFleet = this.selectedFleet === fleet.id ? null : fleet.id;
+        },
+
+        // What a fleet is doing, for the sea panel
+        fleetOrders(fleet) {
+            const name = id => this.map.seas[id].name;
+            if (this.fleetsIn(fleet.location).some(f => Diplomacy.atWar(this.state, f.owner, fleet.owner))) return 'In battle';
+            if (fleet.moving) {
+                const end = fleet.route.length > 0 ? fleet.route[fleet.route.length - 1] : fleet.destination;
+                return `To ${name(end)} in ${fleet.movementProgress}` + (fleet.route.length > 0 ? `, ${fleet.route.length} more` : '');
+            }
+            return 'At anchor';
+        },
+
+        // Coasts of our picked fleet's zone with idle armies of ours that
+        // can go aboard, and coasts where those aboard can land
+        get embarkOptions() {
+            const fleet = this.fleet;
+            if (fleet === null || fleet.moving) return [];
+            const room = this.fleetCapacity(fleet) - this.cargoTroops(fleet);
+            return this.map.seas[fleet.location].coasts
+                .map(p => {
+                    const armies = this.getPlayerArmiesAt(p).filter(a => !a.moving && a.size <= room);
+                    return { province: p, armyIds: armies.map(a => a.id), troops: armies.reduce((sum, a) => sum + a.size, 0) };
+                })
+                .filter(option => option.armyIds.length > 0);
+        },
+
+        get landingOptions() {
+            const fleet = this.fleet;
+            if (fleet === null || fleet.moving || fleet.cargo.length === 0) return [];
+            return this.map.seas[fleet.location].coasts.filter(p => Diplomacy.canEnter(this.state, this.playerId, p));
+        },
+
+        embarkFrom(option) {
+            this.issue({ type: 'embark', nation: this.playerId, fleet: this.fleet.id, armyIds: option.armyIds });
+        },
+
+        landAt(provinceId) {
+            this.issue({ type: 'disembark', nation: this.playerId, fleet: this.fleet.id, to: provinceId });
+        },
+
+        // Click on province. With armies selected, clicking a province they
+        // can reach sends them there (clicking our own armies selects those
+        // instead); shift-click queues it after their current route.
+        clickProvince(provinceId, event) {
             console.log(`Clicked province ${provinceId}`);
-            
+
+            if (this.rallyFrom !== null) {
+                this.setRally(this.rallyFrom, provinceId);
+                return;
+            }
+
             // Find all player armies at this province
             const playerArmies = this.getPlayerArmiesAt(provinceId);
-            
+
+            if (this.canMoveTo(provinceId)) {
+                if (event && event.shiftKey) {
+                    this.moveSelectedArmy(provinceId, true);
+                    return;
+                }
+                if (playerArmies.length === 0) {
+                    this.moveSelectedArmy(provinceId);
+                    return;
+                }
+            }
+
+            this.stackProvince = provinceId;
+            this.splitting = null;
+            this.selectedFleet = null;
+            this.seaPanel = null;
+
             if (playerArmies.length > 0) {
                 // Select all armies at this location for movement
                 this.selectedArmy = provinceId; // Use provinceId to represent all armies there
+                this.selectedArmyIds = playerArmies.map(a => a.id);
                 this.selectedProvince = null; // Clear province selection
                 console.log(`Selected ${playerArmies.length} armies at province ${provinceId}`);
             } else {
                 // Select province for building (only if player owns it)
-                if (this.provinces[provinceId] === 0) {
+                if (this.isOwnProvince(provinceId)) {
                     this.selectedProvince = provinceId;
                     this.selectedArmy = null; // Clear army selection
                     console.log(`Selected province ${provinceId} for building`);
@@ -228,393 +1005,1190 @@ document.addEventListener('alpine:init', () => {
                 }
             }
         },
-        
-        // Move selected armies
-        moveSelectedArmy(targetId) {
+
+        // Issue a player command to the engine and log it on the timeline.
+        // Issuing a command while reviewing the past branches from there.
+        // Online, the command is sent to everyone and runs a tick or two
+        // later on every client at once.
+        issue(command) {
+            if (this.lockstep) {
+                this.lockstep.queue(command);
+                return true;
+            }
+            if (this.reviewing) this.branchHere();
+
+            const events = Engine.applyCommand(this.state, command);
+            if (!events) return false;
+
+            this.timeline.record(this.tick, command);
+            this.publish(events);
+            return true;
+        },
+
+        // Move selected armies along the fastest route to `targetId`. A
+        // queued move keeps them selected so more waypoints can follow.
+        moveSelectedArmy(targetId, queue = false) {
             if (this.selectedArmy === null) return;
-            
-            // Move all player armies from the selected province
-            const sourceProvince = this.selectedArmy;
-            const armiesToMove = this.getPlayerArmiesAt(sourceProvince);
-            
-            console.log(`Moving ${armiesToMove.length} armies from province ${sourceProvince} to ${targetId}`);
-            
-            armiesToMove.forEach(army => {
-                army.moving = true;
-                army.destination = targetId;
-                army.movementProgress = 3; // Takes 3 ticks to move
-            });
-            
-            this.selectedArmy = null;
+
+            // Move the armies picked from the selected province
+            const armyIds = this.selectedArmies.map(a => a.id);
+            if (armyIds.length === 0) return;
+            this.issue({ type: 'move', nation: this.playerId, armyIds, to: targetId, queue });
+
+            if (!queue) this.selectedArmy = null;
+        },
+
+        // Cancel the selected armies' orders
+        haltSelectedArmy() {
+            if (this.selectedArmy === null) return;
+
+            const armyIds = this.selectedArmies.filter(a => a.moving).map(a => a.id);
+            this.issue({ type: 'halt', nation: this.playerId, armyIds });
+        },
+
+        // Give the selected armies a standing order ('hold', 'defend' the
+        // region around them, or null to drop it)
+        setStanding(order) {
+            if (this.selectedArmy === null) return;
+            const armyIds = this.selectedArmies.map(a => a.id);
+            if (armyIds.length > 0) this.issue({ type: 'standing', nation: this.playerId, armyIds, order });
+        },
+
+        // Rally points: armies raised in one of our provinces march to
+        // another when they are ready. Picking the province itself clears it.
+        rallyPoint(provinceId) {
+            return this.isOwnProvince(provinceId) ? this.state.rallyPoints[provinceId] : null;
+        },
+
+        pickRally(provinceId) {
+            this.rallyFrom = provinceId;
         },
-        
-        // Build army at specific province
+
+        setRally(provinceId, to) {
+            this.rallyFrom = null;
+            this.issue({ type: 'rally', nation: this.playerId, province: provinceId, to });
+        },
+
+        // Select the next (step 1) or previous (-1) idle army after the one
+        // selected, and bring it into view
+        cycleIdle(step) {
+            const idle = this.idleArmies;
+            if (idle.length === 0) return;
+            const current = this.selectedArmyIds.length === 1 ? this.selectedArmyIds[0] : null;
+            let index = idle.findIndex(a => a.id === current);
+            if (index === -1) index = step > 0 ? -1 : 0;
+            const army = idle[(index + step + idle.length) % idle.length];
+
+            this.stackProvince = army.location;
+            this.selectedArmy = army.location;
+            this.selectedArmyIds = [army.id];
+            this.selectedProvince = null;
+            this.selectedFleet = null;
+            this.seaPanel = null;
+            if (this.renderer) this.renderer.centerOn({ kind: 'province', id: army.location });
+        },
+
+        // Armies listed in the stack panel: everyone's, ours first
+        get stackArmies() {
+            if (this.stackProvince === null) return [];
+            return Indexes.armiesAt(this.view || this.state, this.stackProvince)
+                .slice()
+                .sort((a, b) => (a.owner === this.playerId ? 0 : 1) - (b.owner === this.playerId ? 0 : 1) || a.id - b.id);
+        },
+
+        // The picked armies still standing at the selected province
+        get selectedArmies() {
+            if (this.selectedArmy === null) return [];
+            return this.getPlayerArmiesAt(this.selectedArmy).filter(a => this.selectedArmyIds.includes(a.id));
+        },
+
+        isArmySelected(armyId) {
+            return this.selectedArmy !== null && this.selectedArmyIds.includes(armyId);
+        },
+
+        // Pick or drop one army of our stack
+        toggleArmySelection(army) {
+            if (army.owner !== this.playerId) return;
+            if (this.selectedArmy !== army.location) {
+                this.selectedArmy = army.location;
+                this.selectedArmyIds = [];
+                this.selectedProvince = null;
+            }
+            this.selectedArmyIds = this.isArmySelected(army.id)
+                ? this.selectedArmyIds.filter(id => id !== army.id)
+                : [...this.selectedArmyIds, army.id];
+        },
+
+        // One line describing a finished battle
+        battleSummary(report) {
+            const where = this.map.provinces[report.province].name;
+            const result = report.winner !== null ? `${this.nations[report.winner].name} won` : 'everyone fell back';
+            return `${where}, tick ${report.ended}: ${result} after ${report.rounds} ${report.rounds === 1 ? 'round' : 'rounds'}`;
+        },
+
+        // The battle raging on a province, if any
+        battleAt(provinceId) {
+            return this.battles.find(b => b.province === provinceId) || null;
+        },
+
+        // What an army is doing, for the stack panel
+        armyOrders(army) {
+            const name = id => this.map.provinces[id].name;
+            if (army.ghost) return `Last seen at tick ${army.seen}`;
+            if (this.battleAt(army.location)) return `In battle (round ${this.battleAt(army.location).rounds})`;
+            if (army.moving) {
+                const end = army.route.length > 0 ? army.route[army.route.length - 1] : army.destination;
+                if (army.standing === 'defend') return `Defending: to ${name(end)} in ${army.movementProgress}`;
+                if (army.route.length === 0) return `To ${name(end)} in ${army.movementProgress}`;
+                return `To ${name(end)} via ${name(army.destination)} in ${army.movementProgress}, ${army.route.length} more`;
+            }
+            const siege = Engine.getSiege(this.state, army.location);
+            if (siege && siege.nation === army.owner) {
+                return `Besieging ${Math.round(siege.progress * 100)}%` + (siege.eta !== null ? `, ~${siege.eta} ticks left` : '');
+            }
+            if (army.conquestProgress > 0 && this.provinces[army.location] !== army.owner) {
+                return `Conquering ${army.conquestProgress}/${Engine.getConquestTicks(this.state, army.location)}`;
+            }
+            if (army.standing === 'defend') return `Defending around ${name(army.post)}`;
+            if (army.standing === 'hold') return 'Holding position';
+            return 'Holding';
+        },
+
+        // Open the split controls with half the troops detached
+        startSplit(army) {
+            this.splitting = army.id;
+            this.splitSize = Math.floor(army.size / 2);
+        },
+
+        // Detach `splitSize` troops as a new army, which joins the selection
+        // so the two halves can be given different orders
+        confirmSplit(army) {
+            const before = this.state.nextArmyId;
+            if (this.issue({ type: 'split', nation: this.playerId, army: army.id, size: this.splitSize })) {
+                if (!this.lockstep && this.selectedArmy === army.location) {
+                    this.selectedArmyIds = [...this.selectedArmyIds, before];
+                }
+            }
+            this.splitting = null;
+        },
+
+        // At least two of the picked armies are idle, so they can merge
+        get canMergeSelected() {
+            return this.selectedArmies.filter(a => !a.moving).length >= 2;
+        },
+
+        mergeSelected() {
+            const armyIds = this.selectedArmies.filter(a => !a.moving).map(a => a.id);
+            if (armyIds.length < 2) return;
+            this.issue({ type: 'merge', nation: this.playerId, armyIds });
+        },
+
+        // Queue an army for recruitment at a province
         buildArmyAt(provinceId) {
-            if (this.nations[0].treasury < 50) return;
-            if (this.provinces[provinceId] !== 0) return; // Must be player-owned
-            
-            const newArmy = {
-                id: this.nextArmyId++,
-                owner: 0,
-                size: 1000,
-                location: provinceId,
-                moving: false,
-                destination: null,
-                movementProgress: 0,
-                morale: 1.0,
-                conquestProgress: 0
+            if (this.playerId === null) return;
+            this.issue({ type: 'build', nation: this.playerId, province: provinceId });
+        },
+
+        // Enough gold and men to recruit an army there
+        canRecruit(provinceId) {
+            return this.isOwnProvince(provinceId) &&
+                this.gold >= this.armyCost(provinceId) &&
+                this.manpower.pool >= this.rules.army.size;
+        },
+
+        // Lay down a fleet, to put to sea off the province's first coast
+        buildFleetAt(provinceId) {
+            if (this.playerId === null) return;
+            this.issue({ type: 'build-fleet', nation: this.playerId, province: provinceId });
+        },
+
+        canBuildFleet(provinceId) {
+            return this.isOwnProvince(provinceId) &&
+                this.map.provinces[provinceId].seas.length > 0 &&
+                this.gold >= this.fleetCost;
+        },
+
+        get fleetCost() {
+            return Engine.getFleetCost(this.state);
+        },
+
+        isBlockaded(provinceId) {
+            return this.isVisible(provinceId) && Engine.isBlockaded(this.state, provinceId);
+        },
+
+        cancelRecruitment(entry) {
+            this.issue({ type: 'cancel-recruitment', nation: this.playerId, province: entry.province, index: entry.index });
+        },
+
+        armyCost(provinceId) {
+            return Engine.getArmyCost(this.state, provinceId);
+        },
+
+        buildingCost(building) {
+            return Engine.getBuildingCost(this.state, building);
+        },
+
+        developCost(provinceId) {
+            return Engine.getDevelopCost(this.state, provinceId);
+        },
+
+        terrainIcon(terrain) {
+            return { plains: '', forest: '🌲', hills: '⛰️', mountains: '🏔️', marsh: '🌾' }[terrain];
+        },
+
+        // What a province's terrain means for armies, for the province panel
+        terrainInfo(provinceId) {
+            const province = this.map.provinces[provinceId];
+            const enter = Math.min(...province.neighbors.map(n => Engine.moveCost(this.state, n, provinceId)));
+            return {
+                terrain: province.terrain,
+                enter: Number.isFinite(enter) ? enter : null,
+                defense: this.rules.combat.defenderBonus + Engine.terrainEffect(this.state, provinceId, 'Defense') +
+                    Engine.getFortLevel(this.state, provinceId) * this.rules.siege.fortDefense,
+                conquest: Engine.getConquestTicks(this.state, provinceId),
+                supply: Engine.getSupplyLimit(this.state, provinceId)
             };
-            
-            this.armies.push(newArmy);
-            this.nations[0].treasury -= 50;
-            
-            console.log(`Built army ${newArmy.id} at province ${provinceId}`);
         },
-        
+
+        hasBuilding(provinceId, building) {
+            return this.state.buildings[provinceId].includes(building);
+        },
+
+        buildingIcon(building) {
+            return { market: '💰', barracks: '⚔️' }[building];
+        },
+
+        // What the province earns per tick, its market included
+        provinceIncome(provinceId) {
+            const income = Engine.getProvinceIncome(this.state, provinceId);
+            return this.hasBuilding(provinceId, 'market') ? income * (1 + this.rules.buildings.marketIncome) : income;
+        },
+
+        canDevelop(provinceId) {
+            return this.isOwnProvince(provinceId) &&
+                this.state.development[provinceId] < this.rules.economy.maxDevelopment &&
+                this.gold >= this.developCost(provinceId);
+        },
+
+        canConstruct(provinceId, building) {
+            return this.isOwnProvince(provinceId) &&
+                !this.hasBuilding(provinceId, building) &&
+                this.gold >= this.buildingCost(building);
+        },
+
+        fortLevel(provinceId) {
+            return Engine.getFortLevel(this.state, provinceId);
+        },
+
+        maxGarrison(provinceId) {
+            return Engine.getMaxGarrison(this.state, provinceId);
+        },
+
+        // Whose capital a province is, or null
+        capitalOf(provinceId) {
+            return this.nations.find(n => n.capital === provinceId) || null;
+        },
+
+        fortifyCost(provinceId) {
+            return Engine.getFortifyCost(this.state, provinceId);
+        },
+
+        canFortify(provinceId) {
+            return this.isOwnProvince(provinceId) &&
+                this.state.forts[provinceId] < this.rules.siege.maxLevel &&
+                this.gold >= this.fortifyCost(provinceId);
+        },
+
+        fortifyAt(provinceId) {
+            if (this.playerId === null) return;
+            this.issue({ type: 'fortify', nation: this.playerId, province: provinceId });
+        },
+
+        developAt(provinceId) {
+            if (this.playerId === null) return;
+            this.issue({ type: 'develop', nation: this.playerId, province: provinceId });
+        },
+
+        constructAt(provinceId, building) {
+            if (this.playerId === null) return;
+            this.issue({ type: 'construct', nation: this.playerId, province: provinceId, building });
+        },
+
+        // Our relation with another nation (see engine/diplomacy.js)
+        relation(nationId) {
+            if (this.playerId === null) return null;
+            return Diplomacy.status(this.state, this.playerId, nationId);
+        },
+
+        relationLabel(nationId) {
+            const relation = this.relation(nationId);
+            if (relation === 'truce') {
+                return `Truce, ${this.state.relations[this.playerId][nationId].until - this.tick} ticks left`;
+            }
+            return { war: 'At war', peace: 'At peace', alliance: 'Allied' }[relation] || '';
+        },
+
+        relationIcon(nationId) {
+            return { war: '⚔️', peace: '🕊️', truce: '🕊️', alliance: '🤝' }[this.relation(nationId)] || '';
+        },
+
+        // Whether `host` lets `guest`'s armies through its land
+        hasAccess(host, guest) {
+            return this.state.access[host][guest];
+        },
+
+        // Open the diplomacy panel for a nation (not our own)
+        pickNation(nationId) {
+            if (this.playerId === null || nationId === this.playerId) return;
+            this.diplomacyNation = this.diplomacyNation === nationId ? null : nationId;
+            this.peaceTerms = { give: [], take: [], gold: 0 };
+        },
+
+        // Provinces a nation holds, for the peace terms (treaties name them
+        // all, seen or not)
+        provincesOf(nationId) {
+            return Indexes.provincesOf(this.state, nationId).map(p => this.map.provinces[p]);
+        },
+
+        // Everyone's province count is public: it is the race to victory
+        provincesHeld(nationId) {
+            return Engine.countProvinces(this.state, nationId);
+        },
+
+        get incomingProposals() {
+            return this.playerId === null ? [] : Diplomacy.pending(this.state, this.playerId);
+        },
+
+        get outgoingProposals() {
+            return this.state.proposals.filter(p => p.from === this.playerId);
+        },
+
+        // One line describing a proposal's terms
+        proposalSummary(proposal) {
+            return Events.describeProposal(this.state, proposal);
+        },
+
+        // Why a proposal can't be accepted right now, or null
+        proposalProblem(proposal) {
+            return Diplomacy.check(this.state, proposal);
+        },
+
+        respondTo(proposal, accept) {
+            this.issue({ type: 'respond', nation: this.playerId, proposal: proposal.id, accept });
+        },
+
+        declareWar(nationId) {
+            this.issue({ type: 'declare-war', nation: this.playerId, target: nationId });
+        },
+
+        // Offer the peace terms filled in on the panel
+        offerPeace(nationId) {
+            this.issue({
+                type: 'propose',
+                nation: this.playerId,
+                to: nationId,
+                kind: 'peace',
+                give: this.peaceTerms.give.map(Number),
+                take: this.peaceTerms.take.map(Number),
+                gold: Math.round(Number(this.peaceTerms.gold) || 0)
+            });
+            this.peaceTerms = { give: [], take: [], gold: 0 };
+        },
+
+        propose(nationId, kind) {
+            this.issue({ type: 'propose', nation: this.playerId, to: nationId, kind });
+        },
+
+        // Ask every ally still at peace with `enemy` to join the war
+        callAllies(enemyId) {
+            Diplomacy.allies(this.state, this.playerId).forEach(ally => {
+                if (this.relationBetween(ally, enemyId) !== 'peace') return;
+                this.issue({ type: 'propose', nation: this.playerId, to: ally, kind: 'call', against: enemyId });
+            });
+        },
+
+        canCallAllies(enemyId) {
+            return this.relation(enemyId) === 'war' &&
+                Diplomacy.allies(this.state, this.playerId).some(ally => this.relationBetween(ally, enemyId) === 'peace');
+        },
+
+        relationBetween(a, b) {
+            return Diplomacy.status(this.state, a, b);
+        },
+
+        breakAlliance(nationId) {
+            this.issue({ type: 'break-alliance', nation: this.playerId, target: nationId });
+        },
+
+        setAccess(nationId, granted) {
+            this.issue({ type: granted ? 'grant-access' : 'revoke-access', nation: this.playerId, target: nationId });
+        },
+
         // Process one game tick
         processTick() {
-            if (this.paused || this.gameOver) return;
-            
-            this.tick++;
-            
-            // Phase 1: Process army movement
-            this.processMovement();
-            
-            // Phase 2: Process combat
-            this.processCombat();
-            
-            // Phase 2.5: Process conquest (after combat, so battles resolve first)
-            this.processConquest();
-            
-            // Phase 3: Process income
-            this.processIncome();
-            
-            // Phase 4: Process AI every 2 ticks
-            if (this.tick % 2 === 0) {
-                this.processAI();
-            }
-            
-            // Phase 5: Check for victory
-            this.checkVictory();
-        },
-        
-        // Process army movement
-        processMovement() {
-            this.armies.forEach(army => {
-                if (army.moving && army.destination !== null) {
-                    army.movementProgress--;
-                    
-                    if (army.movementProgress <= 0) {
-                        // Army arrives at destination
-                        army.location = army.destination;
-                        army.moving = false;
-                        army.destination = null;
-                        army.movementProgress = 0;
-                        
-                        console.log(`Army ${army.id} (${army.owner}) arrived at province ${army.location}`);
-                    }
-                }
-            });
+            if (this.lockstep) {
+                this.pumpOnline();
+                return;
+            }
+            if (this.paused || this.gameOver || this.reviewing || this.setupOpen || this.handoff !== null) return;
+            this.advanceTick();
         },
-        
-        // Process combat
-        processCombat() {
-            // Group armies by location
-            const locations = {};
-            this.armies.forEach(army => {
-                if (!locations[army.location]) {
-                    locations[army.location] = [];
+
+        // Run the live game forward one tick. `commands` are applied first
+        // (online play collects them from every client; offline they were
+        // applied as soon as they were issued).
+        advanceTick(commands = []) {
+            commands.forEach(command => this.timeline.record(this.tick, command));
+            const goldBefore = this.localNations.map(id => this.nations[id].treasury);
+            const events = Engine.runTick(this.state, commands);
+            this.tickStart = performance.now();
+            this.publish(events);
+            this.pauseFor(events, goldBefore);
+
+            this.timeline.recordTick(this.state, events);
+            this.timelineHead = this.timeline.head;
+            this.recordRewind();
+            if (this.autosaveEvery > 0 && this.tick % this.autosaveEvery === 0) {
+                this.autosave();
+            }
+
+            if (this.gameOver) {
+                this.paused = true;
+                this.resultsOpen = true;
+                this.recordCampaign();
+            }
+        },
+
+        // Pause when something the player asked to hear about happened to
+        // one of the nations played here (online, vote to pause). `goldBefore`
+        // is their treasuries before the tick, to catch the threshold being
+        // crossed rather than every tick spent above it.
+        pauseFor(events, goldBefore) {
+            const ours = this.localNations;
+            const pauseOn = this.prefs.pauseOn;
+            const name = id => this.map.provinces[id].name;
+            let reason = null;
+            events.forEach(event => {
+                if (reason !== null) return;
+                if (pauseOn.battle && event.type === 'battle-started' &&
+                    (ours.includes(this.state.provinces[event.province]) ||
+                     Indexes.armiesAt(this.state, event.province).some(a => ours.includes(a.owner)))) {
+                    reason = `Battle in ${name(event.province)}`;
                 }
-                locations[army.location].push(army);
-            });
-            
-            // Check each location for battles
-            Object.entries(locations).forEach(([location, armiesHere]) => {
-                const owners = [...new Set(armiesHere.map(a => a.owner))];
-                
-                // Battle occurs if multiple nations present
-                if (owners.length > 1) {
-                    console.log(`Battle at province ${location}!`);
-                    
-                    // Calculate total force strength by nation (including morale)
-                    const forces = owners.map(owner => {
-                        const nationArmies = armiesHere.filter(a => a.owner === owner);
-                        const totalStrength = nationArmies.reduce((sum, a) => sum + (a.size * a.morale), 0);
-                        const rawStrength = nationArmies.reduce((sum, a) => sum + a.size, 0);
-                        return {
-                            owner,
-                            totalStrength,
-                            rawStrength,
-                            armies: nationArmies
-                        };
-                    });
-                    
-                    // Log battle details
-                    forces.forEach(force => {
-                        const nationNames = ['Blue Empire', 'Red Kingdom', 'Green Republic'];
-                        const avgMorale = force.armies.reduce((sum, a) => sum + a.morale, 0) / force.armies.length;
-                        console.log(`${nationNames[force.owner]}: ${Math.round(force.totalStrength)} effective strength (${force.rawStrength} troops, ${Math.round(avgMorale * 100)}% morale, ${force.armies.length} armies)`);
-                    });
-                    
-                    // Sort by strength (strongest first)
-                    forces.sort((a, b) => b.totalStrength - a.totalStrength);
-                    
-                    const winner = forces[0];
-                    const losers = forces.slice(1);
-                    
-                    console.log(`Winner: ${['Blue Empire', 'Red Kingdom', 'Green Republic'][winner.owner]} with ${Math.round(winner.totalStrength)} effective strength`);
-                    
-                    // Remove losing armies
-                    losers.forEach(force => {
-                        force.armies.forEach(army => {
-                            const idx = this.armies.indexOf(army);
-                            if (idx > -1) {
-                                this.armies.splice(idx, 1);
-                                console.log(`Army ${army.id} (${army.size} troops) destroyed`);
-                            }
-                        });
-                    });
-                    
-                    // Winner takes casualties based on total enemy strength
-                    const totalEnemyStrength = losers.reduce((sum, force) => sum + force.totalStrength, 0);
-                    const casualtyRate = Math.min(0.5, totalEnemyStrength / winner.totalStrength * 0.3); // Max 50% casualties
-                    
-                    winner.armies.forEach(army => {
-                        const oldSize = army.size;
-                        const oldMorale = army.morale;
-                        
-                        // Apply casualties
-                        const newSize = Math.floor(army.size * (1 - casualtyRate));
-                        army.size = Math.max(100, newSize); // Minimum 100 troops survive
-                        
-                        // Morale changes based on battle outcome
-                        if (casualtyRate > 0.3) {
-                            // Heavy casualties - morale drops significantly
-                            army.morale = Math.max(0.3, army.morale - 0.3);
-                        } else if (casualtyRate > 0.1) {
-                            // Moderate casualties - slight morale drop
-                            army.morale = Math.max(0.5, army.morale - 0.1);
-                        } else {
-                            // Victory with low casualties - morale boost!
-                            army.morale = Math.min(1.2, army.morale + 0.1);
-                        }
-                        
-                        console.log(`Army ${army.id}: ${oldSize} → ${army.size} troops (${Math.round(casualtyRate * 100)}% casualties), morale ${Math.round(oldMorale * 100)}% → ${Math.round(army.morale * 100)}%`);
-                    });
-                    
-                    // Winner captures the province
-                    const provinceId = parseInt(location);
-                    if (this.provinces[provinceId] !== winner.owner) {
-                        this.provinces[provinceId] = winner.owner;
-                        console.log(`Province ${provinceId} captured by nation ${winner.owner} after winning battle`);
-                    }
-                    
-                    console.log(`Battle complete at province ${location}`);
+                if (pauseOn.provinceLost && event.type === 'province-captured' && ours.includes(event.previous)) {
+                    reason = `${this.nations[event.previous].name} lost ${name(event.province)}`;
                 }
             });
+            if (reason === null) {
+                const message = events.find(event => event.type === 'scenario-message' && event.pause &&
+                    (event.nation === null || ours.includes(event.nation)));
+                if (message) reason = 'a message from the scenario';
+            }
+            if (reason === null && pauseOn.gold) {
+                const rich = ours.find((id, i) => goldBefore[i] < this.prefs.goldThreshold && this.nations[id].treasury >= this.prefs.goldThreshold);
+                if (rich !== undefined) reason = `${this.nations[rich].name} has ${this.prefs.goldThreshold} gold`;
+            }
+            if (reason === null || this.gameOver) return;
+
+            this.pauseNotice = reason;
+            if (this.lockstep) {
+                if (!this.online.vote.pause) this.castVote({ pause: true });
+            } else {
+                this.paused = true;
+            }
         },
-        
-        // Process conquest attempts
-        processConquest() {
-            // For each province, check if it should be captured
-            for (let provinceId = 0; provinceId < 49; provinceId++) {
-                const armiesHere = this.armies.filter(a => a.location === provinceId && !a.moving);
-                
-                if (armiesHere.length === 1) {
-                    // Single army present
-                    const army = armiesHere[0];
-                    
-                    if (this.provinces[provinceId] !== army.owner) {
-                        // Army is trying to conquer enemy/neutral territory
-                        army.conquestProgress++;
-                        console.log(`Army ${army.id} conquering province ${provinceId}: ${army.conquestProgress}/2 ticks (province owner: ${this.provinces[provinceId]}, army owner: ${army.owner})`);
-                        
-                        if (army.conquestProgress >= 2) {
-                            // Conquest complete!
-                            this.provinces[provinceId] = army.owner;
-                            army.conquestProgress = 0;
-                            console.log(`Province ${provinceId} conquered by nation ${army.owner} after 2 ticks`);
-                        }
-                    } else {
-                        // Army is in friendly territory, reset conquest progress
-                        army.conquestProgress = 0;
-                    }
-                } else if (armiesHere.length > 1) {
-                    // Multiple armies present - reset all conquest progress (combat happening)
-                    armiesHere.forEach(army => {
-                        army.conquestProgress = 0;
+
+        savePrefs() {
+            Preferences.save(this.prefs);
+        },
+
+        // Keyboard shortcuts. Keys typed into the sidebar's fields and
+        // behind the setup, hand-off and results screens are left alone.
+        // While a shortcut is being rebound the next key is its new one
+        // (Escape keeps the old).
+        onKey(event) {
+            if (event.ctrlKey || event.metaKey || event.altKey) return;
+            const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+
+            if (this.rebinding !== null) {
+                event.preventDefault();
+                if (key !== 'Escape') {
+                    Object.keys(this.prefs.keys).forEach(action => {
+                        if (this.prefs.keys[action] === key) this.prefs.keys[action] = '';
                     });
-                } else {
-                    // No armies present - nothing to do
+                    this.prefs.keys[this.rebinding] = key;
+                    this.savePrefs();
+                }
+                this.rebinding = null;
+                return;
+            }
+            if (key === 'Escape' && this.rallyFrom !== null) {
+                this.rallyFrom = null;
+                return;
+            }
+            if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+            if (this.setupOpen || this.handoff !== null || this.resultsOpen) return;
+
+            const action = Object.keys(this.prefs.keys).find(a => this.prefs.keys[a] === key);
+            if (!action) return;
+            event.preventDefault();
+            this.hotkey(action);
+        },
+
+        hotkey(action) {
+            const at = this.speeds.indexOf(this.lockstep ? this.online.vote.speed : this.speed);
+            switch (action) {
+                case 'pause':
+                    this.togglePause();
+                    break;
+                case 'slower':
+                case 'faster': {
+                    const next = (at === -1 ? 0 : at) + (action === 'faster' ? 1 : -1);
+                    if (next >= 0 && next < this.speeds.length) this.setSpeed(this.speeds[next]);
+                    break;
                 }
+                case 'build': {
+                    const province = this.selectedProvince !== null ? this.selectedProvince : this.stackProvince;
+                    if (province !== null && this.canRecruit(province)) this.buildArmyAt(province);
+                    break;
+                }
+                case 'nextIdle':
+                    this.cycleIdle(1);
+                    break;
+                case 'previousIdle':
+                    this.cycleIdle(-1);
+                    break;
+            }
+        },
+
+        keyLabel(key) {
+            if (key === '') return '—';
+            if (key === ' ') return 'Space';
+            return key.length === 1 ? key.toUpperCase() : key;
+        },
+
+        // Replace the running game with another state
+        loadState(state) {
+            this.state = state;
+            this.selectedArmy = null;
+            this.selectedProvince = null;
+            this.stackProvince = null;
+            this.selectedFleet = null;
+            this.seaPanel = null;
+            this.diplomacyNation = null;
+            this.activeNation = null;
+            this.handoff = null;
+            // A scenario starts paused on its briefing
+            const briefing = state.scenario && state.tick === 0 ? state.scenario.briefing : '';
+            this.paused = state.gameOver || briefing !== '';
+            this.pauseNotice = null;
+            this.scenarioNote = briefing || null;
+            this.resultsOpen = state.gameOver;
+            this.gameLog.clear();
+            this.feed = [];
+            this.resetTimeline(state);
+            this.rewind.clear();
+            this.recordRewind();
+        },
+
+        // Start a new command log from `state`
+        resetTimeline(state, options) {
+            this.timeline = Replay.createTimeline(state, options);
+            this.timelineStart = this.timeline.start;
+            this.timelineHead = this.timeline.head;
+        },
+
+        // Show the scenario setup screen (the current game waits behind it)
+        openSetup() {
+            this.setupOpen = true;
+            this.prepareSetup();
+        },
+
+        closeSetup() {
+            this.setupOpen = false;
+        },
+
+        // Load the chosen map and offer one row per starting position: a
+        // human in the first seat, AIs in the next two, the rest empty
+        async prepareSetup() {
+            this.setupMap = null;
+            await this.loadBundledMods();
+            await this.loadScenarios();
+            try {
+                const map = Maps.normalize(await this.loadMap(this.mapChoice));
+                this.setupSeats = map.start.map((_, seat) => ({
+                    ...Engine.NATION_PRESETS[seat % Engine.NATION_PRESETS.length],
+                    control: seat === 0 ? 'human' : seat < 3 ? 'ai' : 'empty',
+                    ...AI.DEFAULT_PROFILE
+                }));
+                this.setupMap = map;
+            } catch (e) {
+                console.error(`Could not load map ${this.mapChoice}`, e);
+                alert(`Could not load map: ${e.message}`);
             }
         },
-        
-        // Process income
-        processIncome() {
-            // Income for all nations
-            this.nations.forEach(nation => {
-                const provinceCount = this.provinces.filter(p => p === nation.id).length;
-                const income = provinceCount * 2;
-                nation.treasury += income;
+
+        // Start a match with the configured map and nations
+        startGame() {
+            if (!this.setupValid) return;
+
+            const seed = this.setupSeed.trim();
+            this.launch({
+                map: this.setupMap,
+                nations: this.setupSeats.map(seat => ({
+                    ...seat,
+                    ai: { difficulty: seat.difficulty, personality: seat.personality }
+                })),
+                rules: this.setupRulesResult.rules,
+                scripts: this.setupRulesResult.scripts,
+                seed: seed === '' ? undefined : (/^\d+$/.test(seed) ? Number(seed) : seed)
             });
         },
-        
-        // AI processing - runs every 2 ticks
-        processAI() {
-            if (this.gameOver) return;
-            
-            [1, 2].forEach(nationId => {
-                this.aiThink(nationId);
+
+        // Play the finished game again: same map, rules, scripts and
+        // nations in the same seats, with a new seed
+        rematch() {
+            if (!this.canRematch) return;
+            this.launch(this.rematchOptions());
+        },
+
+        // Engine.createGame options for a rematch of the current game. Each
+        // nation goes back to the seat its capital starts from with the
+        // gold it had at the first sample.
+        rematchOptions() {
+            const state = this.state;
+            const nations = state.map.start.map(seat => {
+                const nation = state.nations.find(n => n.capital === seat.capital);
+                if (!nation) return { control: 'empty' };
+                return {
+                    name: nation.name,
+                    color: nation.color,
+                    control: nation.isPlayer ? 'human' : 'ai',
+                    ai: nation.ai,
+                    treasury: state.stats.nations[nation.id].treasury[0]
+                };
             });
+            return {
+                map: state.map,
+                nations,
+                rules: state.rules,
+                scripts: state.scripts.map(script => ({ id: script.id, name: script.name, source: script.source })),
+                scenario: state.scenario,
+                campaign: state.scenario ? state.scenario.campaign : null
+            };
         },
-        
-        // Strategic AI thinking
-        aiThink(nationId) {
-            // Step 1: Build armies if we have enough gold
-            const nation = this.nations[nationId];
-            
-            if (Math.random() < 0.1 && nation.treasury >= 50) {
-                const buildLocation = this.provinces.findIndex(p => p === nationId);
-                if (buildLocation !== -1) {
-                    this.armies.push({
-                        id: this.nextArmyId++,
-                        owner: nationId,
-                        size: 1000,
-                        location: buildLocation,
-                        moving: false,
-                        destination: null,
-                        movementProgress: 0,
-                        morale: 1.0,
-                        conquestProgress: 0
-                    });
-                    nation.treasury -= 50;
+
+        // Start a game from Engine.createGame options. In an online room
+        // the host starts it for everyone.
+        launch(options) {
+            try {
+                const state = Engine.createGame(options);
+
+                if (this.online.status === 'lobby' || this.online.status === 'playing') {
+                    this.hostOnlineGame(state);
+                } else {
+                    this.loadState(state);
                 }
+                this.setupOpen = false;
+                this.resultsOpen = false;
+                console.log(`New game on ${this.map.name} with ${this.nations.length} nations (seed ${this.state.seed})`);
+            } catch (e) {
+                console.error('Could not start game', e);
+                alert(`Could not start game: ${e.message}`);
             }
-            
-            // Step 2: Move armies strategically
-            const myArmies = this.armies.filter(a => 
-                a.owner === nationId && !a.moving
-            );
-            
-            myArmies.forEach(army => {
-                const target = this.findBestTarget(nationId, army);
-                if (target !== null) {
-                    army.moving = true;
-                    army.destination = target;
-                    army.movementProgress = 3;
-                }
-            });
         },
-        
-        // Find best target for an army using strategic priorities
-        findBestTarget(nationId, army) {
-            const neighbors = this.getNeighbors(army.location);
-            
-            // Priority 1: Defend our provinces under attack
-            for (const neighborId of neighbors) {
-                if (this.provinces[neighborId] === nationId) {
-                    // Check if this friendly province has enemy armies
-                    const enemyArmies = this.armies.filter(a => 
-                        a.location === neighborId && a.owner !== nationId
-                    );
-                    if (enemyArmies.length > 0) {
-                        console.log(`AI ${nationId}: Defending province ${neighborId} from attack`);
-                        return neighborId; // Defend!
-                    }
-                }
+
+        refreshSaves() {
+            this.saveSlots = SaveStore.list();
+        },
+
+        writeSave(name) {
+            try {
+                SaveStore.write(name, this.state);
+            } catch (e) {
+                console.error(`Could not save "${name}"`, e);
+                alert(`Could not save "${name}": ${e.message}`);
             }
-            
-            // Priority 2: Attack weak enemy targets
-            let bestTarget = null;
-            let bestScore = -999;
-            
-            for (const neighborId of neighbors) {
-                if (this.provinces[neighborId] === nationId) {
-                    continue; // Already ours
-                }
-                
-                let score = 0;
-                
-                // Prefer enemy provinces over neutral
-                if (this.provinces[neighborId] !== null) {
-                    score += 15; // Attack enemy territory
+            this.refreshSaves();
+        },
+
+        // Autosave without interrupting play. A failure (a full
+        // localStorage, say) turns autosave off and shows why by its setting.
+        autosave() {
+            try {
+                SaveStore.write('Autosave', this.state);
+                this.autosaveError = null;
+            } catch (e) {
+                console.error('Autosave failed', e);
+                this.autosaveError = e.message;
+                this.autosaveEvery = 0;
+            }
+            this.refreshSaves();
+        },
+
+        // Save to the named slot from the sidebar
+        saveGame() {
+            const name = this.saveName.trim() || `Tick ${this.tick}`;
+            this.writeSave(name);
+            this.saveName = '';
+        },
+
+        loadGame(name) {
+            if (!this.offlineOnly()) return;
+            try {
+                const save = SaveStore.read(name);
+                if (save) this.loadState(save.state);
+            } catch (e) {
+                console.error(`Could not load "${name}"`, e);
+                alert(`Could not load "${name}": ${e.message}`);
+            }
+        },
+
+        deleteSave(name) {
+            SaveStore.remove(name);
+            this.refreshSaves();
+        },
+
+        exportGame() {
+            SaveStore.download(this.state, this.saveName.trim() || 'globus-ridiculous');
+        },
+
+        // Download the initial state and full command log
+        exportReplay() {
+            const name = this.saveName.trim() || 'globus-ridiculous';
+            SaveStore.downloadJSON(this.timeline.toJSON(), `${name}-replay.json`);
+        },
+
+        // Accepts both save files and replay files
+        async importGame(event) {
+            const file = event.target.files[0];
+            if (!file || !this.offlineOnly()) return;
+
+            try {
+                const data = await SaveStore.upload(file);
+                if (data.format === Replay.FORMAT) {
+                    // Open replays at their first tick, ready to step through
+                    const replay = Replay.deserialize(data);
+                    if (!this.allowScripts(replay.initial, 'This replay')) throw new Error('its mod scripts were not allowed');
+                    this.loadState(Engine.cloneState(replay.initial));
+                    this.resetTimeline(replay.initial, { log: replay.log, head: replay.head });
+                    this.paused = true;
                 } else {
-                    score += 10; // Expand into neutral territory
+                    const state = Saves.deserialize(data).state;
+                    if (!this.allowScripts(state, 'This save')) throw new Error('its mod scripts were not allowed');
+                    this.loadState(state);
                 }
-                
-                // Calculate defender strength
-                const defenders = this.armies.filter(a => a.location === neighborId);
-                const defenderStrength = defenders.reduce((sum, a) => sum + (a.size * a.morale), 0);
-                const attackerStrength = army.size * army.morale;
-                
-                // Prefer targets we can beat
-                if (defenderStrength === 0) {
-                    score += 20; // Undefended!
-                } else if (attackerStrength > defenderStrength * 1.2) {
-                    score += 10; // We're much stronger
-                } else if (attackerStrength > defenderStrength) {
-                    score += 5; // We're slightly stronger
-                } else {
-                    score -= 10; // They're stronger, avoid
+            } catch (e) {
+                console.error('Could not import save', e);
+                alert(`Could not import save: ${e.message}`);
+            }
+            event.target.value = '';
+        },
+
+        // Whether to run the mod scripts of a game from elsewhere (a file or
+        // the host). They run code on this computer, so ask first unless
+        // each is a mod on the setup screen or was allowed before.
+        allowScripts(state, from) {
+            const known = this.setupMods.map(m => Rules.normalizeMod(m.def).script).concat(this.trustedScripts);
+            const unknown = (state.scripts || []).filter(script => !known.includes(script.source));
+            if (unknown.length === 0) return true;
+
+            const names = unknown.map(script => script.name || script.id).join(', ');
+            if (!confirm(`${from} runs mod scripts: ${names}.\n\nScripts run code on this computer. Only allow them if you trust where the game came from. Run them?`)) return false;
+            this.trustedScripts.push(...unknown.map(script => script.source));
+            return true;
+        },
+
+        // Snapshot into the rewind buffer and refresh its listing
+        recordRewind() {
+            this.rewind.record(this.state);
+            this.rewindRecent = this.rewind.recent();
+            this.rewindCheckpoints = this.rewind.checkpoints();
+        },
+
+        // Jump back to an earlier snapshot; later snapshots are discarded
+        rewindTo(tick) {
+            if (!this.offlineOnly()) return;
+            const state = this.rewind.restore(Number(tick));
+            if (!state) return;
+
+            this.state = state;
+            this.selectedArmy = null;
+            this.selectedProvince = null;
+            this.stackProvince = null;
+            this.selectedFleet = null;
+            this.seaPanel = null;
+            this.branchHere();
+        },
+
+        // Timeline: show the game as it was at `tick` (pauses the game)
+        seek(tick) {
+            if (!this.offlineOnly()) return;
+            this.paused = true;
+            this.state = this.timeline.stateAt(Number(tick));
+            this.applyHeadOrders();
+            this.selectedArmy = null;
+            this.selectedProvince = null;
+            this.stackProvince = null;
+            this.selectedFleet = null;
+            this.seaPanel = null;
+        },
+
+        stepBack() {
+            if (this.tick > this.timelineStart) this.seek(this.tick - 1);
+        },
+
+        // Replays the logged commands while reviewing, otherwise runs one
+        // live tick
+        stepForward() {
+            if (this.gameOver || !this.offlineOnly()) return;
+
+            this.paused = true;
+            if (this.reviewing) {
+                Engine.runTick(this.state, this.timeline.commandsAt(this.tick));
+                this.applyHeadOrders();
+            } else {
+                this.advanceTick();
+            }
+        },
+
+        returnToLive() {
+            this.seek(this.timelineHead);
+        },
+
+        // The timeline rebuilds a tick as it was before that tick's orders.
+        // At the head, the live game has already carried out the orders
+        // given since the last tick, so do the same.
+        applyHeadOrders() {
+            if (this.tick !== this.timelineHead) return;
+            this.timeline.commandsAt(this.tick).forEach(command => Engine.applyCommand(this.state, command));
+        },
+
+        // Drop everything after the current tick and continue from here
+        branchHere() {
+            this.timeline.branch(this.tick);
+            this.gameLog.truncate(this.tick);
+            this.refreshFeed();
+            this.timelineHead = this.timeline.head;
+            this.rewind.truncate(this.tick);
+            this.rewindRecent = this.rewind.recent();
+            this.rewindCheckpoints = this.rewind.checkpoints();
+        },
+
+        // Resuming while reviewing the past branches from there. Online,
+        // this changes our pause vote instead.
+        togglePause() {
+            if (this.lockstep) {
+                this.castVote({ pause: !this.online.vote.pause });
+                return;
+            }
+            if (this.paused && this.reviewing) this.branchHere();
+            this.paused = !this.paused;
+            if (!this.paused) this.pauseNotice = null;
+        },
+
+        // Hot-seat: cover the board and hand the controls to the next human
+        passTurn() {
+            const humans = this.humanNations.filter(n => n.eliminated === null);
+            if (humans.length < 2) return;
+
+            const index = humans.findIndex(n => n.id === this.playerId);
+            this.handoff = humans[(index + 1) % humans.length].id;
+            this.selectedArmy = null;
+            this.selectedProvince = null;
+            this.stackProvince = null;
+            this.selectedFleet = null;
+            this.seaPanel = null;
+        },
+
+        takeOver() {
+            this.activeNation = this.handoff;
+            this.handoff = null;
+        },
+
+        // Timeline and save loading would desync an online game
+        offlineOnly() {
+            if (!this.lockstep) return true;
+            alert('Not available during an online game');
+            return false;
+        },
+
+        // Online: join a room on the relay
+        connectOnline() {
+            if (this.net) return;
+
+            this.online.status = 'connecting';
+            this.net = Net.connect(this.online.url, this.online.room, {
+                onWelcome: (peer, peers) => {
+                    this.online.peer = peer;
+                    this.online.peers = [...peers, peer].sort((a, b) => a - b);
+                    this.online.status = 'lobby';
+                    console.log(`Joined room ${this.online.room} as peer ${peer}`);
+                },
+                onJoin: peer => {
+                    this.online.peers = [...this.online.peers, peer].sort((a, b) => a - b);
+                },
+                onLeave: peer => this.peerLeft(peer),
+                onMessage: message => this.receiveOnline(message),
+                onClose: reason => {
+                    console.warn(`Disconnected from relay: ${reason}`);
+                    this.endOnline();
                 }
-                
-                // Prefer targets closer to enemy capitals (more strategic value)
-                const enemyCapitals = [0, 9, 18]; // Starting positions
-                for (const capital of enemyCapitals) {
-                    if (this.provinces[capital] !== nationId && this.provinces[capital] !== null) {
-                        const distance = Math.abs((neighborId % 7) - (capital % 7)) + 
-                                       Math.abs(Math.floor(neighborId / 7) - Math.floor(capital / 7));
-                        score += Math.max(0, 10 - distance); // Closer = better
+            });
+        },
+
+        disconnectOnline() {
+            if (this.net) this.net.close();
+            this.endOnline();
+        },
+
+        // Back to a local game: every remote seat goes to the AI
+        endOnline() {
+            if (this.lockstep) {
+                Object.entries(this.online.assignments).forEach(([peer, nation]) => {
+                    if (Number(peer) !== this.online.peer && this.nations[nation].isPlayer) {
+                        this.issueLocal({ type: 'set-control', nation, control: 'ai' });
                     }
-                }
-                
-                if (score > bestScore) {
-                    bestScore = score;
-                    bestTarget = neighborId;
-                }
+                });
+                this.activeNation = this.online.nation;
             }
-            
-            // Only move if we found a decent target
-            if (bestScore > 5) {
-                console.log(`AI ${nationId}: Army ${army.id} attacking province ${bestTarget} (score: ${bestScore})`);
-                return bestTarget;
-            }
-            
-            return null; // No good targets, stay put
-        },
-        
-        // Check for victory
-        checkVictory() {
-            // Count provinces for each nation
-            const provinceCounts = [0, 0, 0];
-            this.provinces.forEach(owner => {
-                if (owner !== null) {
-                    provinceCounts[owner]++;
+            this.net = null;
+            this.lockstep = null;
+            this.online.status = 'offline';
+            this.online.peer = null;
+            this.online.peers = [];
+            this.online.assignments = {};
+            this.online.desync = null;
+        },
+
+        // Apply a command straight to the local game (outside lockstep)
+        issueLocal(command) {
+            const events = Engine.applyCommand(this.state, command);
+            if (events) {
+                this.timeline.record(this.tick, command);
+                this.publish(events);
+            }
+        },
+
+        // Host: give each peer a human seat (in seat order, host first),
+        // hand the leftover human seats to the AI, and start everyone.
+        // Peers beyond the human seats watch.
+        hostOnlineGame(state) {
+            const humans = state.nations.filter(n => n.isPlayer);
+            const assignments = {};
+            this.online.peers.slice(0, humans.length).forEach((peer, i) => {
+                assignments[peer] = humans[i].id;
+            });
+            humans.slice(this.online.peers.length).forEach(nation => {
+                nation.isPlayer = false;
+                nation.isAI = true;
+            });
+
+            this.sendStart(state, assignments);
+        },
+
+        sendStart(state, assignments) {
+            const message = {
+                type: 'start',
+                epoch: this.online.epoch + 1,
+                state: Engine.cloneState(state),
+                assignments,
+                inputDelay: 1
+            };
+            this.net.send(message);
+            this.beginOnline(message);
+        },
+
+        // Host: restart everyone from the host's state after a desync
+        resyncOnline() {
+            if (!this.isHost || !this.lockstep) return;
+
+            const assignments = {};
+            Object.entries(this.online.assignments).forEach(([peer, nation]) => {
+                if (this.online.peers.includes(Number(peer)) && this.nations[nation].isPlayer) {
+                    assignments[peer] = nation;
                 }
             });
-            
-            // Check if any nation has 37 or more provinces (75% of 49)
-            for (let i = 0; i < 3; i++) {
-                if (provinceCounts[i] >= 37) {
-                    this.winner = i;
-                    this.gameOver = true;
-                    this.paused = true;
-                    
-                    const nationNames = ['Blue Empire', 'Red Kingdom', 'Green Republic'];
-                    console.log(`${nationNames[i]} wins the game!`);
-                    alert(`🎉 ${nationNames[i]} wins the game! 🎉\n\nProvinces controlled: ${provinceCounts[i]}/49`);
-                    return;
+            this.sendStart(this.state, assignments);
+        },
+
+        // Start (or restart) lockstep play from the host's state
+        beginOnline(message) {
+            if (!this.isHost && !this.allowScripts(message.state, 'The host\'s game')) {
+                console.warn('Leaving the online game: its mod scripts were not allowed');
+                this.disconnectOnline();
+                return;
+            }
+            this.loadState(Engine.cloneState(message.state));
+            this.online.assignments = message.assignments;
+            this.online.nation = message.assignments[this.online.peer];
+            this.online.epoch = message.epoch;
+            this.online.status = 'playing';
+            this.online.desync = null;
+            this.online.vote = { pause: false, speed: this.speed };
+            this.setupOpen = false;
+            this.paused = false;
+
+            this.lockstep = Lockstep.createSession({
+                state: this.state,
+                localSeats: this.online.nation === undefined ? [] : [this.online.nation],
+                seats: Object.values(message.assignments),
+                inputDelay: message.inputDelay,
+                epoch: message.epoch,
+                send: packet => this.net.send(packet)
+            });
+            this.lockstep.vote(false, this.speed);
+            console.log(`Online game started (epoch ${message.epoch}), playing ${this.online.nation === undefined ? 'nobody' : this.nations[this.online.nation].name}`);
+        },
+
+        receiveOnline(message) {
+            switch (message.type) {
+                case 'start':
+                    if (message.from === Math.min(...this.online.peers)) this.beginOnline(message);
+                    break;
+                case 'tick':
+                case 'vote': {
+                    const packet = this.lockstep ? this.screenPacket(message) : null;
+                    if (packet) this.lockstep.receive(packet);
+                    break;
                 }
             }
         },
-        
-        // Set game speed
+
+        // A tick or vote packet only counts when it comes from the peer
+        // playing its nation, and only with that nation's commands (the host
+        // may also hand a seat whose player left to the AI) or a speed the
+        // game offers. Returns the packet to use, or null to ignore it.
+        screenPacket(message) {
+            if (message.nation === undefined || this.online.assignments[message.from] !== message.nation) {
+                console.warn(`Ignoring a packet from peer ${message.from} for nation ${message.nation}`);
+                return null;
+            }
+            if (message.type === 'vote') {
+                if (message.speed === null || this.speeds.includes(message.speed)) return message;
+                console.warn(`Ignoring a vote for speed ${JSON.stringify(message.speed)} from peer ${message.from}`);
+                return null;
+            }
+
+            const fromHost = message.from === Math.min(...this.online.peers);
+            const received = Array.isArray(message.commands) ? message.commands : [];
+            const commands = received.filter(command => command && (command.nation === message.nation ||
+                (fromHost && command.type === 'set-control' && command.control === 'ai')));
+            if (commands.length < received.length) {
+                console.warn(`Ignoring ${received.length - commands.length} command(s) from peer ${message.from} for other nations`);
+            }
+            return { ...message, commands };
+        },
+
+        peerLeft(peer) {
+            this.online.peers = this.online.peers.filter(p => p !== peer);
+            if (!this.lockstep) return;
+
+            const nation = this.online.assignments[peer];
+            if (nation === undefined) return;
+
+            console.log(`${this.nations[nation].name} left the game; the AI takes over`);
+            this.lockstep.drop(nation);
+            if (this.isHost) {
+                this.lockstep.queue({ type: 'set-control', nation, control: 'ai' });
+            }
+        },
+
+        // Change our pause/speed vote; the outcome is applied in pumpOnline
+        castVote(change) {
+            this.online.vote = { ...this.online.vote, ...change };
+            this.lockstep.vote(this.online.vote.pause, this.online.vote.speed);
+        },
+
+        // Online tick: run the next tick once every player's commands for it
+        // have arrived
+        pumpOnline() {
+            const outcome = this.lockstep.outcome();
+            this.paused = outcome.paused;
+            if (outcome.speed && outcome.speed !== this.speed) {
+                this.speed = outcome.speed;
+                this.restartLoop();
+            }
+            if (this.paused || this.gameOver) return;
+
+            if (this.lockstep.ready()) {
+                this.advanceTick(this.lockstep.take());
+            } else if (this.lockstep.desync && !this.online.desync) {
+                this.online.desync = this.lockstep.desync;
+                console.error(`Desync at tick ${this.online.desync.tick}: our state hash ${this.online.desync.expected}, ${this.nations[this.online.desync.nation].name} has ${this.online.desync.actual}`);
+            }
+        },
+
+        // Hand events from the live game to the log, the bus and the feed
+        publish(events) {
+            if (events.length === 0) return;
+            this.gameLog.record(this.state, events);
+            this.bus.emit(events);
+            this.refreshFeed();
+        },
+
+        // The latest entries of the log the nations played here have heard
+        // of, by the feed's filters; a spectator hears of everything
+        refreshFeed() {
+            this.feed = this.gameLog.entries(this.localNations.length > 0 ? this.localNations : null, {
+                categories: this.feedCategories,
+                nation: this.feedNation,
+                limit: 100
+            });
+        },
+
+        toggleFeedCategory(id) {
+            this.feedCategories = this.feedCategories.includes(id)
+                ? this.feedCategories.filter(c => c !== id)
+                : [...this.feedCategories, id];
+            this.refreshFeed();
+        },
+
+        categoryIcon(id) {
+            const category = this.eventCategories.find(c => c.id === id);
+            return category ? category.icon : '';
+        },
+
+        // Bring the place a feed entry is about into view and open its panel
+        focusEntry(entry) {
+            const place = entry.place;
+            if (place === null) return;
+            if (this.renderer) this.renderer.centerOn(place);
+            this.selectedArmy = null;
+            this.selectedProvince = null;
+            this.selectedFleet = null;
+            this.splitting = null;
+            if (place.kind === 'sea') {
+                this.stackProvince = null;
+                this.seaPanel = place.id;
+            } else {
+                this.seaPanel = null;
+                this.stackProvince = place.id;
+            }
+        },
+
+        // Download the game log as JSON or text. Until the game is over it
+        // only holds what the nations played here have heard of.
+        exportLog(format) {
+            const viewer = this.gameOver || this.localNations.length === 0 ? null : this.localNations;
+            const name = `game-log-${this.map.id}-tick${this.tick}`;
+            if (format === 'json') {
+                SaveStore.downloadJSON({ map: this.map.id, seed: this.state.seed, tick: this.tick, events: this.gameLog.toJSON(viewer) }, `${name}.json`);
+            } else {
+                SaveStore.downloadText(this.gameLog.toText(viewer), `${name}.txt`);
+            }
+        },
+
+        // Set game speed (online, vote for it)
         setSpeed(newSpeed) {
+            if (this.lockstep) {
+                this.castVote({ speed: newSpeed });
+                return;
+            }
             this.speed = newSpeed;
             this.restartLoop();
         },
-        
+
         // Restart game loop with current speed
         restartLoop() {
             if (this.interval) {
@@ -623,4 +2197,4 @@ document.addEventListener('alpine:init', () => {
             this.interval = setInterval(() => this.processTick(), this.speed);
         }
     }));
-});
\ No newline at end of file
+});
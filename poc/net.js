@@ -0,0 +1,68 @@
+// Browser side of online play: a WebSocket connection to the relay server
+// (poc/server/relay.js). Messages are plain JSON; the lockstep protocol on
+// top of it lives in engine/lockstep.js and game.js.
+const Net = {
+    // Connect to `url` and join `room`. Handlers:
+    //   onWelcome(peer, peers)   - we are in; `peers` were already there
+    //   onJoin(peer) / onLeave(peer)
+    //   onMessage(message)       - anything another peer sent (message.from)
+    //   onClose(reason)
+    connect(url, room, handlers) {
+        const socket = new WebSocket(`${url.replace(/\/+$/, '')}/?room=${encodeURIComponent(room)}`);
+        const connection = {
+            peer: null,
+
+            send(message) {
+                if (socket.readyState === WebSocket.OPEN) {
+                    socket.send(JSON.stringify(message));
+                }
+            },
+
+            close() {
+                socket.close();
+            }
+        };
+
+        socket.addEventListener('message', event => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (e) {
+                console.warn('Ignoring malformed relay message', e);
+                return;
+            }
+
+            // The relay's own messages never carry `from`; a peer's copy of
+            // one is forged
+            if (message.from !== undefined && ['welcome', 'join', 'leave'].includes(message.type)) {
+                console.warn(`Ignoring a ${message.type} message sent by peer ${message.from}`);
+                return;
+            }
+
+            switch (message.type) {
+                case 'welcome':
+                    connection.peer = message.peer;
+                    handlers.onWelcome(message.peer, message.peers);
+                    break;
+                case 'join':
+                    handlers.onJoin(message.peer);
+                    break;
+                case 'leave':
+                    handlers.onLeave(message.peer);
+                    break;
+                default:
+                    handlers.onMessage(message);
+            }
+        });
+
+        socket.addEventListener('close', event => {
+            handlers.onClose(event.reason || `connection closed (${event.code})`);
+        });
+
+        socket.addEventListener('error', () => {
+            console.warn(`Could not reach relay at ${url}`);
+        });
+
+        return connection;
+    }
+};
@@ -0,0 +1,570 @@
+// The board: the map drawn on a <canvas> with the 2D context. Provinces
+// and sea zones are the polygons engine/maps.js gives for them, so a map
+// of odd shapes draws the same way as the classic grid, and clicks are
+// hit-tested against the same polygons. Drag to pan, wheel to zoom.
+//
+// The renderer keeps no game state. Each frame it draws it asks for a
+// scene (see boardScene in game.js):
+//
+//     map, playerId
+//     owners, colors              - owner of each province as we know it,
+//                                   and each nation's color
+//     visible, explored, visibleSeas
+//     armies, fleets, battles     - as we see them; battles are province ids
+//     selected, building          - the province whose armies are picked, and
+//                                   ours picked to build in (each or null)
+//     reachable, nextHops         - where the picked armies can go (Sets)
+//     seaSelected, seaTargets     - sea zones picked, and ones to sail to
+//     routes                      - [{ from, to, kind }], kind current | queued
+//                                   | rally (a province's rally point)
+//     hopTicks(army)              - ticks the hop an army is on takes
+//     conquest(province)          - { progress, label } or null
+//     details(province)           - the economy line shown when zoomed in
+//     tickStart, tickLength       - when the last tick ran and how long one
+//                                   lasts in ms (0 while stopped), so moving
+//                                   armies glide between ticks
+//
+// It only draws when told the scene changed (invalidate), while the camera
+// moves, and every frame while armies are moving or moves can be picked.
+const Renderer = {
+    MIN_SCALE: 8,      // pixels per tile
+    MAX_SCALE: 240,
+    NAME_SCALE: 40,    // zoomed in this far, province names show
+    DETAIL_SCALE: 64,  // and further in, the economy line
+    DRAG_PIXELS: 4,    // a press that moves less than this is a click
+
+    // Per-map shapes, worked out once per map: outlines with their centers
+    // and bounding boxes, and the borders rivers and straits are drawn on
+    geometry(map) {
+        const shape = polygon => {
+            const xs = polygon.map(p => p[0]);
+            const ys = polygon.map(p => p[1]);
+            return {
+                outline: polygon,
+                center: Maps.center(polygon),
+                box: [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)]
+            };
+        };
+        const provinces = map.provinces.map(p => shape(Maps.outline(map, p.id)));
+        const seas = map.seas.map(sea => shape(Maps.seaOutline(map, sea.id)));
+
+        const straits = [];
+        map.provinces.forEach(a => {
+            a.neighbors.forEach(b => {
+                if (a.id < b && Maps.border(map, a.id, b).length === 0) straits.push([a.id, b]);
+            });
+        });
+        const rivers = map.rivers.map(([a, b]) => {
+            const segments = Maps.border(map, a, b);
+            // Provinces that don't touch get a short stroke across the
+            // line between them instead
+            if (segments.length > 0) return segments;
+            const [ax, ay] = provinces[a].center;
+            const [bx, by] = provinces[b].center;
+            const mx = (ax + bx) / 2;
+            const my = (ay + by) / 2;
+            const length = Math.hypot(bx - ax, by - ay) || 1;
+            const nx = -(by - ay) / length * 0.3;
+            const ny = (bx - ax) / length * 0.3;
+            return [[[mx - nx, my - ny], [mx + nx, my + ny]]];
+        });
+
+        const bounds = [...provinces, ...seas].reduce((b, s) => [
+            Math.min(b[0], s.box[0]), Math.min(b[1], s.box[1]),
+            Math.max(b[2], s.box[2]), Math.max(b[3], s.box[3])
+        ], [Infinity, Infinity, -Infinity, -Infinity]);
+
+        return { provinces, seas, straits, rivers, bounds };
+    },
+
+    // Whether the point (x, y) is inside a polygon (even-odd rule)
+    contains(polygon, x, y) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const [xi, yi] = polygon[i];
+            const [xj, yj] = polygon[j];
+            if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+        }
+        return inside;
+    },
+
+    // What lies at a point in tile units: { kind: 'sea' | 'province', id }
+    // or null. Sea zones are drawn over the land, so they are tried first.
+    hitTest(geometry, x, y) {
+        const find = shapes => shapes.findIndex(s =>
+            x >= s.box[0] && x <= s.box[2] && y >= s.box[1] && y <= s.box[3] && this.contains(s.outline, x, y));
+        const sea = find(geometry.seas);
+        if (sea !== -1) return { kind: 'sea', id: sea };
+        const province = find(geometry.provinces);
+        return province !== -1 ? { kind: 'province', id: province } : null;
+    },
+
+    // Armies grouped the way the board shows them: one counter for each
+    // nation's armies standing in a province, and one for each nation's
+    // armies on a hop under way. Counters sharing a spot (the sides of a
+    // battle) get a `slot` out of `slots` to sit side by side.
+    groupArmies(armies) {
+        const groups = new Map();
+        armies.forEach(army => {
+            const moving = army.moving && army.destination !== null;
+            const spot = moving ? `${army.location}>${army.destination}` : `${army.location}`;
+            const key = `${spot}:${army.owner}`;
+            let group = groups.get(key);
+            if (!group) {
+                group = { spot, location: army.location, destination: moving ? army.destination : null, lead: army, size: 0, count: 0, morale: 0, ghost: false, slot: 0, slots: 1 };
+                groups.set(key, group);
+            }
+            group.size += army.size;
+            group.count++;
+            group.morale += army.morale;
+            group.ghost = group.ghost || !!army.ghost;
+        });
+        const spots = new Map();
+        groups.forEach(group => {
+            group.morale /= group.count;
+            const shared = spots.get(group.spot) || [];
+            group.slot = shared.length;
+            shared.push(group);
+            spots.set(group.spot, shared);
+        });
+        spots.forEach(shared => shared.forEach(group => {
+            group.slots = shared.length;
+        }));
+        return [...groups.values()];
+    },
+
+    // Attach a renderer to a canvas. Handlers:
+    //   scene()              - what to draw (see above)
+    //   onClick(hit, event)  - a click on the board; hit as from hitTest
+    //   onHover(hit)         - the pointer moved onto something else
+    create(canvas, handlers) {
+        const ctx = canvas.getContext('2d');
+        if (!ctx) console.warn('This browser cannot draw on a canvas; the board will stay empty');
+
+        const camera = { x: 0, y: 0, scale: 40 };
+        let geometry = null;
+        let map = null;
+        let dirty = true;
+        let animating = false;
+        let hover = null;
+        let press = null;
+        let frame = null;
+        let fitted = false;
+        let width = 0;
+        let height = 0;
+
+        const toWorld = (sx, sy) => [camera.x + sx / camera.scale, camera.y + sy / camera.scale];
+        const toScreen = (wx, wy) => [(wx - camera.x) * camera.scale, (wy - camera.y) * camera.scale];
+        const pointer = event => {
+            const rect = canvas.getBoundingClientRect();
+            return [event.clientX - rect.left, event.clientY - rect.top];
+        };
+
+        const renderer = {
+            get camera() {
+                return { ...camera };
+            },
+
+            get geometry() {
+                return geometry;
+            },
+
+            // Something in the scene changed: draw it on the next frame
+            invalidate() {
+                dirty = true;
+            },
+
+            // Match the canvas to its size on the page
+            resize() {
+                const ratio = window.devicePixelRatio || 1;
+                const [cx, cy] = toWorld(width / 2, height / 2);
+                width = canvas.clientWidth || canvas.width || 1;
+                height = canvas.clientHeight || canvas.height || 1;
+                canvas.width = Math.round(width * ratio);
+                canvas.height = Math.round(height * ratio);
+                if (fitted) {
+                    camera.x = cx - width / 2 / camera.scale;
+                    camera.y = cy - height / 2 / camera.scale;
+                }
+                dirty = true;
+            },
+
+            // Zoom and pan so the whole map fits
+            fit() {
+                if (!geometry) return;
+                const [x0, y0, x1, y1] = geometry.bounds;
+                const margin = 0.25;
+                camera.scale = Math.max(Renderer.MIN_SCALE, Math.min(Renderer.MAX_SCALE,
+                    Math.min(width / (x1 - x0 + margin * 2), height / (y1 - y0 + margin * 2))));
+                camera.x = (x0 + x1) / 2 - width / 2 / camera.scale;
+                camera.y = (y0 + y1) / 2 - height / 2 / camera.scale;
+                fitted = true;
+                dirty = true;
+            },
+
+            // Zoom by a factor, keeping the point under (sx, sy) in place
+            // (the middle of the board if not given)
+            zoomBy(factor, sx = width / 2, sy = height / 2) {
+                const [wx, wy] = toWorld(sx, sy);
+                camera.scale = Math.max(Renderer.MIN_SCALE, Math.min(Renderer.MAX_SCALE, camera.scale * factor));
+                camera.x = wx - sx / camera.scale;
+                camera.y = wy - sy / camera.scale;
+                dirty = true;
+            },
+
+            // Pan so a province is in the middle of the board
+            // Bring a place ({ kind: 'province' | 'sea', id }) to the middle
+            centerOn(place) {
+                if (!geometry) return;
+                const [x, y] = (place.kind === 'sea' ? geometry.seas : geometry.provinces)[place.id].center;
+                camera.x = x - width / 2 / camera.scale;
+                camera.y = y - height / 2 / camera.scale;
+                dirty = true;
+            },
+
+            panBy(dx, dy) {
+                camera.x -= dx / camera.scale;
+                camera.y -= dy / camera.scale;
+                dirty = true;
+            },
+
+            // What is under a point on the canvas, in CSS pixels
+            hitAt(sx, sy) {
+                if (!geometry) return null;
+                const [wx, wy] = toWorld(sx, sy);
+                return Renderer.hitTest(geometry, wx, wy);
+            },
+
+            // Draw now if anything changed (called every animation frame)
+            draw(now = performance.now()) {
+                if (!dirty && !animating) return false;
+                dirty = false;
+                const scene = handlers.scene();
+                if (scene.map !== map) {
+                    map = scene.map;
+                    geometry = Renderer.geometry(map);
+                    if (hover !== null) {
+                        hover = null;
+                        handlers.onHover(null);
+                    }
+                    this.fit();
+                }
+                if (ctx) paint(scene, now);
+                return true;
+            },
+
+            destroy() {
+                if (frame !== null) cancelAnimationFrame(frame);
+                frame = null;
+                window.removeEventListener('resize', onResize);
+            }
+        };
+
+        // Interaction: a press that barely moves is a click, otherwise a drag
+        canvas.addEventListener('pointerdown', event => {
+            if (event.button !== 0) return;
+            const [sx, sy] = pointer(event);
+            press = { sx, sy, lastX: sx, lastY: sy, dragging: false };
+            if (canvas.setPointerCapture && event.pointerId !== undefined) canvas.setPointerCapture(event.pointerId);
+        });
+
+        canvas.addEventListener('pointermove', event => {
+            const [sx, sy] = pointer(event);
+            if (press) {
+                if (!press.dragging && Math.hypot(sx - press.sx, sy - press.sy) >= Renderer.DRAG_PIXELS) {
+                    press.dragging = true;
+                    canvas.classList.add('dragging');
+                }
+                if (press.dragging) {
+                    renderer.panBy(sx - press.lastX, sy - press.lastY);
+                    press.lastX = sx;
+                    press.lastY = sy;
+                    return;
+                }
+            }
+            const hit = renderer.hitAt(sx, sy);
+            const key = hit ? `${hit.kind}:${hit.id}` : null;
+            const current = hover ? `${hover.kind}:${hover.id}` : null;
+            if (key === current) return;
+            hover = hit;
+            canvas.classList.toggle('pointing', hit !== null);
+            handlers.onHover(hit);
+            dirty = true;
+        });
+
+        canvas.addEventListener('pointerup', event => {
+            if (!press) return;
+            const dragging = press.dragging;
+            press = null;
+            canvas.classList.remove('dragging');
+            if (dragging) return;
+            const [sx, sy] = pointer(event);
+            const hit = renderer.hitAt(sx, sy);
+            if (hit) handlers.onClick(hit, event);
+        });
+
+        canvas.addEventListener('pointerleave', () => {
+            if (press && press.dragging) return;
+            if (hover !== null) {
+                hover = null;
+                canvas.classList.remove('pointing');
+                handlers.onHover(null);
+                dirty = true;
+            }
+        });
+
+        canvas.addEventListener('wheel', event => {
+            event.preventDefault();
+            const [sx, sy] = pointer(event);
+            renderer.zoomBy(Math.pow(1.15, -event.deltaY / 100), sx, sy);
+        }, { passive: false });
+
+        const onResize = () => renderer.resize();
+        window.addEventListener('resize', onResize);
+
+        // Fill a polygon's path
+        const trace = polygon => {
+            ctx.beginPath();
+            polygon.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+            ctx.closePath();
+        };
+        const line = (from, to) => {
+            ctx.beginPath();
+            ctx.moveTo(from[0], from[1]);
+            ctx.lineTo(to[0], to[1]);
+            ctx.stroke();
+        };
+        // Stroke widths and dashes are given in screen pixels
+        const pen = (color, pixels, dash = []) => {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = pixels / camera.scale;
+            ctx.setLineDash(dash.map(d => d / camera.scale));
+        };
+
+        const TERRAIN_TINT = {
+            forest: 'rgba(0, 70, 0, 0.3)',
+            hills: 'rgba(120, 80, 30, 0.3)',
+            mountains: 'rgba(230, 230, 230, 0.3)',
+            marsh: 'rgba(40, 120, 140, 0.3)'
+        };
+
+        // Where a group of armies is drawn: moving ones part of the way
+        // along their hop, ahead of the last tick by the time since it ran
+        const placeGroup = (scene, group, now) => {
+            const from = geometry.provinces[group.location].center;
+            if (group.destination === null) return from;
+            const to = geometry.provinces[group.destination].center;
+            const total = Math.max(1, scene.hopTicks(group.lead));
+            let done = total - group.lead.movementProgress;
+            if (scene.tickLength > 0) done += Math.min(1, (now - scene.tickStart) / scene.tickLength);
+            const t = Math.max(0, Math.min(1, done / total));
+            return [from[0] + (to[0] - from[0]) * t, from[1] + (to[1] - from[1]) * t];
+        };
+
+        const paint = (scene, now) => {
+            const ratio = canvas.width / width;
+            const s = camera.scale;
+            const pulse = 0.6 + 0.4 * Math.sin(now / 160);
+
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            ctx.fillStyle = scene.map.seas.length > 0 ? '#1b4f72' : '#111';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+            // World pass: everything in tile units
+            ctx.setTransform(ratio * s, 0, 0, ratio * s, -camera.x * s * ratio, -camera.y * s * ratio);
+            ctx.lineJoin = 'round';
+            ctx.lineCap = 'round';
+
+            scene.map.seas.forEach(sea => {
+                const a = geometry.seas[sea.id].center;
+                pen('rgba(133, 193, 233, 0.8)', 3, [8, 6]);
+                sea.neighbors.forEach(n => {
+                    if (sea.id < n) line(a, geometry.seas[n].center);
+                });
+                pen('rgba(133, 193, 233, 0.35)', 1);
+                sea.coasts.forEach(p => line(a, geometry.provinces[p].center));
+            });
+
+            geometry.provinces.forEach((shape, p) => {
+                trace(shape.outline);
+                if (!scene.explored[p]) {
+                    ctx.fillStyle = '#2b2b2b';
+                    ctx.fill();
+                    return;
+                }
+                const owner = scene.owners[p];
+                ctx.fillStyle = owner === null ? '#7f8c8d' : scene.colors[owner];
+                ctx.fill();
+                const tint = TERRAIN_TINT[scene.map.provinces[p].terrain];
+                if (tint) {
+                    ctx.fillStyle = tint;
+                    ctx.fill();
+                }
+                if (!scene.visible[p]) {
+                    ctx.fillStyle = 'rgba(40, 40, 40, 0.55)';
+                    ctx.fill();
+                }
+            });
+
+            pen('#2c3e50', 2);
+            geometry.provinces.forEach(shape => {
+                trace(shape.outline);
+                ctx.stroke();
+            });
+
+            pen('#85c1e9', 3, [7, 5]);
+            geometry.straits.forEach(([a, b]) => line(geometry.provinces[a].center, geometry.provinces[b].center));
+            pen('#3498db', 4);
+            geometry.rivers.forEach(segments => segments.forEach(([a, b]) => line(a, b)));
+
+            // Highlights, weakest first so the picked stack shows on top
+            const outlineOf = (p, color, pixels, dash) => {
+                pen(color, pixels, dash);
+                trace(geometry.provinces[p].outline);
+                ctx.stroke();
+            };
+            if (hover && hover.kind === 'province') {
+                trace(geometry.provinces[hover.id].outline);
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+                ctx.fill();
+            }
+            if (hover && hover.kind === 'province' && scene.reachable.has(hover.id) && !scene.nextHops.has(hover.id)) {
+                outlineOf(hover.id, '#00FF00', 3, [5, 4]);
+            }
+            scene.nextHops.forEach(p => outlineOf(p, `rgba(0, 255, 0, ${pulse})`, 3));
+            scene.battles.forEach(p => outlineOf(p, '#e74c3c', 3));
+            if (scene.building !== null) outlineOf(scene.building, '#FF6B35', 3);
+            if (scene.selected !== null) outlineOf(scene.selected, '#FFD700', 3);
+
+            geometry.seas.forEach((shape, id) => {
+                trace(shape.outline);
+                ctx.fillStyle = scene.visibleSeas[id] ? '#2471a3' : '#34495e';
+                ctx.fill();
+                if (scene.seaSelected.has(id)) pen('#FFD700', 3);
+                else if (scene.seaTargets.has(id) && hover && hover.kind === 'sea' && hover.id === id) pen('#00FF00', 3, [5, 4]);
+                else pen(scene.visibleSeas[id] ? '#85c1e9' : '#5d6d7e', 2);
+                ctx.stroke();
+            });
+
+            scene.routes.forEach(route => {
+                if (route.kind === 'current') pen('rgba(255, 255, 255, 0.9)', 4);
+                else if (route.kind === 'rally') pen('rgba(255, 215, 0, 0.8)', 2, [8, 5]);
+                else pen('rgba(255, 255, 255, 0.7)', 3, [1, 6]);
+                line(geometry.provinces[route.from].center, geometry.provinces[route.to].center);
+            });
+
+            // Screen pass: labels and counters at a fixed size
+            ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+            ctx.setLineDash([]);
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.shadowColor = 'rgba(0, 0, 0, 0.8)';
+            const label = (text, x, y, size, weight = '') => {
+                ctx.font = `${weight} ${size}px 'Segoe UI', Tahoma, sans-serif`;
+                ctx.shadowBlur = 3;
+                ctx.fillStyle = 'white';
+                ctx.fillText(text, x, y);
+                ctx.shadowBlur = 0;
+            };
+            const onScreen = ([x, y], pad) => x > -pad && y > -pad && x < width + pad && y < height + pad;
+
+            if (s >= Renderer.NAME_SCALE) {
+                geometry.provinces.forEach((shape, p) => {
+                    const [x, y] = toScreen(...shape.center);
+                    if (!onScreen([x, y], s)) return;
+                    label(scene.map.provinces[p].name, x, y - s * 0.3, Math.min(12, s / 6));
+                    if (s >= Renderer.DETAIL_SCALE && scene.explored[p]) label(scene.details(p), x, y + s * 0.34, Math.min(12, s / 6));
+                });
+            }
+            geometry.seas.forEach((shape, id) => {
+                const [x, y] = toScreen(...shape.center);
+                if (s >= Renderer.NAME_SCALE && onScreen([x, y], s)) label(scene.map.seas[id].name, x, y - s * 0.22, Math.min(10, s / 7));
+            });
+
+            // Fleets: one badge per sea zone, ours first
+            const fleets = new Map();
+            scene.fleets.forEach(fleet => {
+                if (!fleets.has(fleet.location)) fleets.set(fleet.location, []);
+                fleets.get(fleet.location).push(fleet);
+            });
+            fleets.forEach((here, id) => {
+                here.sort((a, b) => (a.owner === scene.playerId ? 0 : 1) - (b.owner === scene.playerId ? 0 : 1) || a.id - b.id);
+                const [x, y] = toScreen(...geometry.seas[id].center);
+                const text = '⛵' + here.reduce((sum, f) => sum + f.ships, 0) + (here.length > 1 ? ' ×' + here.length : '');
+                const size = Math.max(9, Math.min(12, s / 6));
+                ctx.font = `bold ${size}px 'Segoe UI', Tahoma, sans-serif`;
+                const w = ctx.measureText(text).width + 10;
+                ctx.beginPath();
+                ctx.rect(x - w / 2, y - size * 0.8, w, size * 1.6);
+                ctx.fillStyle = scene.colors[here[0].owner];
+                ctx.fill();
+                ctx.lineWidth = 2;
+                ctx.strokeStyle = '#000';
+                ctx.stroke();
+                label(text, x, y, size, 'bold');
+            });
+
+            // Armies, with sieges and battles where they stand
+            const radius = Math.max(7, Math.min(20, s * 0.2));
+            const groups = Renderer.groupArmies(scene.armies);
+            animating = scene.nextHops.size > 0 ||
+                (scene.tickLength > 0 && groups.some(g => g.destination !== null));
+
+            const marked = new Set();
+            groups.forEach(group => {
+                const p = group.location;
+                if (group.destination !== null || marked.has(p)) return;
+                marked.add(p);
+                const [x, y] = toScreen(...geometry.provinces[p].center);
+                if (!onScreen([x, y], radius * 4)) return;
+                const conquest = scene.conquest(p);
+                if (conquest) {
+                    ctx.beginPath();
+                    ctx.arc(x, y, radius + 4, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * conquest.progress);
+                    ctx.strokeStyle = '#e74c3c';
+                    ctx.lineWidth = 4;
+                    ctx.stroke();
+                    label(conquest.label, x, y - radius - 12, 11, 'bold');
+                }
+                if (scene.battles.has(p)) label('⚔', x, y - radius * 2, Math.max(12, radius));
+            });
+
+            groups.forEach(group => {
+                const [cx, y] = toScreen(...placeGroup(scene, group, now));
+                const x = cx + (group.slot - (group.slots - 1) / 2) * radius * 2.2;
+                if (!onScreen([x, y], radius * 2)) return;
+                ctx.globalAlpha = group.ghost ? 0.55 : 1;
+                ctx.beginPath();
+                ctx.arc(x, y, radius, 0, Math.PI * 2);
+                ctx.fillStyle = group.lead.owner === null ? 'white' : scene.colors[group.lead.owner];
+                ctx.fill();
+                if (group.ghost) {
+                    ctx.setLineDash([3, 3]);
+                    ctx.strokeStyle = '#000';
+                    ctx.lineWidth = 2;
+                } else {
+                    ctx.strokeStyle = group.morale >= 1.1 ? '#FFD700' : group.morale <= 0.6 ? '#FF4444' : '#000';
+                    ctx.lineWidth = group.morale >= 1.1 || group.morale <= 0.6 ? 4 : 2;
+                }
+                ctx.stroke();
+                ctx.setLineDash([]);
+                const text = group.size + (group.count > 1 ? ' ×' + group.count : '');
+                label(text, x, y, Math.max(9, Math.min(13, radius * 0.75)), 'bold');
+                if (group.destination !== null) {
+                    const lead = group.lead;
+                    label(lead.route.length > 0 ? `${lead.movementProgress} +${lead.route.length}` : String(lead.movementProgress), x, y + radius + 7, 10);
+                }
+                ctx.globalAlpha = 1;
+            });
+        };
+
+        const loop = now => {
+            renderer.draw(now);
+            frame = requestAnimationFrame(loop);
+        };
+
+        renderer.resize();
+        frame = requestAnimationFrame(loop);
+        return renderer;
+    }
+};
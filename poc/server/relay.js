@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+// Reference relay server for online play
+//
+//     node poc/server/relay.js [--port 8090]
+//
+// Clients connect to ws://host:port/?room=<name>. The relay does not run the
+// game; it only forwards JSON messages to everyone else in the same room,
+// tagged with the sender's peer id, and tells the room when peers come and go:
+//
+//     -> { type: 'welcome', peer, peers: [ids already in the room] }
+//     -> { type: 'join', peer }
+//     -> { type: 'leave', peer }
+//     -> { ...message, from: peer }
+//
+// Peers cannot send messages of the relay's own types (welcome, join,
+// leave); those are dropped. A message with a `to` field only goes to that
+// peer. Messages from one peer
+// reach everyone in the order they were sent, and a `leave` comes after the
+// departing peer's last message, which the lockstep session relies on.
+//
+// Plain Node, no dependencies: this implements just enough of RFC 6455
+// (unfragmented text frames, ping/pong, close) for the game's own client.
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE = 16 * 1024 * 1024;
+
+// Message types only the relay itself sends
+const RESERVED = ['welcome', 'join', 'leave'];
+
+const OP_TEXT = 0x1;
+const OP_CLOSE = 0x8;
+const OP_PING = 0x9;
+const OP_PONG = 0xA;
+
+function parseArgs(argv) {
+    const args = { port: 8090 };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') args.port = parseInt(argv[++i], 10);
+    }
+    return args;
+}
+
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+// Pull complete frames off the front of `buffer`. Returns the frames and
+// whatever bytes are left over.
+function decodeFrames(buffer) {
+    const frames = [];
+    let offset = 0;
+
+    while (buffer.length - offset >= 2) {
+        const first = buffer[offset];
+        const second = buffer[offset + 1];
+        const fin = (first & 0x80) !== 0;
+        const opcode = first & 0x0F;
+        const masked = (second & 0x80) !== 0;
+        let length = second & 0x7F;
+        let pos = offset + 2;
+
+        if (length === 126) {
+            if (buffer.length < pos + 2) break;
+            length = buffer.readUInt16BE(pos);
+            pos += 2;
+        } else if (length === 127) {
+            if (buffer.length < pos + 8) break;
+            const big = buffer.readBigUInt64BE(pos);
+            if (big > BigInt(MAX_MESSAGE)) throw new Error('Message too large');
+            length = Number(big);
+            pos += 8;
+        }
+        if (length > MAX_MESSAGE) throw new Error('Message too large');
+        if (!fin) throw new Error('Fragmented messages are not supported');
+        if (!masked) throw new Error('Client frames must be masked');
+
+        if (buffer.length < pos + 4 + length) break;
+        const mask = buffer.subarray(pos, pos + 4);
+        pos += 4;
+
+        const payload = Buffer.alloc(length);
+        for (let i = 0; i < length; i++) {
+            payload[i] = buffer[pos + i] ^ mask[i % 4];
+        }
+        frames.push({ opcode, payload });
+        offset = pos + length;
+    }
+
+    return { frames, rest: buffer.subarray(offset) };
+}
+
+function createRelay() {
+    const rooms = new Map(); // name -> { nextPeer, peers: Map(id -> socket) }
+
+    function send(socket, message) {
+        if (!socket.destroyed) {
+            socket.write(encodeFrame(OP_TEXT, Buffer.from(JSON.stringify(message))));
+        }
+    }
+
+    function broadcast(room, fromPeer, message) {
+        room.peers.forEach((socket, id) => {
+            if (id !== fromPeer) send(socket, message);
+        });
+    }
+
+    function join(roomName, socket) {
+        if (!rooms.has(roomName)) rooms.set(roomName, { nextPeer: 1, peers: new Map() });
+        const room = rooms.get(roomName);
+        const peer = room.nextPeer++;
+
+        send(socket, { type: 'welcome', peer, peers: [...room.peers.keys()] });
+        broadcast(room, peer, { type: 'join', peer });
+        room.peers.set(peer, socket);
+        console.log(`[${roomName}] peer ${peer} joined (${room.peers.size} connected)`);
+
+        let buffer = Buffer.alloc(0);
+        let closed = false;
+
+        const leave = () => {
+            if (closed) return;
+            closed = true;
+            room.peers.delete(peer);
+            broadcast(room, peer, { type: 'leave', peer });
+            console.log(`[${roomName}] peer ${peer} left (${room.peers.size} connected)`);
+            if (room.peers.size === 0) rooms.delete(roomName);
+        };
+
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+            let decoded;
+            try {
+                decoded = decodeFrames(buffer);
+            } catch (e) {
+                console.warn(`[${roomName}] dropping peer ${peer}: ${e.message}`);
+                socket.destroy();
+                return;
+            }
+            buffer = decoded.rest;
+
+            decoded.frames.forEach(frame => {
+                switch (frame.opcode) {
+                    case OP_TEXT: {
+                        let message;
+                        try {
+                            message = JSON.parse(frame.payload.toString('utf8'));
+                        } catch (e) {
+                            return; // Not JSON, ignore
+                        }
+                        if (typeof message !== 'object' || message === null) return;
+                        if (RESERVED.includes(message.type)) return;
+
+                        message.from = peer;
+                        if (message.to !== undefined) {
+                            const target = room.peers.get(message.to);
+                            if (target) send(target, message);
+                        } else {
+                            broadcast(room, peer, message);
+                        }
+                        break;
+                    }
+                    case OP_PING:
+                        socket.write(encodeFrame(OP_PONG, frame.payload));
+                        break;
+                    case OP_CLOSE:
+                        socket.end(encodeFrame(OP_CLOSE, Buffer.alloc(0)));
+                        leave();
+                        break;
+                }
+            });
+        });
+
+        socket.on('close', leave);
+        socket.on('error', leave);
+    }
+
+    const server = http.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end(`globus-ridiculous relay: ${rooms.size} rooms open\n`);
+    });
+
+    server.on('upgrade', (req, socket) => {
+        const key = req.headers['sec-websocket-key'];
+        if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+        socket.setNoDelay(true);
+
+        const url = new URL(req.url, 'http://relay');
+        join(url.searchParams.get('room') || 'lobby', socket);
+    });
+
+    return server;
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    createRelay().listen(args.port, () => {
+        console.log(`Relay listening on ws://localhost:${args.port}/?room=<name>`);
+    });
+}
+
+module.exports = { createRelay };
@@ -0,0 +1,130 @@
+// Browser persistence for saves: named slots in localStorage plus
+// download/upload of save files. The save format itself lives in
+// engine/saves.js. The player's preferences and campaign
+// progress are kept here too.
+const SaveStore = {
+    prefix: 'globus-ridiculous:save:',
+
+    // List saved slots, newest first
+    list() {
+        const slots = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (!key.startsWith(this.prefix)) continue;
+
+            try {
+                const save = JSON.parse(localStorage.getItem(key));
+                slots.push({ name: key.slice(this.prefix.length), tick: save.tick, savedAt: save.savedAt });
+            } catch (e) {
+                console.warn(`Ignoring unreadable save ${key}`, e);
+            }
+        }
+        return slots.sort((a, b) => (b.savedAt || '').localeCompare(a.savedAt || ''));
+    },
+
+    write(name, state) {
+        localStorage.setItem(this.prefix + name, Saves.serialize(state, name));
+    },
+
+    // Returns the migrated save envelope, or null if the slot is empty
+    read(name) {
+        const data = localStorage.getItem(this.prefix + name);
+        return data === null ? null : Saves.deserialize(data);
+    },
+
+    remove(name) {
+        localStorage.removeItem(this.prefix + name);
+    },
+
+    // Offer the state as a .json download
+    download(state, name) {
+        this.downloadJSON(Saves.createSave(state, name), `${name}-tick${state.tick}.json`);
+    },
+
+    downloadJSON(data, filename) {
+        this.downloadBlob(new Blob([JSON.stringify(data)], { type: 'application/json' }), filename);
+    },
+
+    downloadText(text, filename) {
+        this.downloadBlob(new Blob([text], { type: 'text/plain' }), filename);
+    },
+
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename.replace(/[^\w.-]+/g, '_');
+        link.click();
+        // The browser may not have started reading the blob yet
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
+    // Parse an uploaded File as JSON (a save or a replay)
+    async upload(file) {
+        return JSON.parse(await file.text());
+    }
+};
+
+// What to pause the game for and the keyboard shortcuts, kept between
+// sessions. `keys` maps each action to a KeyboardEvent key ('' = none).
+const Preferences = {
+    key: 'globus-ridiculous:preferences',
+
+    defaults() {
+        return {
+            pauseOn: { battle: false, provinceLost: false, gold: false },
+            goldThreshold: 500,
+            keys: { pause: ' ', slower: '-', faster: '=', build: 'b', nextIdle: '.', previousIdle: ',' },
+            debug: false
+        };
+    },
+
+    // The stored preferences over the defaults (a newer default the
+    // player never changed shows up as it is)
+    load() {
+        const prefs = this.defaults();
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.key) || '{}');
+            Object.assign(prefs.pauseOn, stored.pauseOn);
+            Object.assign(prefs.keys, stored.keys);
+            if (typeof stored.goldThreshold === 'number') prefs.goldThreshold = stored.goldThreshold;
+            if (typeof stored.debug === 'boolean') prefs.debug = stored.debug;
+        } catch (e) {
+            console.warn('Ignoring unreadable preferences', e);
+        }
+        return prefs;
+    },
+
+    save(prefs) {
+        localStorage.setItem(this.key, JSON.stringify(prefs));
+    }
+};
+
+// How far the player got in each campaign (see engine/scenarios.js):
+// the stage to play next, each stage's result and what the last win
+// carries into the next scenario
+const CampaignStore = {
+    prefix: 'globus-ridiculous:campaign:',
+
+    fresh() {
+        return { stage: 0, results: [], carry: null };
+    },
+
+    load(id) {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.prefix + id));
+            if (stored) return stored;
+        } catch (e) {
+            console.warn(`Ignoring unreadable progress for campaign ${id}`, e);
+        }
+        return this.fresh();
+    },
+
+    save(id, progress) {
+        localStorage.setItem(this.prefix + id, JSON.stringify(progress));
+    },
+
+    clear(id) {
+        localStorage.removeItem(this.prefix + id);
+    }
+};
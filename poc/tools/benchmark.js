@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+// Tick-time benchmark on a large generated map
+//
+//     node poc/tools/benchmark.js --size 40 --armies 3000 --ticks 50
+//     node poc/tools/benchmark.js --nations 8 --idle
+//
+// Builds a size x size grid, splits it into one block of land per nation
+// with the armies spread over it, and times Engine.runTick. With --idle
+// every nation is left without orders (humans who never click), which
+// times the engine alone; otherwise the AI plays them all, as in
+// simulate.js. The first --warmup ticks are not counted.
+'use strict';
+
+const Engine = require('../engine/engine.js');
+const Maps = require('../engine/maps.js');
+const AI = require('../engine/ai.js');
+
+function parseArgs(argv) {
+    const args = { size: 40, nations: 8, armies: 3000, ticks: 50, warmup: 5, seed: 1, idle: false };
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--size': args.size = parseInt(argv[++i], 10); break;
+            case '--nations': args.nations = parseInt(argv[++i], 10); break;
+            case '--armies': args.armies = parseInt(argv[++i], 10); break;
+            case '--ticks': args.ticks = parseInt(argv[++i], 10); break;
+            case '--warmup': args.warmup = parseInt(argv[++i], 10); break;
+            case '--seed': args.seed = parseInt(argv[++i], 10); break;
+            case '--idle': args.idle = true; break;
+        }
+    }
+    return args;
+}
+
+// A size x size grid cut into `nations` vertical strips, each nation
+// holding the middle half of its strip (the rest starts neutral) with its
+// capital in the middle and its share of the armies spread over it
+function buildMap(size, nations, armies) {
+    const start = [];
+    for (let n = 0; n < nations; n++) {
+        const left = Math.floor(n * size / nations);
+        const right = Math.floor((n + 1) * size / nations);
+        const provinces = [];
+        for (let y = Math.floor(size / 4); y < Math.ceil(size * 3 / 4); y++) {
+            for (let x = left; x < right; x++) provinces.push(y * size + x);
+        }
+        const count = Math.floor(armies / nations) + (n < armies % nations ? 1 : 0);
+        start.push({
+            capital: provinces[Math.floor(provinces.length / 2)],
+            provinces,
+            armies: Array.from({ length: count }, (_, i) => ({ province: provinces[(i * 7) % provinces.length] }))
+        });
+    }
+    const map = Maps.grid(size, size, start);
+    return { ...map, id: `benchmark-${size}`, name: `Benchmark ${size}x${size}` };
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const map = buildMap(args.size, args.nations, args.armies);
+    const control = args.idle ? 'human' : 'ai';
+    const nations = map.start.map(() => ({ control, ai: AI.profile() }));
+
+    const built = process.hrtime.bigint();
+    const state = Engine.createGame({ seed: args.seed, map, nations });
+    const setup = Number(process.hrtime.bigint() - built) / 1e6;
+
+    for (let i = 0; i < args.warmup && !state.gameOver; i++) Engine.runTick(state);
+
+    const times = [];
+    while (times.length < args.ticks && !state.gameOver) {
+        const started = process.hrtime.bigint();
+        Engine.runTick(state);
+        times.push(Number(process.hrtime.bigint() - started) / 1e6);
+    }
+
+    const sorted = times.slice().sort((a, b) => a - b);
+    const total = times.reduce((sum, t) => sum + t, 0);
+    const at = share => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * share))];
+    console.log(`${map.name}: ${map.provinces.length} provinces, ${args.nations} nations (${args.idle ? 'idle' : 'AI'}), ${state.armies.length} armies at the end`);
+    console.log(`  Setup: ${setup.toFixed(1)}ms`);
+    console.log(`  ${times.length} ticks after ${args.warmup} warmup: ${(total / times.length).toFixed(2)}ms average, ` +
+        `${at(0.5).toFixed(2)}ms median, ${at(0.95).toFixed(2)}ms 95th percentile, ${sorted[sorted.length - 1].toFixed(2)}ms worst`);
+}
+
+main();
@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+// Replay an exported match and check it reproduces
+//
+//     node poc/tools/replay.js match-replay.json [--to 250]
+//
+// Re-runs the initial state with the logged player commands and compares
+// every AI order against the recording. A divergence means the engine no
+// longer behaves the way it did when the replay was recorded.
+'use strict';
+
+const fs = require('fs');
+const Replay = require('../engine/replay.js');
+
+function main() {
+    const argv = process.argv.slice(2);
+    const file = argv.find(a => !a.startsWith('--'));
+    const toIndex = argv.indexOf('--to');
+
+    if (!file) {
+        console.error('Usage: node poc/tools/replay.js <replay.json> [--to <tick>]');
+        process.exit(2);
+    }
+
+    const recording = Replay.deserialize(fs.readFileSync(file, 'utf8'));
+    const toTick = toIndex > -1 ? parseInt(argv[toIndex + 1], 10) : recording.head;
+    const players = recording.log.filter(e => e.source !== 'ai').length;
+
+    const { state, divergence } = Replay.replay(recording.initial, recording.log, toTick, { verify: true });
+
+    console.log(`Replayed ticks ${recording.initial.tick}-${state.tick} (${players} player commands, ${recording.log.length - players} AI commands)`);
+    state.nations.forEach(nation => {
+        const provinces = state.provinces.filter(p => p === nation.id).length;
+        console.log(`  ${nation.name}: ${provinces} provinces, ${Math.floor(nation.treasury)} gold`);
+    });
+    if (state.winner !== null) {
+        console.log(`  Winner: ${state.nations[state.winner].name}`);
+    }
+
+    if (divergence) {
+        console.error(`Diverged from the recording at tick ${divergence.tick}`);
+        console.error(`  expected AI orders: ${divergence.expected.join(', ') || '(none)'}`);
+        console.error(`  actual AI orders:   ${divergence.actual.join(', ') || '(none)'}`);
+        process.exit(1);
+    }
+    console.log('Replay matches the recording');
+}
+
+main();
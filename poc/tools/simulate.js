@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+// Headless AI-vs-AI simulation
+//
+//     node poc/tools/simulate.js --games 1000 --seed 1 --max-ticks 3000
+//     node poc/tools/simulate.js --map poc/maps/hex-realms.json --nations 6
+//     node poc/tools/simulate.js --mod poc/mods/quick-march.json --mod my-mod.json
+//     node poc/tools/simulate.js --ai hard:turtle
+//     node poc/tools/simulate.js --scenario poc/scenarios/border-war.json
+//
+// Every nation is played by the AI, with the profile given by --ai
+// (difficulty[:personality], default normal). To compare AIs against each
+// other, use tournament.js. Game N uses seed `seed + N`, so any
+// result can be reproduced by running that single seed again. A scenario
+// brings its own map, nations and rules (mods still go on top), and its
+// triggers and objectives play out as in the browser.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Engine = require('../engine/engine.js');
+const Rules = require('../engine/rules.js');
+const Maps = require('../engine/maps.js');
+const AI = require('../engine/ai.js');
+const Scenarios = require('../engine/scenarios.js');
+
+function parseArgs(argv) {
+    const args = { games: 100, seed: 1, maxTicks: 3000, map: null, nations: null, mods: [], ai: null, scenario: null, verbose: false };
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--games': args.games = parseInt(argv[++i], 10); break;
+            case '--seed': args.seed = parseInt(argv[++i], 10); break;
+            case '--max-ticks': args.maxTicks = parseInt(argv[++i], 10); break;
+            case '--map': args.map = JSON.parse(fs.readFileSync(argv[++i], 'utf8')); break;
+            case '--mod': args.mods.push(JSON.parse(fs.readFileSync(argv[++i], 'utf8'))); break;
+            case '--nations': args.nations = parseInt(argv[++i], 10); break;
+            case '--ai': args.ai = parseProfile(argv[++i]); break;
+            case '--scenario': args.scenario = Scenarios.normalize(JSON.parse(fs.readFileSync(argv[++i], 'utf8'))); break;
+            case '--verbose': args.verbose = true; break;
+        }
+    }
+    return args;
+}
+
+// "hard:turtle" -> { difficulty: 'hard', personality: 'turtle' }
+function parseProfile(text) {
+    const [difficulty, personality] = text.split(':');
+    return AI.profile({ difficulty, personality: personality || undefined });
+}
+
+// Engine.createGame options for a scenario, with its map read from
+// poc/maps/ if it names a bundled one and the rules the mods set on top of
+// its own
+function scenarioOptions(scenario, mods) {
+    let map = scenario.map;
+    if (typeof map === 'string') {
+        const entry = Maps.BUNDLED.find(m => m.id === map);
+        if (!entry) throw new Error(`Scenario "${scenario.id}" is on unknown map "${map}"`);
+        map = JSON.parse(fs.readFileSync(path.join(__dirname, '..', entry.file), 'utf8'));
+    }
+    const options = Scenarios.gameOptions(scenario, map);
+    const rules = Rules.create(options.rules);
+    mods.forEach(mod => {
+        Rules.FIELDS.forEach(field => {
+            const value = Rules.get(mod.rules, field.path);
+            if (value !== undefined) Rules.set(rules, field.path, value);
+        });
+    });
+    return { ...options, rules };
+}
+
+// `nationCount` fills the first N seats of the map (default: the first
+// three); a scenario (Engine.createGame options) decides them instead
+function playGame(seed, maxTicks, map, nationCount, rules, scripts, ai, scenario) {
+    let state;
+    if (scenario) {
+        state = Engine.createGame({ ...scenario, seed, scripts, allAI: true });
+    } else {
+        const seats = nationCount || Math.min(3, (map ? Maps.normalize(map) : Maps.classic()).start.length);
+        const nations = Array.from({ length: seats }, () => ({ control: 'ai', ai }));
+        state = Engine.createGame({ seed, map, nations, rules, scripts, allAI: true });
+    }
+    let battles = 0;
+
+    while (!state.gameOver && state.tick < maxTicks) {
+        const events = Engine.runTick(state);
+        battles += events.filter(e => e.type === 'battle').length;
+    }
+
+    return { seed, winner: state.winner, cause: state.result ? state.result.cause : null, ticks: state.tick, battles, nations: state.nations };
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const { rules, order, scripts } = Rules.load(args.mods);
+    if (order.length > 0) {
+        console.log(`Mods: ${order.map(mod => `${mod.name} (${mod.priority})`).join(', ')}`);
+    }
+    const scenario = args.scenario ? scenarioOptions(args.scenario, order) : null;
+    if (scenario) console.log(`Scenario: ${args.scenario.name}`);
+    const wins = {};
+    const endings = {};
+    let draws = 0;
+    let unfinished = 0;
+    let totalTicks = 0;
+    let totalBattles = 0;
+    let nations = [];
+
+    const started = Date.now();
+    for (let game = 0; game < args.games; game++) {
+        const result = playGame(args.seed + game, args.maxTicks, args.map, args.nations, rules, scripts, args.ai, scenario);
+        nations = result.nations;
+        totalTicks += result.ticks;
+        totalBattles += result.battles;
+
+        if (result.winner === null) {
+            draws++;
+        } else {
+            wins[result.winner] = (wins[result.winner] || 0) + 1;
+        }
+        if (result.cause === null) {
+            unfinished++;
+        } else {
+            endings[result.cause] = (endings[result.cause] || 0) + 1;
+        }
+
+        if (args.verbose) {
+            const outcome = result.winner === null ? 'draw' : result.nations[result.winner].name;
+            console.log(`seed ${result.seed}: ${outcome} after ${result.ticks} ticks (${result.cause || 'unfinished'}, ${result.battles} battles)`);
+        }
+    }
+    const elapsed = Date.now() - started;
+
+    console.log(`Played ${args.games} games in ${elapsed}ms`);
+    nations.forEach(nation => {
+        const count = wins[nation.id] || 0;
+        console.log(`  ${nation.name}: ${count} wins (${(count / args.games * 100).toFixed(1)}%)`);
+    });
+    console.log(`  Draws: ${draws} (${unfinished} unfinished by tick ${args.maxTicks})`);
+    console.log(`  Ended by: ${Object.keys(endings).map(cause => `${cause} ${endings[cause]}`).join(', ') || 'nothing'}`);
+    console.log(`  Average length: ${(totalTicks / args.games).toFixed(0)} ticks, ${(totalBattles / args.games).toFixed(1)} battles`);
+}
+
+main();
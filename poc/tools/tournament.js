@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+// Headless AI-vs-AI tournament
+//
+//     node poc/tools/tournament.js --games 60 --seed 1
+//     node poc/tools/tournament.js --entrant easy --entrant hard:turtle --entrant hard:aggressive
+//     node poc/tools/tournament.js --seats 4 --map poc/maps/hex-realms.json --mod poc/mods/bloodbath.json
+//
+// An entrant is an AI profile written difficulty[:personality], or
+// strategy=<name> for a registered strategy. Each game seats `--seats`
+// entrants (default: three, or all of them if fewer), rotating both who plays
+// and which seat they get so no entrant keeps a lucky start. Game N uses seed
+// `seed + N`. The report ranks entrants by the share of their games they won.
+'use strict';
+
+const fs = require('fs');
+const Engine = require('../engine/engine.js');
+const Rules = require('../engine/rules.js');
+const Maps = require('../engine/maps.js');
+const AI = require('../engine/ai.js');
+
+const DEFAULT_ENTRANTS = ['easy', 'normal', 'hard', 'hard:aggressive', 'hard:turtle', 'hard:opportunist'];
+
+function parseArgs(argv) {
+    const args = { games: 60, seed: 1, maxTicks: 3000, map: null, seats: null, mods: [], entrants: [], verbose: false };
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--games': args.games = parseInt(argv[++i], 10); break;
+            case '--seed': args.seed = parseInt(argv[++i], 10); break;
+            case '--max-ticks': args.maxTicks = parseInt(argv[++i], 10); break;
+            case '--map': args.map = JSON.parse(fs.readFileSync(argv[++i], 'utf8')); break;
+            case '--mod': args.mods.push(JSON.parse(fs.readFileSync(argv[++i], 'utf8'))); break;
+            case '--seats': args.seats = parseInt(argv[++i], 10); break;
+            case '--entrant': args.entrants.push(argv[++i]); break;
+            case '--verbose': args.verbose = true; break;
+        }
+    }
+    if (args.entrants.length === 0) args.entrants = DEFAULT_ENTRANTS.slice();
+    return args;
+}
+
+// "hard:turtle" -> { difficulty: 'hard', personality: 'turtle' }
+// "strategy=classic" -> { strategy: 'classic' }
+function parseEntrant(text) {
+    if (text.startsWith('strategy=')) {
+        return AI.profile({ strategy: text.slice('strategy='.length) });
+    }
+    const [difficulty, personality] = text.split(':');
+    return AI.profile({ difficulty, personality: personality || undefined });
+}
+
+function playGame(seed, maxTicks, map, lineup, rules, scripts) {
+    const nations = lineup.map(entrant => ({ control: 'ai', ai: entrant.profile }));
+    const state = Engine.createGame({ seed, map, nations, rules, scripts, allAI: true });
+
+    while (!state.gameOver && state.tick < maxTicks) {
+        Engine.runTick(state);
+    }
+
+    return {
+        winner: state.winner,
+        ticks: state.tick,
+        provinces: state.nations.map(nation => Engine.countProvinces(state, nation.id))
+    };
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const { rules, order, scripts } = Rules.load(args.mods);
+    const map = args.map ? Maps.normalize(args.map) : Maps.classic();
+
+    const entrants = args.entrants.map(name => ({
+        name,
+        profile: parseEntrant(name),
+        games: 0,
+        wins: 0,
+        draws: 0,
+        provinces: 0
+    }));
+    const seats = args.seats || Math.min(3, entrants.length);
+    if (seats < Engine.MIN_NATIONS || seats > entrants.length || seats > map.start.length) {
+        throw new Error(`Cannot seat ${seats} of ${entrants.length} entrants on "${map.name}" (${map.start.length} starts)`);
+    }
+
+    if (order.length > 0) {
+        console.log(`Mods: ${order.map(mod => `${mod.name} (${mod.priority})`).join(', ')}`);
+    }
+
+    const started = Date.now();
+    for (let game = 0; game < args.games; game++) {
+        // Entrant (game + i) takes seat i, so over `entrants.length` games
+        // everyone plays and moves through the seats
+        const lineup = Array.from({ length: seats }, (_, i) => entrants[(game + i) % entrants.length]);
+        const result = playGame(args.seed + game, args.maxTicks, map, lineup, rules, scripts);
+
+        lineup.forEach((entrant, seat) => {
+            entrant.games++;
+            entrant.provinces += result.provinces[seat];
+            if (result.winner === seat) entrant.wins++;
+            if (result.winner === null) entrant.draws++;
+        });
+
+        if (args.verbose) {
+            const outcome = result.winner === null ? 'draw' : `${lineup[result.winner].name} wins`;
+            console.log(`seed ${args.seed + game}: ${lineup.map(e => e.name).join(' vs ')}: ${outcome} after ${result.ticks} ticks`);
+        }
+    }
+    const elapsed = Date.now() - started;
+
+    console.log(`Played ${args.games} games (${seats} per game) in ${elapsed}ms`);
+    entrants
+        .slice()
+        .sort((a, b) => b.wins / (b.games || 1) - a.wins / (a.games || 1))
+        .forEach(entrant => {
+            const rate = entrant.games > 0 ? (entrant.wins / entrant.games * 100).toFixed(1) : '0.0';
+            const provinces = entrant.games > 0 ? (entrant.provinces / entrant.games).toFixed(1) : '0.0';
+            console.log(`  ${entrant.name.padEnd(20)} ${String(entrant.wins).padStart(4)} / ${String(entrant.games).padEnd(4)} wins (${rate}%), ${entrant.draws} draws, ${provinces} provinces at the end`);
+        });
+}
+
+main();